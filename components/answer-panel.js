@@ -0,0 +1,266 @@
+class AnswerPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.answerFiles = [];
+        this.plan = []; // AnswerFiles.planApply output shown in the preview
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('answerFilesBtn'),
+            modal: document.getElementById('answerModal'),
+            fileSelect: document.getElementById('answerFileSelect'),
+            fileInfo: document.getElementById('answerFileInfo'),
+            importFile: document.getElementById('answerImportFile'),
+            exportBtn: document.getElementById('exportAnswerFileBtn'),
+            deleteBtn: document.getElementById('deleteAnswerFileBtn'),
+            sourceSelect: document.getElementById('answerSourceSelect'),
+            nameInput: document.getElementById('answerFileNameInput'),
+            saveBtn: document.getElementById('saveAnswerFileBtn'),
+            targetSelect: document.getElementById('answerTargetSelect'),
+            previewBtn: document.getElementById('previewAnswersBtn'),
+            previewSummary: document.getElementById('answerPreviewSummary'),
+            previewTable: document.getElementById('answerPreviewTable'),
+            previewBody: document.getElementById('answerPreviewBody'),
+            applyBtn: document.getElementById('applyAnswersBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`AnswerPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.fileSelect.addEventListener('change', () => this.onSelectionChanged());
+        this.elements.targetSelect.addEventListener('change', () => this.clearPreview());
+        this.elements.importFile.addEventListener('change', (e) => this.handleImport(e));
+        this.elements.exportBtn.addEventListener('click', () => this.exportSelected());
+        this.elements.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.elements.saveBtn.addEventListener('click', () => this.saveFromChecklist());
+        this.elements.previewBtn.addEventListener('click', () => this.preview());
+        this.elements.applyBtn.addEventListener('click', () => this.apply());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('AnswerPanel initialized');
+    }
+
+    getChecklistKey(row) {
+        return this.app.modules.reviewPanel.getChecklistKey(row);
+    }
+
+    getChecklistKeys() {
+        return Array.from(new Set(this.app.state.allRows.map(row => this.getChecklistKey(row))));
+    }
+
+    getSelected() {
+        return this.answerFiles.find(file => String(file.id) === this.elements.fileSelect.value) || null;
+    }
+
+    async loadAnswerFiles(selectedId = null) {
+        try {
+            this.answerFiles = await AnswerFiles.getAll();
+        } catch (error) {
+            console.error('[AnswerPanel] ❌ Failed to read answer files:', error);
+            this.app.modules.statusMessages.showError(`Could not read answer files: ${error.message}`);
+            this.answerFiles = [];
+        }
+
+        const current = selectedId !== null ? String(selectedId) : this.elements.fileSelect.value;
+        this.elements.fileSelect.innerHTML = this.answerFiles.length === 0
+            ? '<option value="">No answer files yet</option>'
+            : this.answerFiles
+                .map(file => `<option value="${file.id}">${PageUtils.escapeHtml(file.name)} (${file.entries.length} answers)</option>`)
+                .join('');
+        if (this.answerFiles.some(file => String(file.id) === current)) {
+            this.elements.fileSelect.value = current;
+        }
+        this.onSelectionChanged();
+    }
+
+    async showModal() {
+        const keys = this.getChecklistKeys();
+        const options = keys.map(key => `<option value="${PageUtils.escapeHtml(key)}">${PageUtils.escapeHtml(key)}</option>`).join('');
+        this.elements.sourceSelect.innerHTML = options || '<option value="">No checklists loaded</option>';
+        this.elements.targetSelect.innerHTML = keys.length > 0
+            ? `<option value="">All loaded checklists (${keys.length})</option>${options}`
+            : '<option value="">No checklists loaded</option>';
+        this.elements.saveBtn.disabled = keys.length === 0;
+
+        this.elements.modal.style.display = 'block';
+        await this.loadAnswerFiles();
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+        this.clearPreview();
+    }
+
+    onSelectionChanged() {
+        const file = this.getSelected();
+        this.elements.exportBtn.disabled = !file;
+        this.elements.deleteBtn.disabled = !file;
+        this.elements.previewBtn.disabled = !file || this.app.state.allRows.length === 0;
+
+        if (!file) {
+            this.elements.fileInfo.innerHTML = '';
+        } else {
+            const counts = {};
+            file.entries.forEach(entry => { counts[entry.status || 'text only'] = (counts[entry.status || 'text only'] || 0) + 1; });
+            this.elements.fileInfo.innerHTML = `
+                ${Object.entries(counts).map(([status, count]) => `<span class="change-summary-item"><span class="badge ${status}">${status}</span><strong>${count}</strong></span>`).join('')}
+                ${file.description ? `<span class="text-muted">${PageUtils.escapeHtml(file.description)}</span>` : ''}
+            `;
+        }
+        this.clearPreview();
+    }
+
+    async saveFromChecklist() {
+        const key = this.elements.sourceSelect.value;
+        const name = this.elements.nameInput.value.trim();
+        if (!name) {
+            this.app.modules.statusMessages.showError('Enter a name for the answer file.');
+            return;
+        }
+
+        const rows = this.app.state.allRows.filter(row => this.getChecklistKey(row) === key);
+        const entries = AnswerFiles.entriesFromRows(rows);
+        if (entries.length === 0) {
+            this.app.modules.statusMessages.showError('The checklist has no NotAFinding or Not_Applicable answers to save.');
+            return;
+        }
+
+        try {
+            const saved = await AnswerFiles.save({ name, description: `Saved from ${key}`, entries });
+            this.elements.nameInput.value = '';
+            await this.loadAnswerFiles(saved.id);
+            this.app.modules.statusMessages.showSuccess(`Saved ${entries.length} answers to "${saved.name}"`, 4000);
+        } catch (error) {
+            console.error('[AnswerPanel] ❌ Failed to save answer file:', error);
+            this.app.modules.statusMessages.showError(`Could not save the answer file: ${error.message}`);
+        }
+    }
+
+    async handleImport(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const parsed = AnswerFiles.parseJson(await file.text(), file.name.replace(/\.json$/i, ''));
+            const saved = await AnswerFiles.save(parsed);
+            await this.loadAnswerFiles(saved.id);
+            this.app.modules.statusMessages.showSuccess(`Imported "${saved.name}" with ${saved.entries.length} answers`, 4000);
+        } catch (error) {
+            console.error('[AnswerPanel] ❌ Answer file import failed:', error);
+            this.app.modules.statusMessages.showError(`Answer file import failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    exportSelected() {
+        const file = this.getSelected();
+        if (!file) return;
+        const blob = new Blob([AnswerFiles.toJson(file)], { type: 'application/json' });
+        ZipArchive.downloadBlob(blob, `${file.name.replace(/[\\/:*?"<>|\s]+/g, '_')}_answers.json`);
+    }
+
+    async deleteSelected() {
+        const file = this.getSelected();
+        if (!file || !confirm(`Delete the answer file "${file.name}"?`)) return;
+        await AnswerFiles.remove(file.id);
+        await this.loadAnswerFiles();
+    }
+
+    clearPreview() {
+        this.plan = [];
+        this.elements.previewSummary.innerHTML = '';
+        this.elements.previewBody.innerHTML = '';
+        this.elements.previewTable.hidden = true;
+        this.elements.applyBtn.disabled = true;
+    }
+
+    preview() {
+        const file = this.getSelected();
+        if (!file) return;
+
+        const target = this.elements.targetSelect.value;
+        const rows = target
+            ? this.app.state.allRows.filter(row => this.getChecklistKey(row) === target)
+            : this.app.state.allRows;
+        this.plan = AnswerFiles.planApply(file, rows);
+
+        const conflicts = this.plan.filter(item => item.conflict).length;
+        this.elements.previewSummary.innerHTML = `
+            <span class="change-summary-item"><span class="change-badge newly_closed">Fills blanks</span><strong>${this.plan.length - conflicts}</strong></span>
+            <span class="change-summary-item"><span class="change-badge newly_open">Overwrites existing answers</span><strong>${conflicts}</strong></span>
+            ${conflicts > 0 ? '<span class="text-muted">Existing answers are kept unless you tick Overwrite.</span>' : ''}
+        `;
+
+        this.elements.previewTable.hidden = this.plan.length === 0;
+        this.elements.applyBtn.disabled = this.plan.length === 0;
+        this.elements.previewBody.innerHTML = this.plan.map((item, index) => `
+            <tr>
+                <td>${PageUtils.escapeHtml(this.getChecklistKey(item.row))}</td>
+                <td>${PageUtils.escapeHtml(item.row.group_id)}<br><small>${PageUtils.escapeHtml(item.row.rule_id)}</small></td>
+                <td>${item.changes.map(change => `
+                    <div class="${change.overwrite ? 'upgrade-warning' : ''}">
+                        <strong>${this.fieldLabel(change.field)}:</strong>
+                        ${PageUtils.escapeHtml(this.truncate(change.from) || '(blank)')} → ${PageUtils.escapeHtml(this.truncate(change.to))}
+                    </div>`).join('')}
+                </td>
+                <td>${item.conflict
+                    ? `<label><input type="checkbox" data-plan-index="${index}"> Overwrite</label>`
+                    : '<span class="text-muted">Apply</span>'}</td>
+            </tr>
+        `).join('');
+
+        if (this.plan.length === 0) {
+            this.elements.previewSummary.innerHTML = '<span class="text-muted">Nothing to change: no matching rules, or they already hold these answers.</span>';
+        }
+    }
+
+    async apply() {
+        const confirmed = new Set(
+            Array.from(this.elements.previewBody.querySelectorAll('[data-plan-index]:checked'))
+                .map(checkbox => this.plan[Number(checkbox.dataset.planIndex)])
+        );
+        const { applied, skipped } = AnswerFiles.applyPlan(this.plan, confirmed);
+        const fileName = this.getSelected()?.name || 'answer file';
+        this.clearPreview();
+
+        VulnTable.setRows(this.app.state.allRows);
+        this.app.applyFilters();
+        if (window.DataManager && typeof window.DataManager.compileStigData === 'function') {
+            try {
+                await window.DataManager.compileStigData(this.app.state.allRows, this.app.state.loadedFiles);
+            } catch (error) {
+                console.error('[AnswerPanel] ❌ Failed to save applied answers:', error);
+                this.app.modules.statusMessages.showError(`Applied answers could not be saved: ${error.message}`);
+            }
+        }
+
+        this.closeModal();
+        this.app.modules.statusMessages.showSuccess(
+            `Applied "${fileName}" to ${applied} rule(s)${skipped > 0 ? `; kept ${skipped} existing answer(s)` : ''}`, 5000
+        );
+    }
+
+    fieldLabel(field) {
+        return { status: 'Status', finding_details: 'Finding Details', comments: 'Comments' }[field] || field;
+    }
+
+    truncate(value, length = 80) {
+        const text = String(value ?? '');
+        return text.length > length ? `${text.slice(0, length)}…` : text;
+    }
+}
+
+// Make available globally
+window.AnswerPanel = AnswerPanel;
@@ -0,0 +1,240 @@
+class BenchmarkPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.templates = new Map(); // libraryKey -> StigLibrary record { stigId, version, release, stigInfo, rows, ... }
+    }
+
+    init() {
+        this.elements = {
+            file: document.getElementById('benchmarkFile'),
+            openBtn: document.getElementById('newChecklistBtn'),
+            modal: document.getElementById('benchmarkModal'),
+            templateSelect: document.getElementById('benchmarkTemplateSelect'),
+            templateInfo: document.getElementById('benchmarkTemplateInfo'),
+            hosts: document.getElementById('benchmarkHosts'),
+            role: document.getElementById('benchmarkRole'),
+            techArea: document.getElementById('benchmarkTechArea'),
+            createBtn: document.getElementById('createChecklistsBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`BenchmarkPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.file.addEventListener('change', (e) => this.handleBenchmarkUpload(e));
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.templateSelect.addEventListener('change', () => this.renderTemplateInfo());
+        this.elements.createBtn.addEventListener('click', () => this.createChecklists());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        this.loadLibrary();
+        console.log('BenchmarkPanel initialized');
+    }
+
+    // Benchmarks saved to the STIG library in earlier sessions are available as templates
+    async loadLibrary() {
+        if (!window.DataStore) return;
+        try {
+            const records = await StigLibrary.getAll();
+            records.forEach(record => {
+                if (!this.templates.has(record.libraryKey)) this.templates.set(record.libraryKey, record);
+            });
+        } catch (error) {
+            console.warn('[BenchmarkPanel] ⚠️ Could not read the STIG library:', error);
+        }
+    }
+
+    async handleBenchmarkUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const statusMessages = this.app.modules.statusMessages;
+        const loadingId = statusMessages.showLoading('Reading STIG benchmark...');
+        const added = [];
+        const failures = [];
+
+        try {
+            const benchmarkFiles = [];
+            for (const file of files) {
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    benchmarkFiles.push(...await StigLibrary.extractBenchmarkFiles(file));
+                } else {
+                    benchmarkFiles.push(file);
+                }
+            }
+
+            if (benchmarkFiles.length === 0) {
+                throw new Error('No *_Manual-xccdf.xml benchmark found');
+            }
+
+            for (const [index, file] of benchmarkFiles.entries()) {
+                try {
+                    const parsed = await ImportWorker.parseBenchmarkFile(file, this.app.state.customCciMap, progress => {
+                        this.app.modules.fileLoader.trackProgress(index + 1, benchmarkFiles.length, file.name, progress);
+                    });
+                    added.push(await this.addTemplate(file.name, parsed));
+                } catch (error) {
+                    console.error(`[BenchmarkPanel] ❌ Failed to read ${file.name}:`, error);
+                    failures.push(`${file.name}: ${error.message}`);
+                }
+            }
+            this.app.updateImportProgress({ isComplete: true });
+
+            statusMessages.hideMessage(loadingId);
+            if (added.length === 0) {
+                throw new Error(failures.join('; '));
+            }
+            if (failures.length > 0) {
+                statusMessages.showError(`Skipped ${failures.length} benchmark(s): ${failures.join('; ')}`, 8000);
+            }
+
+            this.showModal(added[added.length - 1].libraryKey);
+        } catch (error) {
+            console.error('[BenchmarkPanel] ❌ Benchmark import failed:', error);
+            statusMessages.hideMessage(loadingId);
+            statusMessages.showError(`Benchmark import failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    // Keeps the template for this session and saves it to the persistent STIG library
+    async addTemplate(fileName, parsed) {
+        let record = StigLibrary.toRecord(fileName, parsed);
+        if (window.DataStore) {
+            try {
+                record = await StigLibrary.addBenchmark(fileName, parsed);
+            } catch (error) {
+                console.warn('[BenchmarkPanel] ⚠️ Could not save the benchmark to the STIG library:', error);
+            }
+        }
+        this.templates.set(record.libraryKey, record);
+        return record;
+    }
+
+    getTemplateLabel(template) {
+        return `${template.title} ${StigLibrary.formatRelease(template)}`.trim();
+    }
+
+    showModal(selectedId = null) {
+        if (this.templates.size === 0) {
+            this.app.modules.statusMessages.showError('Load a STIG benchmark (*_Manual-xccdf.xml or the STIG ZIP) first.');
+            return;
+        }
+
+        const current = selectedId || this.elements.templateSelect.value;
+        this.elements.templateSelect.innerHTML = Array.from(this.templates.values())
+            .map(template => `<option value="${PageUtils.escapeHtml(template.libraryKey)}">${PageUtils.escapeHtml(this.getTemplateLabel(template))}</option>`)
+            .join('');
+        if (current && this.templates.has(current)) {
+            this.elements.templateSelect.value = current;
+        }
+
+        this.renderTemplateInfo();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    renderTemplateInfo() {
+        const template = this.templates.get(this.elements.templateSelect.value);
+        if (!template) {
+            this.elements.templateInfo.innerHTML = '';
+            return;
+        }
+
+        const counts = template.severityCounts;
+        const { stigInfo } = template;
+        this.elements.templateInfo.innerHTML = `
+            <div class="summary-item"><span>STIG ID:</span><strong>${PageUtils.escapeHtml(stigInfo.stigid || 'Unknown')}</strong></div>
+            <div class="summary-item"><span>Release:</span><strong>${PageUtils.escapeHtml(stigInfo.releaseinfo || stigInfo.version || 'Unknown')}</strong></div>
+            <div class="summary-item"><span>Rules:</span><strong>${template.rows.length}</strong> (CAT I ${counts.high}, CAT II ${counts.medium}, CAT III ${counts.low})</div>
+            <div class="summary-item"><span>Source:</span><strong>${PageUtils.escapeHtml(template.fileName)}</strong></div>
+        `;
+    }
+
+    // One host per line: name, IP, MAC, FQDN (only the name is required)
+    parseHosts(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [host_name = '', host_ip = '', host_mac = '', host_fqdn = ''] = line.split(/\s*[,;\t]\s*/);
+                return { host_name, host_ip, host_mac, host_fqdn };
+            })
+            .filter(host => host.host_name);
+    }
+
+    uniqueFileName(name, usedNames) {
+        if (!usedNames.has(name)) return name;
+        const stem = name.replace(/\.ckl$/i, '');
+        let i = 2;
+        while (usedNames.has(`${stem} (${i}).ckl`)) i++;
+        return `${stem} (${i}).ckl`;
+    }
+
+    createChecklists() {
+        const template = this.templates.get(this.elements.templateSelect.value);
+        const hosts = this.parseHosts(this.elements.hosts.value);
+        const statusMessages = this.app.modules.statusMessages;
+
+        if (!template) return;
+        if (hosts.length === 0) {
+            statusMessages.showError('Enter at least one host name.');
+            return;
+        }
+
+        const state = this.app.state;
+        const usedNames = new Set(state.loadedFiles.map(file => file.name));
+        const stigPart = [template.stigId || 'STIG', template.version !== null && `V${template.version}`, template.release !== null && `R${template.release}`]
+            .filter(Boolean)
+            .join('_');
+        const created = [];
+
+        hosts.forEach(host => {
+            const asset = FileImporter.readCklbTargetData({
+                host_name: host.host_name,
+                ip_address: host.host_ip,
+                mac_address: host.host_mac,
+                fqdn: host.host_fqdn,
+                role: this.elements.role.value,
+                technology_area: this.elements.techArea.value
+            });
+            const fileName = this.uniqueFileName(`${host.host_name.replace(/[\\/:*?"<>|\s]+/g, '_')}_${stigPart}.ckl`, usedNames);
+            usedNames.add(fileName);
+
+            const rows = template.rows.map(row => ({ ...row, ...asset, _sourceFile: fileName }));
+            // Map CCIs to NIST with the page's revision and overrides, as imported checklists are
+            FileImporter.remapNistControls(rows, this.app.getEffectiveCciMap());
+            rows.forEach(row => {
+                row.searchableText = FileImporter.buildSearchBlob(row, row.stig_name);
+            });
+
+            state.allRows = state.allRows.concat(rows);
+            state.loadedFiles.push({ name: fileName, type: 'CKL', count: rows.length });
+            created.push(fileName);
+        });
+
+        this.closeModal();
+        this.elements.hosts.value = '';
+        this.app.elements.emptyState.hidden = true;
+        this.app.processLoadedData(state.loadedFiles, true);
+        statusMessages.showSuccess(
+            `Created ${created.length} blank checklist(s) from ${this.getTemplateLabel(template)}: ${created.join(', ')}`, 6000
+        );
+    }
+}
+
+// Make available globally
+window.BenchmarkPanel = BenchmarkPanel;
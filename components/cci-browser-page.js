@@ -0,0 +1,147 @@
+class CciBrowserPage {
+    constructor(dataManager, statusMessages) {
+        this.dataManager = dataManager;
+        this.statusMessages = statusMessages;
+        this.elements = {};
+        this.usage = new Map(); // CCI ID -> loaded rule IDs
+        this.results = [];
+    }
+
+    // Rows rendered at once; the CSV download always holds every match
+    static RENDER_LIMIT = 200;
+
+    async init() {
+        this.elements = {
+            file: document.getElementById('cciBrowserFile'),
+            source: document.getElementById('cciBrowserSource'),
+            downloadBtn: document.getElementById('downloadCciBtn'),
+            search: document.getElementById('cciSearchInput'),
+            status: document.getElementById('cciStatusSelect'),
+            usedOnly: document.getElementById('cciUsedToggle'),
+            summary: document.getElementById('cciBrowserSummary'),
+            empty: document.getElementById('cciBrowserEmpty'),
+            table: document.getElementById('cciBrowserTable'),
+            tbody: document.getElementById('cciBrowserBody')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`CciBrowserPage: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.file.addEventListener('change', (e) => this.handleCciUpload(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadResults());
+        this.elements.search.addEventListener('input', this.debounce(() => this.render(), 200));
+        this.elements.status.addEventListener('change', () => this.render());
+        this.elements.usedOnly.addEventListener('change', () => this.render());
+
+        // ?cci=CCI-000366 opens the browser on one CCI
+        const query = new URLSearchParams(window.location.search).get('cci');
+        if (query) this.elements.search.value = query;
+
+        await this.refresh();
+        console.log('CciBrowserPage initialized');
+    }
+
+    async refresh() {
+        try {
+            await CciCatalog.load();
+        } catch (error) {
+            console.error('[CciBrowserPage] ❌ Failed to read CCI definitions:', error);
+            this.statusMessages?.showError(`Could not read CCI definitions: ${error.message}`);
+        }
+
+        const rows = this.dataManager ? await this.dataManager.getAllStigRows() : [];
+        this.usage = new Map();
+        rows.forEach(row => {
+            (row.ccis || []).forEach(cci => {
+                if (!this.usage.has(cci)) this.usage.set(cci, new Set());
+                this.usage.get(cci).add(row.group_id || row.rule_id);
+            });
+        });
+
+        const source = CciCatalog.getSource();
+        this.elements.source.textContent = source
+            ? `${source.fileName} (${source.count} CCIs, loaded ${new Date(source.loadedAt).toLocaleDateString()})`
+            : 'No CCI list loaded';
+        this.render();
+    }
+
+    async handleCciUpload(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        const loadingId = this.statusMessages?.showLoading('Parsing CCI XML...');
+        try {
+            const { mapping, definitions } = await ImportWorker.parseCciFile(file);
+            await CciCatalog.save(definitions, file.name);
+            if (this.dataManager && typeof this.dataManager.compileCciMappings === 'function') {
+                await this.dataManager.compileCciMappings(mapping, file.name);
+            }
+            this.statusMessages?.hideMessage(loadingId);
+            await this.refresh();
+            this.statusMessages?.showSuccess(`Loaded ${Object.keys(definitions).length} CCIs from ${file.name}`, 4000);
+        } catch (error) {
+            console.error('[CciBrowserPage] ❌ CCI list import failed:', error);
+            this.statusMessages?.hideMessage(loadingId);
+            this.statusMessages?.showError(`Failed to parse CCI XML: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    render() {
+        const all = CciCatalog.getAll();
+        this.results = CciCatalog.search(this.elements.search.value, { status: this.elements.status.value })
+            .filter(record => !this.elements.usedOnly.checked || this.usage.has(record.id))
+            .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+        const deprecatedInUse = all.filter(record => record.status === 'deprecated' && this.usage.has(record.id)).length;
+        this.elements.summary.innerHTML = all.length === 0 ? '' : `
+            <span class="change-summary-item"><span class="badge not_reviewed">Matching</span><strong>${this.results.length}</strong></span>
+            <span class="change-summary-item"><span class="badge not_applicable">In the list</span><strong>${all.length}</strong></span>
+            <span class="change-summary-item"><span class="badge open">Deprecated CCIs used by loaded rules</span><strong>${deprecatedInUse}</strong></span>
+            ${this.results.length > CciBrowserPage.RENDER_LIMIT ? `<span class="text-muted">Showing the first ${CciBrowserPage.RENDER_LIMIT}; refine the search or download the CSV.</span>` : ''}
+        `;
+
+        this.elements.empty.hidden = all.length > 0;
+        this.elements.table.hidden = this.results.length === 0;
+        this.elements.downloadBtn.disabled = this.results.length === 0;
+        this.elements.tbody.innerHTML = this.results.slice(0, CciBrowserPage.RENDER_LIMIT).map(record => {
+            const rules = Array.from(this.usage.get(record.id) || []);
+            return `
+                <tr>
+                    <td><strong>${PageUtils.escapeHtml(record.id)}</strong>${record.publishdate ? `<br><small>${PageUtils.escapeHtml(record.publishdate)}</small>` : ''}</td>
+                    <td><span class="badge ${record.status === 'deprecated' ? 'open' : record.status === 'draft' ? 'not_reviewed' : 'not_a_finding'}">${PageUtils.escapeHtml(record.status || 'unknown')}</span></td>
+                    <td>${PageUtils.escapeHtml(record.type)}</td>
+                    <td>${PageUtils.escapeHtml(record.definition)}${record.note ? `<br><small class="text-muted">${PageUtils.escapeHtml(record.note)}</small>` : ''}</td>
+                    <td>${CciCatalog.getNistReferences(record).map(ref => PageUtils.escapeHtml(ref)).join('<br>') || '-'}</td>
+                    <td title="${PageUtils.escapeHtml(rules.join(', '))}">${rules.length || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    downloadResults() {
+        if (this.results.length === 0) return;
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(CciCatalog.toTable(this.results));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `CCI_List_${timestamp}.csv`);
+    }
+
+    debounce(fn, wait) {
+        let timer = null;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn(...args), wait);
+        };
+    }
+}
+
+// Make available globally
+window.CciBrowserPage = CciBrowserPage;
@@ -0,0 +1,197 @@
+class CciOverridePanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('cciOverridesBtn'),
+            modal: document.getElementById('cciOverrideModal'),
+            cciInput: document.getElementById('cciOverrideCci'),
+            revisionSelect: document.getElementById('cciOverrideRevision'),
+            baseInfo: document.getElementById('cciOverrideBase'),
+            controlsInput: document.getElementById('cciOverrideControls'),
+            authorInput: document.getElementById('cciOverrideAuthor'),
+            reasonInput: document.getElementById('cciOverrideReason'),
+            saveBtn: document.getElementById('saveCciOverrideBtn'),
+            importFile: document.getElementById('cciOverrideImportFile'),
+            exportBtn: document.getElementById('exportCciOverridesBtn'),
+            empty: document.getElementById('cciOverrideEmpty'),
+            table: document.getElementById('cciOverrideTable'),
+            tbody: document.getElementById('cciOverrideBody')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`CciOverridePanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.cciInput.addEventListener('input', () => this.showBaseMapping());
+        this.elements.revisionSelect.addEventListener('change', () => this.showBaseMapping());
+        this.elements.saveBtn.addEventListener('click', () => this.saveOverride());
+        this.elements.importFile.addEventListener('change', (e) => this.handleImport(e));
+        this.elements.exportBtn.addEventListener('click', () => this.exportOverrides());
+        this.elements.tbody.addEventListener('click', (e) => this.handleTableClick(e));
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('CciOverridePanel initialized');
+    }
+
+    // Mapping from the loaded CCI list, without overrides
+    getBaseCciMap() {
+        return this.app.state.customCciMap || window.DataManager?.currentData?.cciMappings || {};
+    }
+
+    async showModal() {
+        try {
+            await CciOverrides.load();
+        } catch (error) {
+            console.error('[CciOverridePanel] ❌ Failed to read CCI overrides:', error);
+            this.app.modules.statusMessages.showError(`Could not read CCI overrides: ${error.message}`);
+        }
+        this.elements.revisionSelect.value = FileImporter.getActiveNistRevision();
+        this.elements.authorInput.value = AppSettings.get('analystName') || '';
+        this.showBaseMapping();
+        this.renderOverrides();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    showBaseMapping() {
+        const cci = CciOverrides.normalizeCci(this.elements.cciInput.value);
+        if (!cci) {
+            this.elements.baseInfo.textContent = '';
+            return;
+        }
+        const revision = this.elements.revisionSelect.value;
+        const controls = CciOverrides.baseControls(this.getBaseCciMap(), cci, revision);
+        const existing = CciOverrides.find(cci, revision);
+        const definition = window.CciCatalog?.get(cci)?.definition;
+        this.elements.baseInfo.innerHTML = `
+            <div>${definition ? `${PageUtils.escapeHtml(cci)}: ${PageUtils.escapeHtml(definition)}` : PageUtils.escapeHtml(cci)}</div>
+            <div>CCI list (${FileImporter.getNistRevisionLabel(revision)}): ${controls.length > 0 ? PageUtils.escapeHtml(controls.join(', ')) : 'no controls'}${existing ? ` · current override: ${PageUtils.escapeHtml(existing.controls.join(', ') || 'no controls')}` : ''}</div>
+        `;
+    }
+
+    async saveOverride() {
+        const override = {
+            cci: this.elements.cciInput.value,
+            revision: this.elements.revisionSelect.value,
+            controls: this.elements.controlsInput.value,
+            author: this.elements.authorInput.value,
+            reason: this.elements.reasonInput.value
+        };
+
+        try {
+            AppSettings.set('analystName', override.author.trim());
+            const saved = await CciOverrides.save(override);
+            this.elements.cciInput.value = '';
+            this.elements.controlsInput.value = '';
+            this.elements.reasonInput.value = '';
+            this.showBaseMapping();
+            this.renderOverrides();
+            this.app.modules.statusMessages.showSuccess(
+                `Saved override: ${saved.cci} (${FileImporter.getNistRevisionLabel(saved.revision)}) → ${saved.controls.join(', ') || 'no controls'}`, 4000
+            );
+        } catch (error) {
+            console.error('[CciOverridePanel] ❌ Failed to save override:', error);
+            this.app.modules.statusMessages.showError(`Override not saved: ${error.message}`);
+        }
+    }
+
+    renderOverrides() {
+        const overrides = CciOverrides.getAll()
+            .sort((a, b) => a.cci.localeCompare(b.cci) || b.revision.localeCompare(a.revision));
+        const baseMap = this.getBaseCciMap();
+
+        this.elements.empty.hidden = overrides.length > 0;
+        this.elements.table.hidden = overrides.length === 0;
+        this.elements.exportBtn.disabled = overrides.length === 0;
+        this.elements.tbody.innerHTML = overrides.map(override => {
+            const base = CciOverrides.baseControls(baseMap, override.cci, override.revision);
+            const history = (override.history || [])
+                .map(entry => `${entry.changedAt.slice(0, 10)} ${entry.author}: ${entry.controls.join(', ') || 'no controls'} (${entry.reason})`)
+                .join('\n');
+            return `
+                <tr>
+                    <td>${PageUtils.escapeHtml(override.cci)}</td>
+                    <td>${FileImporter.getNistRevisionLabel(override.revision)}</td>
+                    <td>${PageUtils.escapeHtml(base.join(', ') || '-')}</td>
+                    <td><strong>${PageUtils.escapeHtml(override.controls.join(', ') || 'No controls')}</strong></td>
+                    <td${history ? ` title="${PageUtils.escapeHtml(`Earlier changes:\n${history}`)}"` : ''}>${PageUtils.escapeHtml(override.author)}<br><small>${new Date(override.changedAt).toLocaleString()}</small>${history ? `<br><small>${override.history.length} earlier change(s)</small>` : ''}</td>
+                    <td>${PageUtils.escapeHtml(override.reason)}</td>
+                    <td>
+                        <button type="button" class="btn btn-secondary btn-sm" data-edit-override="${override.id}">Edit</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-delete-override="${override.id}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    async handleTableClick(event) {
+        const editId = event.target.dataset?.editOverride;
+        const deleteId = event.target.dataset?.deleteOverride;
+        const override = CciOverrides.getAll().find(item => String(item.id) === (editId || deleteId));
+        if (!override) return;
+
+        if (editId) {
+            this.elements.cciInput.value = override.cci;
+            this.elements.revisionSelect.value = override.revision;
+            this.elements.controlsInput.value = override.controls.join(', ');
+            this.elements.reasonInput.value = '';
+            this.elements.reasonInput.focus();
+            this.showBaseMapping();
+            return;
+        }
+
+        if (!confirm(`Remove the ${override.cci} (${FileImporter.getNistRevisionLabel(override.revision)}) override and go back to the CCI list mapping?`)) return;
+        try {
+            await CciOverrides.remove(override.id);
+            this.renderOverrides();
+            this.showBaseMapping();
+        } catch (error) {
+            console.error('[CciOverridePanel] ❌ Failed to delete override:', error);
+            this.app.modules.statusMessages.showError(`Could not delete the override: ${error.message}`);
+        }
+    }
+
+    async handleImport(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const overrides = CciOverrides.parseJson(await file.text());
+            const count = await CciOverrides.importAll(overrides);
+            this.renderOverrides();
+            this.app.modules.statusMessages.showSuccess(`Imported ${count} CCI mapping override(s) from ${file.name}`, 4000);
+        } catch (error) {
+            console.error('[CciOverridePanel] ❌ Override import failed:', error);
+            this.app.modules.statusMessages.showError(`CCI override import failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    exportOverrides() {
+        const overrides = CciOverrides.getAll();
+        if (overrides.length === 0) return;
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        const blob = new Blob([CciOverrides.toJson(overrides)], { type: 'application/json' });
+        ZipArchive.downloadBlob(blob, `CCI_Mapping_Overrides_${timestamp}.json`);
+    }
+}
+
+// Make available globally
+window.CciOverridePanel = CciOverridePanel;
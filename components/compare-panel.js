@@ -0,0 +1,193 @@
+class ComparePanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.diffRows = [];
+        this.summary = null;
+        this.closureSuggestions = [];
+    }
+
+    init() {
+        this.elements = {
+            file: document.getElementById('compareFile'),
+            panel: document.getElementById('comparePanel'),
+            summary: document.getElementById('compareSummary'),
+            change: document.getElementById('changeSelect'),
+            exportBtn: document.getElementById('exportDiffBtn'),
+            closuresBtn: document.getElementById('suggestClosuresBtn'),
+            exitBtn: document.getElementById('exitCompareBtn'),
+            closureModal: document.getElementById('poamClosureModal'),
+            closureList: document.getElementById('poamClosureList'),
+            closureApplyBtn: document.getElementById('applyClosuresBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`ComparePanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.file.addEventListener('change', (e) => this.handleCompareUpload(e));
+        this.elements.change.addEventListener('change', () => this.app.applyFilters());
+        this.elements.exportBtn.addEventListener('click', () => this.exportDiff());
+        this.elements.closuresBtn.addEventListener('click', () => this.showClosureSuggestions());
+        this.elements.exitBtn.addEventListener('click', () => this.exitCompare());
+        this.elements.closureApplyBtn.addEventListener('click', () => this.applyClosures());
+        this.elements.closureModal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeClosureModal());
+        });
+
+        console.log('ComparePanel initialized');
+    }
+
+    async handleCompareUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const statusMessages = this.app.modules.statusMessages;
+        const baselineRows = this.app.state.allRows;
+
+        if (baselineRows.length === 0) {
+            statusMessages.showError('Load the baseline checklists first, then compare a new scan against them.');
+            event.target.value = '';
+            return;
+        }
+
+        const loadingId = statusMessages.showLoading(`Comparing ${files.length} file(s) against the stored dataset...`);
+
+        try {
+            let currentRows = [];
+            for (const file of files) {
+                const fileData = await ImportWorker.parseFile(file, this.app.state.customCciMap);
+                currentRows = currentRows.concat(fileData.rows.map(row => ({ ...row, _sourceFile: file.name })));
+            }
+
+            this.diffRows = ChecklistDiff.compare(baselineRows, currentRows);
+            this.summary = ChecklistDiff.summarize(this.diffRows);
+
+            VulnTable.setDiffRows(this.diffRows);
+            this.renderSummary();
+            this.elements.change.value = '';
+            this.elements.panel.hidden = false;
+            this.app.applyFilters();
+
+            statusMessages.hideMessage(loadingId);
+            statusMessages.showSuccess(
+                `Compared ${currentRows.length} rules: ${this.summary.newly_open} newly open, ${this.summary.newly_closed} newly closed`, 5000
+            );
+        } catch (error) {
+            console.error('[ComparePanel] ❌ Comparison failed:', error);
+            statusMessages.hideMessage(loadingId);
+            statusMessages.showError(`Comparison failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    renderSummary() {
+        const s = this.summary || {};
+        this.elements.summary.innerHTML = Object.keys(ChecklistDiff.CHANGE_TYPES)
+            .map(type => `
+                <span class="change-summary-item">
+                    <span class="change-badge ${type}">${ChecklistDiff.getChangeLabel(type)}</span>
+                    <strong>${s[type] || 0}</strong>
+                </span>
+            `).join('');
+    }
+
+    exitCompare() {
+        this.diffRows = [];
+        this.summary = null;
+        VulnTable.setDiffRows(null);
+        this.elements.change.value = '';
+        this.elements.panel.hidden = true;
+        this.app.applyFilters();
+    }
+
+    async exportDiff() {
+        const rows = VulnTable.applyFiltersAndGetRows();
+        if (rows.length === 0) {
+            this.app.modules.statusMessages.showError('No comparison rows to export');
+            return;
+        }
+
+        try {
+            const exporter = new ExcelExporter();
+            await exporter.createDiffExport(rows, this.summary);
+        } catch (error) {
+            console.error('[ComparePanel] ❌ Diff export failed:', error);
+            this.app.modules.statusMessages.showError(`Diff export failed: ${error.message}`);
+        }
+    }
+
+    async showClosureSuggestions() {
+        const poams = window.DataManager ? await window.DataManager.getPOAMs() : [];
+        this.closureSuggestions = ChecklistDiff.suggestPoamClosures(this.diffRows, poams);
+
+        if (this.closureSuggestions.length === 0) {
+            this.elements.closureList.innerHTML = '<p>No open POAMs have all of their vulnerabilities closed on every host they cover in the new scan.</p>';
+            this.elements.closureApplyBtn.disabled = true;
+        } else {
+            this.elements.closureList.innerHTML = this.closureSuggestions.map((suggestion, index) => `
+                <label class="closure-item">
+                    <input type="checkbox" data-suggestion-index="${index}" checked>
+                    <span>
+                        <strong>${PageUtils.escapeHtml(suggestion.poam.title || 'Untitled POAM')}</strong><br>
+                        <small>${PageUtils.escapeHtml(ChecklistDiff.describeClosure(suggestion))}</small>
+                    </span>
+                </label>
+            `).join('');
+            this.elements.closureApplyBtn.disabled = false;
+        }
+
+        this.elements.closureModal.style.display = 'block';
+    }
+
+    closeClosureModal() {
+        this.elements.closureModal.style.display = 'none';
+    }
+
+    async applyClosures() {
+        const selected = Array.from(this.elements.closureList.querySelectorAll('input[data-suggestion-index]:checked'))
+            .map(input => this.closureSuggestions[parseInt(input.dataset.suggestionIndex, 10)])
+            .filter(Boolean);
+
+        if (selected.length === 0) {
+            this.closeClosureModal();
+            return;
+        }
+
+        try {
+            const poams = await window.DataManager.getPOAMs();
+            const milestones = await window.DataManager.getMilestones();
+            const now = new Date().toISOString();
+            const closeIds = new Map(selected.map(s => [String(s.poam.id), s]));
+
+            const updated = poams.map(poam => {
+                const suggestion = closeIds.get(String(poam.id));
+                if (!suggestion) return poam;
+                const note = `Closed after checklist comparison on ${now.split('T')[0]}: ${ChecklistDiff.describeClosure(suggestion)}.`;
+                return {
+                    ...poam,
+                    status: 'completed',
+                    progress: 100,
+                    notes: poam.notes ? `${poam.notes}\n${note}` : note,
+                    updatedAt: now
+                };
+            });
+
+            await window.DataManager.compilePoamData(updated, milestones);
+            this.closeClosureModal();
+            this.app.modules.statusMessages.showSuccess(`Marked ${selected.length} POAM(s) as completed`, 5000);
+        } catch (error) {
+            console.error('[ComparePanel] ❌ Failed to close POAMs:', error);
+            this.app.modules.statusMessages.showError(`Failed to update POAMs: ${error.message}`);
+        }
+    }
+}
+
+// Make available globally
+window.ComparePanel = ComparePanel;
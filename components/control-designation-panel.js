@@ -0,0 +1,177 @@
+class ControlDesignationPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('controlDesignationsBtn'),
+            modal: document.getElementById('controlDesignationModal'),
+            controlInput: document.getElementById('designationControl'),
+            designationSelect: document.getElementById('designationType'),
+            providerInput: document.getElementById('designationProvider'),
+            notesInput: document.getElementById('designationNotes'),
+            controlInfo: document.getElementById('designationControlInfo'),
+            saveBtn: document.getElementById('saveDesignationBtn'),
+            empty: document.getElementById('designationEmpty'),
+            table: document.getElementById('designationTable'),
+            tbody: document.getElementById('designationBody'),
+            report: document.getElementById('providerReport'),
+            downloadBtn: document.getElementById('downloadProviderReportBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`ControlDesignationPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.controlInput.addEventListener('input', () => this.showControlInfo());
+        this.elements.designationSelect.addEventListener('change', () => this.updateProviderState());
+        this.elements.saveBtn.addEventListener('click', () => this.saveDesignation());
+        this.elements.tbody.addEventListener('click', (e) => this.handleTableClick(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadReport());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('ControlDesignationPanel initialized');
+    }
+
+    async showModal() {
+        try {
+            await ControlDesignations.load();
+        } catch (error) {
+            console.error('[ControlDesignationPanel] ❌ Failed to read control designations:', error);
+            this.app.modules.statusMessages.showError(`Could not read control designations: ${error.message}`);
+        }
+        this.updateProviderState();
+        this.showControlInfo();
+        this.render();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    updateProviderState() {
+        this.elements.providerInput.disabled = this.elements.designationSelect.value === 'system-specific';
+    }
+
+    showControlInfo() {
+        const ctrl = ControlDesignations.normalizeControl(this.elements.controlInput.value);
+        if (!ctrl) {
+            this.elements.controlInfo.textContent = '';
+            return;
+        }
+        const current = ControlDesignations.describe(ctrl);
+        const findings = this.app.state.allRows.filter(row => row.nistControls.some(item => ControlDesignations.normalizeControl(item) === ctrl)).length;
+        this.elements.controlInfo.textContent = [
+            window.ControlCatalog ? ControlCatalog.describe(ctrl) : ctrl,
+            current ? `currently ${current.charAt(0).toLowerCase()}${current.slice(1)}` : 'currently system-specific',
+            `${findings} loaded finding(s)`
+        ].join(' · ');
+    }
+
+    async saveDesignation() {
+        const record = {
+            control: this.elements.controlInput.value,
+            designation: this.elements.designationSelect.value,
+            provider: this.elements.providerInput.value,
+            notes: this.elements.notesInput.value
+        };
+
+        try {
+            const saved = await ControlDesignations.save(record);
+            this.elements.controlInput.value = '';
+            this.elements.notesInput.value = '';
+            this.showControlInfo();
+            this.render();
+            this.app.modules.statusMessages.showSuccess(
+                `${saved.control}: ${ControlDesignations.describe(saved.control) || 'System-specific'}`, 4000
+            );
+        } catch (error) {
+            console.error('[ControlDesignationPanel] ❌ Failed to save designation:', error);
+            this.app.modules.statusMessages.showError(`Designation not saved: ${error.message}`);
+        }
+    }
+
+    render() {
+        const designations = ControlDesignations.getAll();
+        this.elements.empty.hidden = designations.length > 0;
+        this.elements.table.hidden = designations.length === 0;
+        this.elements.tbody.innerHTML = designations.map(record => `
+            <tr>
+                <td title="${PageUtils.escapeHtml(window.ControlCatalog ? ControlCatalog.describe(record.control) : record.control)}">${PageUtils.escapeHtml(record.control)}</td>
+                <td><span class="designation-tag designation-${record.designation}">${ControlDesignations.DESIGNATIONS[record.designation]}</span></td>
+                <td>${PageUtils.escapeHtml(record.provider || '-')}</td>
+                <td>${PageUtils.escapeHtml(record.notes)}</td>
+                <td><small>${new Date(record.changedAt).toLocaleString()}</small></td>
+                <td>
+                    <button type="button" class="btn btn-secondary btn-sm" data-edit-designation="${PageUtils.escapeHtml(record.control)}">Edit</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-delete-designation="${PageUtils.escapeHtml(record.control)}">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+        this.renderReport();
+    }
+
+    renderReport() {
+        const report = ControlDesignations.providerReport(this.app.state.allRows);
+        this.elements.downloadBtn.disabled = report.length === 0;
+        if (report.length === 0) {
+            this.elements.report.innerHTML = `<p class="text-muted">${this.app.state.allRows.length > 0
+                ? 'No loaded finding maps only to inherited controls.'
+                : 'Load checklists to see which findings are the provider\'s responsibility.'}</p>`;
+            return;
+        }
+        this.elements.report.innerHTML = report.map(group => `
+            <div class="summary-item"><span>${PageUtils.escapeHtml(group.provider)} (${PageUtils.escapeHtml(group.controls.join(', '))}):</span><strong>${group.findings.length} finding(s), ${group.open} open</strong></div>
+        `).join('');
+    }
+
+    async handleTableClick(event) {
+        const editControl = event.target.dataset?.editDesignation;
+        const deleteControl = event.target.dataset?.deleteDesignation;
+        const record = ControlDesignations.get(editControl || deleteControl);
+        if (!record) return;
+
+        if (editControl) {
+            this.elements.controlInput.value = record.control;
+            this.elements.designationSelect.value = record.designation;
+            this.elements.providerInput.value = record.provider;
+            this.elements.notesInput.value = record.notes;
+            this.updateProviderState();
+            this.showControlInfo();
+            return;
+        }
+
+        if (!confirm(`Remove the ${record.control} designation? The control goes back to system-specific.`)) return;
+        try {
+            await ControlDesignations.remove(record.control);
+            this.showControlInfo();
+            this.render();
+        } catch (error) {
+            console.error('[ControlDesignationPanel] ❌ Failed to delete designation:', error);
+            this.app.modules.statusMessages.showError(`Could not delete the designation: ${error.message}`);
+        }
+    }
+
+    downloadReport() {
+        const report = ControlDesignations.providerReport(this.app.state.allRows);
+        if (report.length === 0) return;
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(ControlDesignations.reportToTable(report));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `Provider_Responsibility_Report_${timestamp}.csv`);
+    }
+}
+
+// Make available globally
+window.ControlDesignationPanel = ControlDesignationPanel;
@@ -0,0 +1,106 @@
+class ConvertPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('convertChecklistsBtn'),
+            modal: document.getElementById('convertModal'),
+            list: document.getElementById('convertFileList'),
+            convertBtn: document.getElementById('runConvertBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`ConvertPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.convertBtn.addEventListener('click', () => this.convertSelected());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('ConvertPanel initialized');
+    }
+
+    // File types known for every loaded file, with the original text where this session imported it
+    getSources() {
+        const sources = {};
+        this.app.state.loadedFiles.forEach(file => {
+            sources[file.name] = { type: file.type, text: null };
+        });
+        return { ...sources, ...(this.app.state.checklistSources || {}) };
+    }
+
+    showModal() {
+        const files = this.app.state.loadedFiles;
+        if (files.length === 0) {
+            this.app.modules.statusMessages.showError('Load checklists first, then convert them.');
+            return;
+        }
+
+        this.elements.list.innerHTML = files.map((file, index) => {
+            const target = file.type === 'CKLB' ? 'CKL' : 'CKLB';
+            return `
+                <label class="closure-item">
+                    <input type="checkbox" data-file-index="${index}" checked>
+                    <span>
+                        <strong>${PageUtils.escapeHtml(file.name)}</strong><br>
+                        <small>${PageUtils.escapeHtml(file.type || 'Unknown')} → ${target} (${file.count} rules)</small>
+                    </span>
+                </label>
+            `;
+        }).join('');
+
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    async convertSelected() {
+        const selectedNames = new Set(
+            Array.from(this.elements.list.querySelectorAll('input[data-file-index]:checked'))
+                .map(input => this.app.state.loadedFiles[parseInt(input.dataset.fileIndex, 10)]?.name)
+                .filter(Boolean)
+        );
+
+        if (selectedNames.size === 0) {
+            this.closeModal();
+            return;
+        }
+
+        const statusMessages = this.app.modules.statusMessages;
+        const loadingId = statusMessages.showLoading(`Converting ${selectedNames.size} checklist(s)...`);
+
+        try {
+            const rows = this.app.state.allRows.filter(row => selectedNames.has(row._sourceFile));
+            const files = ChecklistWriter.buildChecklistFiles(rows, this.getSources(), 'other');
+            await ChecklistWriter.downloadFiles(files, 'Converted_Checklists');
+
+            statusMessages.hideMessage(loadingId);
+            this.closeModal();
+            statusMessages.showSuccess(
+                files.length === 1
+                    ? `Converted ${files[0].sourceFile} to ${files[0].filename}`
+                    : `Converted ${files.length} checklists into one ZIP`,
+                5000
+            );
+        } catch (error) {
+            console.error('[ConvertPanel] ❌ Conversion failed:', error);
+            statusMessages.hideMessage(loadingId);
+            statusMessages.showError(`Conversion failed: ${error.message}`);
+        }
+    }
+}
+
+// Make available globally
+window.ConvertPanel = ConvertPanel;
@@ -0,0 +1,157 @@
+class CrosswalkPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.report = null; // { affected, changes, converted }
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('crosswalkBtn'),
+            modal: document.getElementById('crosswalkModal'),
+            file: document.getElementById('crosswalkFile'),
+            fileName: document.getElementById('crosswalkFileName'),
+            summary: document.getElementById('crosswalkSummary'),
+            details: document.getElementById('crosswalkDetails'),
+            downloadBtn: document.getElementById('downloadCrosswalkReportBtn'),
+            convertBtn: document.getElementById('convertRev5Btn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`CrosswalkPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.file.addEventListener('change', (e) => this.handleCrosswalkUpload(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadReport());
+        this.elements.convertBtn.addEventListener('click', () => this.convertFindings());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('CrosswalkPanel initialized');
+    }
+
+    async showModal() {
+        try {
+            await ControlCrosswalk.load();
+        } catch (error) {
+            console.error('[CrosswalkPanel] ❌ Failed to read the crosswalk:', error);
+            this.app.modules.statusMessages.showError(`Could not read the control crosswalk: ${error.message}`);
+        }
+        this.renderPreview();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    async handleCrosswalkUpload(event) {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        try {
+            const parsed = await ControlCrosswalk.parseFile(file);
+            await ControlCrosswalk.save(parsed);
+            const info = ControlCrosswalk.getInfo();
+            this.app.modules.statusMessages.showSuccess(`Loaded crosswalk ${info.fileName}: ${info.count} Rev 4 controls (${info.withdrawn} withdrawn)`, 4000);
+            this.renderPreview();
+        } catch (error) {
+            console.error('[CrosswalkPanel] ❌ Crosswalk load failed:', error);
+            this.app.modules.statusMessages.showError(`Could not load the crosswalk: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    renderPreview() {
+        const info = ControlCrosswalk.getInfo();
+        this.elements.fileName.textContent = info
+            ? `${info.fileName} (${info.count} Rev 4 controls, ${info.withdrawn} withdrawn)`
+            : 'No crosswalk loaded';
+
+        if (!info) {
+            this.report = null;
+            this.renderReport();
+            return;
+        }
+        this.report = { ...ControlCrosswalk.previewRows(this.app.state.allRows), converted: false };
+        this.renderReport();
+    }
+
+    renderReport() {
+        const report = this.report;
+        this.elements.convertBtn.disabled = !report || report.converted || report.affected === 0;
+        this.elements.downloadBtn.disabled = !report || report.changes.length === 0;
+
+        if (!report) {
+            this.elements.summary.innerHTML = '<p>Load a crosswalk file to convert Rev 4 control IDs.</p>';
+            this.elements.details.innerHTML = '';
+            return;
+        }
+
+        const withdrawn = report.changes.filter(change => change.status === 'withdrawn');
+        this.elements.summary.innerHTML = `
+            <div class="summary-item"><span>${report.converted ? 'Findings converted' : 'Findings with Rev 4 controls'}:</span><strong>${report.affected}</strong></div>
+            <div class="summary-item"><span>Rev 4 controls replaced:</span><strong>${report.changes.length - withdrawn.length}</strong></div>
+            <div class="summary-item"><span>Withdrawn controls:</span><strong>${withdrawn.length}</strong></div>
+        `;
+        if (report.changes.length === 0) {
+            this.elements.details.innerHTML = `<p>${this.app.state.allRows.length > 0 ? 'No loaded finding carries a control the crosswalk changes.' : 'Load checklists to see which controls would change.'}</p>`;
+            return;
+        }
+
+        this.elements.details.innerHTML = `
+            <div class="import-report-table">
+                <table class="asset-table">
+                    <thead>
+                        <tr><th>Rev 4</th><th>Change</th><th>Findings</th><th>Crosswalk note</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.changes.map(change => `
+                            <tr class="${change.status === 'withdrawn' ? 'crosswalk-withdrawn' : ''}">
+                                <td>${PageUtils.escapeHtml(change.control)}</td>
+                                <td>${PageUtils.escapeHtml(ControlCrosswalk.describeChange(change))}</td>
+                                <td>${change.count}</td>
+                                <td>${PageUtils.escapeHtml(change.note)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    convertFindings() {
+        const state = this.app.state;
+        if (!ControlCrosswalk.hasCrosswalk() || state.allRows.length === 0) return;
+
+        const result = ControlCrosswalk.convertRows(state.allRows);
+        this.report = { ...result, converted: true };
+        this.renderReport();
+
+        // Rehydrate-style refresh so the conversion summary replaces the generic "Loaded N rules" message
+        this.app.processLoadedData(state.loadedFiles, true);
+        const withdrawn = result.changes.filter(change => change.status === 'withdrawn').length;
+        this.app.modules.statusMessages.showSuccess(
+            `Converted ${result.affected} finding(s) to Rev 5 controls${withdrawn > 0 ? `; ${withdrawn} withdrawn control(s) need review` : ''}`, 5000
+        );
+    }
+
+    downloadReport() {
+        if (!this.report || this.report.changes.length === 0) return;
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(ControlCrosswalk.reportToTable(this.report.changes));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `Rev4_to_Rev5_Crosswalk_Report_${timestamp}.csv`);
+    }
+}
+
+// Make available globally
+window.CrosswalkPanel = CrosswalkPanel;
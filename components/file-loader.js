@@ -2,11 +2,16 @@ class FileLoader {
     constructor(app) {
         this.app = app;
         this.supportedFormats = {
-            stig: ['.json', '.cklb', '.ckl', '.xml'],
+            stig: ['.json', '.cklb', '.ckl', '.xml', '.zip'],
             cci: ['.xml']
         };
+        // Extensions that are imported from inside a ZIP; nested archives are skipped
+        this.archiveEntryFormats = ['.json', '.cklb', '.ckl', '.xml'];
         this.maxFileSize = 100 * 1024 * 1024; // 100MB
+        this.maxArchiveSize = 500 * 1024 * 1024; // 500MB
         this.maxFiles = 50;
+        this.maxArchiveEntries = 5000;
+        this.lastImportReport = null;
     }
 
     init() {
@@ -25,12 +30,13 @@ class FileLoader {
         // Check each file
         files.forEach((file, index) => {
             // Check file size
-            if (file.size > this.maxFileSize) {
-                errors.push(`File "${file.name}" is too large. Maximum size is ${this.formatFileSize(this.maxFileSize)}.`);
+            const extension = this.getFileExtension(file.name);
+            const maxSize = extension === '.zip' ? this.maxArchiveSize : this.maxFileSize;
+            if (file.size > maxSize) {
+                errors.push(`File "${file.name}" is too large. Maximum size is ${this.formatFileSize(maxSize)}.`);
             }
 
             // Check file extension
-            const extension = this.getFileExtension(file.name);
             if (!supportedExts.includes(extension)) {
                 errors.push(`File "${file.name}" has unsupported format. Supported formats: ${supportedExts.join(', ')}`);
             }
@@ -64,6 +70,77 @@ class FileLoader {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    isArchive(file) {
+        return this.getFileExtension(file.name) === '.zip';
+    }
+
+    /*
+     * Replace every .zip in the list with the checklist entries it contains.
+     * Entries become File objects named "<archive>/<path inside archive>" so nested folders stay distinguishable.
+     * Returns { files, skipped } where skipped lists entries that were not imported, with the reason.
+     */
+    async expandArchives(files) {
+        const expanded = [];
+        const skipped = [];
+
+        for (const file of files) {
+            if (!this.isArchive(file)) {
+                expanded.push(file);
+                continue;
+            }
+
+            let entries;
+            try {
+                entries = ZipArchive.readZip(await file.arrayBuffer());
+            } catch (error) {
+                console.warn(`[FileLoader] ⚠️ Could not read archive "${file.name}":`, error.message);
+                skipped.push({ name: file.name, archive: file.name, reason: `Could not read archive: ${error.message}` });
+                continue;
+            }
+
+            let imported = 0;
+            for (const entry of entries) {
+                const entryName = `${file.name}/${entry.path}`;
+                const extension = this.getFileExtension(entry.name);
+
+                if (entry.isDirectory || entry.path.startsWith('__MACOSX/') || entry.name.startsWith('._')) {
+                    continue;
+                }
+                if (extension === '.zip') {
+                    console.warn(`[FileLoader] ⚠️ Skipping nested archive: ${entryName}`);
+                    skipped.push({ name: entryName, archive: file.name, reason: 'Nested archive (not expanded)' });
+                    continue;
+                }
+                if (!this.archiveEntryFormats.includes(extension)) {
+                    console.warn(`[FileLoader] ⚠️ Skipping non-checklist entry: ${entryName}`);
+                    skipped.push({ name: entryName, archive: file.name, reason: 'Not a checklist file' });
+                    continue;
+                }
+                if (!entry.supported) {
+                    skipped.push({ name: entryName, archive: file.name, reason: entry.encrypted ? 'Encrypted entry' : 'Unsupported compression' });
+                    continue;
+                }
+                if (imported >= this.maxArchiveEntries) {
+                    skipped.push({ name: entryName, archive: file.name, reason: `Archive entry limit (${this.maxArchiveEntries}) reached` });
+                    continue;
+                }
+
+                try {
+                    const bytes = await entry.bytes();
+                    expanded.push(new File([bytes], entryName, { lastModified: file.lastModified }));
+                    imported++;
+                } catch (error) {
+                    console.warn(`[FileLoader] ⚠️ Could not extract ${entryName}:`, error.message);
+                    skipped.push({ name: entryName, archive: file.name, reason: `Could not extract: ${error.message}` });
+                }
+            }
+
+            console.log(`[FileLoader] 📦 Expanded ${file.name}: ${imported} checklist entries, ${skipped.filter(s => s.archive === file.name).length} skipped`);
+        }
+
+        return { files: expanded, skipped };
+    }
+
     async processFiles(files, type = 'stig', customCciMap = null) {
         const validation = this.validateFiles(files, type);
         
@@ -73,6 +150,13 @@ class FileLoader {
 
         const results = [];
         const errors = [];
+        let skipped = [];
+
+        if (type === 'stig') {
+            const expansion = await this.expandArchives(files);
+            files = expansion.files;
+            skipped = expansion.skipped;
+        }
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
@@ -88,16 +172,17 @@ class FileLoader {
                     }
                 }));
 
+                const onProgress = progress => this.trackProgress(i + 1, files.length, file.name, progress);
                 let result;
                 if (type === 'stig') {
-                    result = await FileImporter.processFile(file, customCciMap);
+                    result = await ImportWorker.parseFile(file, customCciMap, onProgress);
                     result.fileName = file.name;
                     result.fileSize = file.size;
                 } else if (type === 'cci') {
-                    const text = await file.text();
+                    const { mapping } = await ImportWorker.parseCciFile(file, onProgress);
                     result = {
                         type: 'CCI',
-                        mapping: FileImporter.parseCciXml(text),
+                        mapping,
                         fileName: file.name,
                         fileSize: file.size
                     };
@@ -119,6 +204,7 @@ class FileLoader {
             detail: {
                 results,
                 errors,
+                skipped,
                 totalFiles: files.length,
                 successCount: results.length,
                 errorCount: errors.length
@@ -128,11 +214,117 @@ class FileLoader {
         return {
             results,
             errors,
+            skipped,
             hasErrors: errors.length > 0,
             allSuccessful: errors.length === 0
         };
     }
 
+    // Per-entry import report: [{ name, status: 'success'|'failed'|'skipped', type, count, message }]
+    showImportReport(report) {
+        const modal = document.getElementById('importReportModal');
+        const summary = document.getElementById('importReportSummary');
+        const body = document.getElementById('importReportBody');
+        if (!modal || !summary || !body) return;
+
+        this.lastImportReport = report;
+
+        const counts = { success: 0, failed: 0, skipped: 0 };
+        report.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+        const validations = report.map(item => item.validation).filter(Boolean);
+        const withWarnings = validations.filter(v => ImportValidator.getLevel(v) === 'warning').length;
+        summary.innerHTML = `
+            <span class="change-summary-item"><span class="badge not_a_finding">Imported</span><strong>${counts.success}</strong></span>
+            <span class="change-summary-item"><span class="badge open">Failed</span><strong>${counts.failed}</strong></span>
+            <span class="change-summary-item"><span class="badge not_reviewed">Skipped</span><strong>${counts.skipped}</strong></span>
+            <span class="change-summary-item"><span class="badge not_applicable">With warnings</span><strong>${withWarnings}</strong></span>
+        `;
+
+        const order = { failed: 0, skipped: 1, success: 2 };
+        const escape = PageUtils.escapeHtml;
+        body.innerHTML = report
+            .slice()
+            .sort((a, b) => order[a.status] - order[b.status])
+            .map(item => `
+                <tr>
+                    <td>${escape(item.name)}</td>
+                    <td><span class="badge ${item.status === 'success' ? 'not_a_finding' : item.status === 'failed' ? 'open' : 'not_reviewed'}">${item.status}</span></td>
+                    <td>${escape(item.type || '')}</td>
+                    <td>${item.count ?? ''}</td>
+                    <td>${this.renderValidationSummary(item.validation)}</td>
+                    <td>${escape(item.message || '')}</td>
+                </tr>
+                ${this.renderValidationDetails(item.validation, escape)}
+            `).join('');
+
+        if (!modal.dataset.bound) {
+            modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+                btn.addEventListener('click', () => { modal.style.display = 'none'; });
+            });
+            const downloadBtn = document.getElementById('downloadImportReportBtn');
+            if (downloadBtn) {
+                downloadBtn.addEventListener('click', () => this.downloadImportReport());
+            }
+            modal.dataset.bound = 'true';
+        }
+        modal.style.display = 'block';
+    }
+
+    renderValidationSummary(validation) {
+        if (!validation) return '';
+        const level = ImportValidator.getLevel(validation);
+        if (level === 'ok') return '<span class="badge not_a_finding">OK</span>';
+        return [
+            validation.errors.length ? `<span class="badge open">${validation.errors.length} error(s)</span>` : '',
+            validation.warnings.length ? `<span class="badge not_applicable">${validation.warnings.length} warning(s)</span>` : ''
+        ].join(' ');
+    }
+
+    // Expandable list of issues under a file's row; the CSV carries the full rule lists
+    renderValidationDetails(validation, escape) {
+        if (!validation || ImportValidator.getLevel(validation) === 'ok') return '';
+        const issues = [
+            ...validation.errors.map(issue => ({ ...issue, level: 'error' })),
+            ...validation.warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ];
+        const limit = ImportValidator.DETAIL_LIMIT;
+        const list = issues.map(issue => {
+            const items = issue.items.slice(0, limit)
+                .map(item => escape(item.detail ? `${item.rule} (${item.detail})` : item.rule))
+                .join(', ');
+            const more = issue.items.length > limit ? `, …and ${issue.items.length - limit} more` : '';
+            return `
+                <li class="validation-${issue.level}">
+                    <strong>${escape(issue.check)}:</strong> ${escape(issue.message)}
+                    ${items ? `<div class="validation-items">${items}${more}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <tr class="validation-details-row">
+                <td colspan="6">
+                    <details ${validation.errors.length ? 'open' : ''}>
+                        <summary>Validation details</summary>
+                        <ul class="validation-issues">${list}</ul>
+                    </details>
+                </td>
+            </tr>
+        `;
+    }
+
+    downloadImportReport() {
+        if (!this.lastImportReport) return;
+        const exporter = new ExcelExporter();
+        const table = ImportValidator.toTable(this.lastImportReport.map(item => item.validation).filter(Boolean));
+        // Files skipped before parsing have no validation report; list them so the CSV covers the whole batch
+        this.lastImportReport
+            .filter(item => item.status === 'skipped')
+            .forEach(item => table.push([item.name, '', 'Skipped', '', '', '', item.message || '']));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(exporter.convertToCSV(table), `Import_Validation_Report_${timestamp}.csv`);
+    }
+
     createFileInfo(file) {
         return {
             name: file.name,
@@ -240,8 +432,17 @@ class FileLoader {
     }
 
     // Progress tracking
-    trackProgress(current, total, fileName = '') {
-        const percentage = Math.round((current / total) * 100);
+    // ruleProgress ({ phase: 'reading'|'parsing'|'rules', done, total }) reports progress inside file `current`
+    trackProgress(current, total, fileName = '', ruleProgress = null) {
+        let fileFraction = 1;
+        if (ruleProgress) {
+            const fraction = ruleProgress.total ? ruleProgress.done / ruleProgress.total : 0;
+            // Scanning the XML is the first half of a file's work, building rules the second
+            fileFraction = ruleProgress.phase === 'parsing' ? fraction / 2
+                : ruleProgress.phase === 'rules' ? 0.5 + fraction / 2
+                : 0;
+        }
+        const percentage = total > 0 ? Math.round(((current - 1 + fileFraction) / total) * 100) : 100;
         
         document.dispatchEvent(new CustomEvent('fileLoadProgress', {
             detail: {
@@ -249,7 +450,8 @@ class FileLoader {
                 total,
                 percentage,
                 fileName,
-                isComplete: current === total
+                ruleProgress,
+                isComplete: current === total && !ruleProgress
             }
         }));
 
@@ -8,6 +8,7 @@ class FilterPanel {
             severity: '',
             status: '',
             stig: '',
+            host: '',
             cci: '',    
             search: ''
         };
@@ -20,9 +21,12 @@ class FilterPanel {
             severity: elements.severity,
             status: elements.status,
             stig: elements.stig,
+            host: elements.host,
             cci: elements.cci,
             search: elements.search
         };
+        // Optional container for the per-framework selects; kept apart because it is not a value element
+        this.frameworkContainer = elements.frameworks || null;
 
         // Validate elements
         const missingElements = Object.entries(this.elements)
@@ -49,12 +53,15 @@ class FilterPanel {
             const sortedFamilies = Array.from(facets.families).sort();
             const sortedControls = Array.from(facets.controls).sort();
             const sortedStigs = Array.from(facets.stigNames).sort();
+            const sortedHosts = Array.from(facets.hosts).sort();
             
             this.setOptions(this.elements.family, ['', ...sortedFamilies]);
-            this.setOptions(this.elements.control, ['', ...sortedControls]);
+            this.setOptions(this.elements.control, ['', ...sortedControls], control => this.describeControl(control));
             this.setOptions(this.elements.stig, ['', ...sortedStigs]);
+            this.setOptions(this.elements.host, ['', ...sortedHosts]);
+            this.populateFrameworkFilters(rows);
 
-            console.log(`FilterPanel: Populated facets - ${facets.families.size} families, ${facets.controls.size} controls, ${facets.stigNames.size} STIGs`);
+            console.log(`FilterPanel: Populated facets - ${facets.families.size} families, ${facets.controls.size} controls, ${facets.stigNames.size} STIGs, ${facets.hosts.size} hosts`);
         } catch (error) {
             console.error('FilterPanel: Error populating facets:', error);
             this.clearAllOptions();
@@ -65,6 +72,7 @@ class FilterPanel {
         const families = new Set();
         const controls = new Set();
         const stigNames = new Set();
+        const hosts = new Set();
 
         for (const row of rows) {
             try {
@@ -86,15 +94,21 @@ class FilterPanel {
                 if (row.stig_name && typeof row.stig_name === 'string') {
                     stigNames.add(row.stig_name);
                 }
+
+                // Add hosts
+                const host = row.host_name || row.host_fqdn || row.host_ip;
+                if (host && typeof host === 'string') {
+                    hosts.add(host);
+                }
             } catch (error) {
                 console.warn('FilterPanel: Error processing row:', error, row);
             }
         }
 
-        return { families, controls, stigNames };
+        return { families, controls, stigNames, hosts };
     }
 
-    setOptions(selectElement, values) {
+    setOptions(selectElement, values, labelFor = null) {
         if (!selectElement) return;
 
         const previousValue = selectElement.value;
@@ -103,7 +117,7 @@ class FilterPanel {
         values.forEach(value => {
             const option = document.createElement('option');
             option.value = value;
-            option.textContent = value || 'All';
+            option.textContent = value ? (labelFor ? labelFor(value) : value) : 'All';
             selectElement.appendChild(option);
         });
 
@@ -113,11 +127,53 @@ class FilterPanel {
         }
     }
 
+    // One select per loaded framework crosswalk listing the requirements the loaded findings map to
+    populateFrameworkFilters(rows) {
+        const container = this.frameworkContainer;
+        if (!container) return;
+        const names = window.FrameworkCrosswalks ? FrameworkCrosswalks.getNames() : [];
+        const previous = new Map(Array.from(container.querySelectorAll('select[data-framework-filter]'))
+            .map(select => [select.dataset.frameworkFilter, select.value]));
+
+        container.innerHTML = '';
+        container.hidden = names.length === 0;
+        names.forEach(name => {
+            const ids = new Set();
+            rows.forEach(row => FrameworkCrosswalks.requirementsFor(row, name).forEach(id => ids.add(id)));
+            const requirements = FrameworkCrosswalks.getFramework(name).requirements;
+
+            const filter = document.createElement('div');
+            filter.className = 'filter';
+            const label = document.createElement('label');
+            label.textContent = name;
+            const select = document.createElement('select');
+            select.dataset.frameworkFilter = name;
+            this.setOptions(select, ['', '__none__', ...Array.from(ids).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))], id => {
+                if (id === '__none__') return `(not mapped to ${name})`;
+                return requirements[id]?.title ? `${id} — ${requirements[id].title}` : id;
+            });
+            if (previous.has(name) && Array.from(select.options).some(option => option.value === previous.get(name))) {
+                select.value = previous.get(name);
+            }
+            filter.append(label, select);
+            container.appendChild(filter);
+        });
+    }
+
+    // 'AC-2(4) — Automated Audit Actions' once the OSCAL catalog is loaded; outside-baseline controls are marked
+    describeControl(control) {
+        if (!window.ControlCatalog) return control;
+        const record = ControlCatalog.lookup(control);
+        const outside = ControlCatalog.inBaseline(control) === false ? ' [outside baseline]' : '';
+        return record ? `${control} — ${record.title}${outside}` : `${control}${outside}`;
+    }
+
     clearAllOptions() {
         const defaultOptions = {
             family: [''],
             control: [''],
             stig: [''],
+            host: [''],
             severity: ['', 'low', 'medium', 'high', 'critical'],
             status: ['', 'open', 'not_a_finding', 'not_applicable', 'failed', 'passed', 'not_reviewed']
         };
@@ -127,6 +183,7 @@ class FilterPanel {
                 this.setOptions(this.elements[key], options);
             }
         });
+        this.populateFrameworkFilters([]);
     }
 
     getFilterValues() {
@@ -157,6 +214,9 @@ class FilterPanel {
                 element.value = '';
             }
         });
+        this.frameworkContainer?.querySelectorAll('select').forEach(select => {
+            select.value = '';
+        });
 
         this.filterState = {
             family: '',
@@ -164,6 +224,7 @@ class FilterPanel {
             severity: '',
             status: '',
             stig: '',
+            host: '',
             cci: '',
             search: ''
         };
@@ -233,6 +294,7 @@ class FilterPanel {
             severity: 'Severity',
             status: 'Status',
             stig: 'STIG',
+            host: 'Host',
             cci: 'CCI',
             search: 'Search'
         };
@@ -0,0 +1,164 @@
+class FrameworkPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('frameworksBtn'),
+            modal: document.getElementById('frameworkModal'),
+            file: document.getElementById('frameworkFile'),
+            list: document.getElementById('frameworkList'),
+            summary: document.getElementById('frameworkSummary'),
+            downloadBtn: document.getElementById('downloadFrameworkSummaryBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`FrameworkPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.file.addEventListener('change', (e) => this.handleFrameworkUpload(e));
+        this.elements.list.addEventListener('click', (e) => this.handleListClick(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadSummary());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('FrameworkPanel initialized');
+    }
+
+    async showModal() {
+        try {
+            await FrameworkCrosswalks.load();
+        } catch (error) {
+            console.error('[FrameworkPanel] ❌ Failed to read framework crosswalks:', error);
+            this.app.modules.statusMessages.showError(`Could not read framework crosswalks: ${error.message}`);
+        }
+        this.render();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    async handleFrameworkUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const loaded = [];
+        for (const file of files) {
+            try {
+                const parsed = await FrameworkCrosswalks.parseFile(file);
+                await FrameworkCrosswalks.save(parsed);
+                loaded.push(`${parsed.name} (${Object.keys(parsed.requirements).length} requirements)`);
+            } catch (error) {
+                console.error('[FrameworkPanel] ❌ Failed to load', file.name, error);
+                this.app.modules.statusMessages.showError(`Could not load ${file.name}: ${error.message}`);
+            }
+        }
+        event.target.value = '';
+        if (loaded.length === 0) return;
+
+        this.app.refreshControlDisplay();
+        this.render();
+        this.app.modules.statusMessages.showSuccess(`Loaded framework crosswalk ${loaded.join(', ')}`, 4000);
+    }
+
+    async handleListClick(event) {
+        const name = event.target.dataset?.removeFramework;
+        if (!name || !confirm(`Remove the ${name} crosswalk?`)) return;
+        try {
+            await FrameworkCrosswalks.remove(name);
+            this.app.refreshControlDisplay();
+            this.render();
+        } catch (error) {
+            console.error('[FrameworkPanel] ❌ Failed to remove framework:', error);
+            this.app.modules.statusMessages.showError(`Could not remove ${name}: ${error.message}`);
+        }
+    }
+
+    getSummaries() {
+        return FrameworkCrosswalks.getNames().map(name => FrameworkCrosswalks.summarize(this.app.state.allRows, name));
+    }
+
+    render() {
+        const names = FrameworkCrosswalks.getNames();
+        this.elements.list.innerHTML = names.length === 0
+            ? '<p class="text-muted">No framework crosswalks loaded.</p>'
+            : names.map(name => {
+                const framework = FrameworkCrosswalks.getFramework(name);
+                return `
+                    <div class="framework-item">
+                        <strong>${PageUtils.escapeHtml(name)}</strong>
+                        <span class="text-muted">${PageUtils.escapeHtml(framework.fileName)} · ${Object.keys(framework.requirements).length} requirements</span>
+                        <button type="button" class="btn btn-secondary btn-sm" data-remove-framework="${PageUtils.escapeHtml(name)}">Remove</button>
+                    </div>
+                `;
+            }).join('');
+
+        const summaries = this.getSummaries();
+        this.elements.downloadBtn.disabled = summaries.length === 0;
+        if (summaries.length === 0 || this.app.state.allRows.length === 0) {
+            this.elements.summary.innerHTML = summaries.length > 0 ? '<p>Load checklists to see the compliance summary.</p>' : '';
+            return;
+        }
+        this.elements.summary.innerHTML = summaries.map(summary => this.renderSummary(summary)).join('');
+    }
+
+    renderSummary(summary) {
+        const t = summary.totals;
+        const assessed = t.requirements - t.notAssessed;
+        return `
+            <div class="framework-summary">
+                <h4>${PageUtils.escapeHtml(summary.name)}: ${t.percentCompliant}% compliant</h4>
+                <div class="upgrade-summary">
+                    <div class="summary-item"><span>Compliant:</span><strong>${t.compliant} of ${assessed} assessed</strong></div>
+                    <div class="summary-item"><span>Non-compliant (open findings):</span><strong>${t.nonCompliant}</strong></div>
+                    <div class="summary-item"><span>Not reviewed:</span><strong>${t.notReviewed}</strong></div>
+                    <div class="summary-item"><span>Not assessed (no mapped findings):</span><strong>${t.notAssessed}</strong></div>
+                </div>
+                <div class="import-report-table">
+                    <table class="asset-table">
+                        <thead>
+                            <tr><th>Requirement</th><th>800-53</th><th>Findings</th><th>Open</th><th>Not a Finding</th><th>N/A</th><th>Not Reviewed</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${summary.requirements.filter(requirement => requirement.findings > 0).map(requirement => `
+                                <tr>
+                                    <td title="${PageUtils.escapeHtml(requirement.title)}">${PageUtils.escapeHtml(requirement.id)}</td>
+                                    <td>${PageUtils.escapeHtml(requirement.controls.join(', '))}</td>
+                                    <td>${requirement.findings}</td>
+                                    <td>${requirement.open}</td>
+                                    <td>${requirement.notAFinding}</td>
+                                    <td>${requirement.notApplicable}</td>
+                                    <td>${requirement.notReviewed}</td>
+                                    <td><span class="framework-status framework-status-${requirement.status.toLowerCase().replace(/\s+/g, '-')}">${requirement.status}</span></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    downloadSummary() {
+        const summaries = this.getSummaries();
+        if (summaries.length === 0) return;
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(FrameworkCrosswalks.summaryToTable(summaries));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `Framework_Compliance_Summary_${timestamp}.csv`);
+    }
+}
+
+// Make available globally
+window.FrameworkPanel = FrameworkPanel;
@@ -0,0 +1,195 @@
+class LibraryPage {
+    constructor(dataManager, statusMessages) {
+        this.dataManager = dataManager;
+        this.statusMessages = statusMessages;
+        this.elements = {};
+        this.records = [];
+        this.outdated = [];
+    }
+
+    async init() {
+        this.elements = {
+            file: document.getElementById('libraryBenchmarkFile'),
+            downloadBtn: document.getElementById('downloadOutdatedBtn'),
+            empty: document.getElementById('libraryEmpty'),
+            table: document.getElementById('libraryTable'),
+            tbody: document.getElementById('libraryTableBody'),
+            outdatedSummary: document.getElementById('outdatedSummary'),
+            outdatedTable: document.getElementById('outdatedTable'),
+            outdatedBody: document.getElementById('outdatedTableBody')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`LibraryPage: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.file.addEventListener('change', (e) => this.handleBenchmarkUpload(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadOutdatedReport());
+        this.elements.tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-id]');
+            if (button) this.removeVersion(Number(button.dataset.removeId));
+        });
+
+        await this.refresh();
+        console.log('LibraryPage initialized');
+    }
+
+    async refresh() {
+        try {
+            this.records = await StigLibrary.getAll();
+        } catch (error) {
+            console.error('[LibraryPage] ❌ Failed to read the STIG library:', error);
+            this.statusMessages?.showError(`Could not read the STIG library: ${error.message}`);
+            this.records = [];
+        }
+
+        const rows = this.dataManager ? await this.dataManager.getAllStigRows() : [];
+        this.outdated = StigLibrary.findOutdated(rows, this.records);
+
+        this.renderLibrary();
+        this.renderOutdated();
+    }
+
+    async handleBenchmarkUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const loadingId = this.statusMessages?.showLoading('Adding benchmarks to the library...');
+        const added = [];
+        const failures = [];
+
+        try {
+            const benchmarkFiles = [];
+            for (const file of files) {
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    benchmarkFiles.push(...await StigLibrary.extractBenchmarkFiles(file));
+                } else {
+                    benchmarkFiles.push(file);
+                }
+            }
+
+            for (const file of benchmarkFiles) {
+                try {
+                    const parsed = await ImportWorker.parseBenchmarkFile(file);
+                    added.push(await StigLibrary.addBenchmark(file.name, parsed));
+                } catch (error) {
+                    console.error(`[LibraryPage] ❌ Failed to add ${file.name}:`, error);
+                    failures.push(`${file.name}: ${error.message}`);
+                }
+            }
+
+            this.statusMessages?.hideMessage(loadingId);
+            await this.refresh();
+
+            if (added.length > 0) {
+                this.statusMessages?.showSuccess(
+                    `Added ${added.map(record => `${record.title} ${StigLibrary.formatRelease(record)}`).join(', ')}`, 5000
+                );
+            }
+            if (failures.length > 0 || benchmarkFiles.length === 0) {
+                this.statusMessages?.showError(
+                    benchmarkFiles.length === 0 ? 'No *_Manual-xccdf.xml benchmark found' : `Skipped: ${failures.join('; ')}`, 8000
+                );
+            }
+        } catch (error) {
+            console.error('[LibraryPage] ❌ Benchmark import failed:', error);
+            this.statusMessages?.hideMessage(loadingId);
+            this.statusMessages?.showError(`Benchmark import failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    async removeVersion(id) {
+        const record = this.records.find(r => r.id === id);
+        if (!record) return;
+        if (!confirm(`Remove ${record.title} ${StigLibrary.formatRelease(record)} from the library?`)) return;
+
+        await StigLibrary.remove(id);
+        await this.refresh();
+        this.statusMessages?.showSuccess('Benchmark removed from the library', 3000);
+    }
+
+    renderLibrary() {
+        const groups = StigLibrary.groupByStig(this.records);
+        this.elements.empty.hidden = groups.length > 0;
+        this.elements.table.hidden = groups.length === 0;
+
+        this.elements.tbody.innerHTML = groups.map(group => {
+            const latest = group.latest;
+            const versions = group.versions.map(record => `
+                <span class="library-version" title="${PageUtils.escapeHtml(record.fileName)}">
+                    ${StigLibrary.formatRelease(record)}
+                    <small>${PageUtils.escapeHtml(record.benchmarkDate || 'no date')} · ${record.ruleCount} rules</small>
+                    <button type="button" class="library-version-remove" data-remove-id="${record.id}" title="Remove this version">&times;</button>
+                </span>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>${PageUtils.escapeHtml(group.title)}</td>
+                    <td>${PageUtils.escapeHtml(group.stigId)}</td>
+                    <td><strong>${StigLibrary.formatRelease(latest)}</strong><br><small>${PageUtils.escapeHtml(latest.benchmarkDate)}</small></td>
+                    <td>${versions}</td>
+                    <td>${latest.ruleCount} (CAT I ${latest.severityCounts.high}, CAT II ${latest.severityCounts.medium}, CAT III ${latest.severityCounts.low})</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    renderOutdated() {
+        const counts = { behind: 0, current: 0, ahead: 0, unknown_version: 0, not_in_library: 0 };
+        this.outdated.forEach(entry => { counts[entry.status]++; });
+
+        this.elements.outdatedSummary.innerHTML = `
+            <span class="change-summary-item"><span class="badge open">Behind</span><strong>${counts.behind}</strong></span>
+            <span class="change-summary-item"><span class="badge not_a_finding">Current</span><strong>${counts.current}</strong></span>
+            <span class="change-summary-item"><span class="badge not_applicable">Not in library</span><strong>${counts.not_in_library}</strong></span>
+            <span class="change-summary-item"><span class="badge not_reviewed">Newer / unknown</span><strong>${counts.ahead + counts.unknown_version}</strong></span>
+        `;
+
+        // Behind first, then STIGs the library does not hold
+        const order = { behind: 0, not_in_library: 1, unknown_version: 2, ahead: 3, current: 4 };
+        const badge = {
+            behind: 'open',
+            current: 'not_a_finding',
+            not_in_library: 'not_applicable',
+            ahead: 'not_reviewed',
+            unknown_version: 'not_reviewed'
+        };
+
+        this.elements.outdatedTable.hidden = this.outdated.length === 0;
+        this.elements.outdatedBody.innerHTML = this.outdated
+            .slice()
+            .sort((a, b) => order[a.status] - order[b.status])
+            .map(entry => `
+                <tr>
+                    <td>${PageUtils.escapeHtml(entry.title)}<br><small>${PageUtils.escapeHtml(entry.stigId)}</small></td>
+                    <td>${PageUtils.escapeHtml(entry.file)}</td>
+                    <td>${PageUtils.escapeHtml(entry.host)}</td>
+                    <td>${entry.loadedRelease}</td>
+                    <td>${entry.latestRelease}${entry.latestDate ? `<br><small>${PageUtils.escapeHtml(entry.latestDate)}</small>` : ''}</td>
+                    <td><span class="badge ${badge[entry.status]}">${entry.status.replace(/_/g, ' ')}</span></td>
+                </tr>
+            `).join('');
+    }
+
+    downloadOutdatedReport() {
+        if (this.outdated.length === 0) {
+            this.statusMessages?.showError('No loaded checklists to compare. Load checklists on the STIG Analysis page first.');
+            return;
+        }
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(StigLibrary.outdatedToTable(this.outdated));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `Checklists_Out_of_Date_${timestamp}.csv`);
+    }
+}
+
+// Make available globally
+window.LibraryPage = LibraryPage;
@@ -48,6 +48,18 @@ class Navigation {
                     </svg>
                     STIG Analysis
                 </a>
+                <a href="${pathPrefix}pages/stig-library.html" class="nav-link ${this.currentPage === 'library' ? 'active' : ''}">
+                    <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="nav-icon">
+                        <path d="M1 2.828c.885-.37 2.154-.769 3.388-.893 1.33-.134 2.458.063 3.112.752v9.746c-.935-.53-2.12-.603-3.213-.493-1.18.12-2.37.461-3.287.811V2.828zm7.5-.141c.654-.689 1.782-.886 3.112-.752 1.234.124 2.503.523 3.388.893v9.923c-.918-.35-2.107-.692-3.287-.81-1.094-.111-2.278-.039-3.213.492V2.687zM8 1.783C7.015.936 5.587.81 4.287.94c-1.514.153-3.042.672-3.994 1.105A.5.5 0 0 0 0 2.5v11a.5.5 0 0 0 .707.455c.882-.4 2.303-.881 3.68-1.02 1.409-.142 2.59.087 3.223.877a.5.5 0 0 0 .78 0c.633-.79 1.814-1.019 3.222-.877 1.378.139 2.8.62 3.681 1.02A.5.5 0 0 0 16 13.5v-11a.5.5 0 0 0-.293-.455c-.952-.433-2.48-.952-3.994-1.105C10.413.809 8.985.936 8 1.783z"/>
+                    </svg>
+                    STIG Library
+                </a>
+                <a href="${pathPrefix}pages/cci-browser.html" class="nav-link ${this.currentPage === 'cci-browser' ? 'active' : ''}">
+                    <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="nav-icon">
+                        <path d="M11.742 10.344a6.5 6.5 0 1 0-1.397 1.398h-.001c.03.04.062.078.098.115l3.85 3.85a1 1 0 0 0 1.415-1.414l-3.85-3.85a1.007 1.007 0 0 0-.115-.1zM12 6.5a5.5 5.5 0 1 1-11 0 5.5 5.5 0 0 1 11 0z"/>
+                    </svg>
+                    CCI Browser
+                </a>
                 <a href="${pathPrefix}pages/poams.html" class="nav-link ${isPoamRelated ? 'active' : ''}">
                     <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" class="nav-icon">
                         <path d="M2.5 3A1.5 1.5 0 0 0 1 4.5v.793c.026.009.051.02.076.032L7.674 8.51c.206.1.446.1.652 0l6.598-3.185A.755.755 0 0 1 15 5.293V4.5A1.5 1.5 0 0 0 13.5 3h-11Z"/>
@@ -141,7 +153,11 @@ function initNavigation() {
     const path = window.location.pathname;
     let currentPage = 'dashboard';
     
-    if (path.includes('stigs.html')) {
+    if (path.includes('stig-library.html')) {
+        currentPage = 'library';
+    } else if (path.includes('cci-browser.html')) {
+        currentPage = 'cci-browser';
+    } else if (path.includes('stigs.html')) {
         currentPage = 'stigs';
     } else if (path.includes('poams.html')) {
         currentPage = 'poams';
@@ -0,0 +1,321 @@
+class ReviewPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.checklistKey = '';
+        this.rows = []; // Rows of the checklist under review, in checklist order
+        this.index = 0;
+        this.saveTimer = null;
+    }
+
+    static STATUSES = [
+        { status: 'open', label: 'Open', key: 'o' },
+        { status: 'not_a_finding', label: 'NotAFinding', key: 'n' },
+        { status: 'not_applicable', label: 'Not_Applicable', key: 'a' },
+        { status: 'not_reviewed', label: 'Not_Reviewed', key: 'r' }
+    ];
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('reviewChecklistBtn'),
+            modal: document.getElementById('reviewModal'),
+            checklistSelect: document.getElementById('reviewChecklistSelect'),
+            progressBar: document.getElementById('reviewProgressBar'),
+            progressText: document.getElementById('reviewProgressText'),
+            position: document.getElementById('reviewPosition'),
+            ruleHeader: document.getElementById('reviewRuleHeader'),
+            statusButtons: document.getElementById('reviewStatusButtons'),
+            findingDetails: document.getElementById('reviewFindingDetails'),
+            comments: document.getElementById('reviewComments'),
+            severityOverride: document.getElementById('reviewSeverityOverride'),
+            severityJustification: document.getElementById('reviewSeverityJustification'),
+            overrideWarning: document.getElementById('reviewOverrideWarning'),
+            ruleText: document.getElementById('reviewRuleText'),
+            prevUnreviewedBtn: document.getElementById('reviewPrevUnreviewedBtn'),
+            prevBtn: document.getElementById('reviewPrevBtn'),
+            nextBtn: document.getElementById('reviewNextBtn'),
+            nextUnreviewedBtn: document.getElementById('reviewNextUnreviewedBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`ReviewPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.statusButtons.innerHTML = ReviewPanel.STATUSES.map(({ status, label, key }) => `
+            <button type="button" class="btn btn-secondary review-status-btn" data-status="${status}" title="Shortcut: ${key.toUpperCase()}">
+                ${label} <kbd>${key.toUpperCase()}</kbd>
+            </button>
+        `).join('');
+
+        this.elements.openBtn.addEventListener('click', () => this.open());
+        this.elements.checklistSelect.addEventListener('change', () => this.selectChecklist(this.elements.checklistSelect.value));
+        this.elements.statusButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-status]');
+            if (button) this.setStatus(button.dataset.status);
+        });
+        this.elements.findingDetails.addEventListener('input', () => this.updateField('finding_details', this.elements.findingDetails.value));
+        this.elements.comments.addEventListener('input', () => this.updateField('comments', this.elements.comments.value));
+        this.elements.severityOverride.addEventListener('change', () => this.updateField('severity_override', this.elements.severityOverride.value));
+        this.elements.severityJustification.addEventListener('input', () => this.updateField('severity_justification', this.elements.severityJustification.value));
+        this.elements.prevBtn.addEventListener('click', () => this.goTo(this.index - 1));
+        this.elements.nextBtn.addEventListener('click', () => this.goTo(this.index + 1));
+        this.elements.prevUnreviewedBtn.addEventListener('click', () => this.goToUnreviewed(-1));
+        this.elements.nextUnreviewedBtn.addEventListener('click', () => this.goToUnreviewed(1));
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.close());
+        });
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // "Review" button in an expanded VulnTable row
+        document.addEventListener('reviewRuleRequested', (e) => this.open(e.detail.row));
+
+        console.log('ReviewPanel initialized');
+    }
+
+    isOpen() {
+        return this.elements.modal.style.display === 'block';
+    }
+
+    // One checklist per source file; rows without one are grouped by host and STIG
+    getChecklistKey(row) {
+        return row._sourceFile || `${FileImporter.getAssetLabel(row) || 'Unknown host'} — ${row.stig_name}`;
+    }
+
+    getChecklists() {
+        const checklists = new Map();
+        this.app.state.allRows.forEach(row => {
+            const key = this.getChecklistKey(row);
+            if (!checklists.has(key)) checklists.set(key, { key, total: 0, reviewed: 0 });
+            const entry = checklists.get(key);
+            entry.total++;
+            if (this.isReviewed(row)) entry.reviewed++;
+        });
+        return Array.from(checklists.values());
+    }
+
+    // Unrecognized status values still need a review
+    isReviewed(row) {
+        return ['open', 'not_a_finding', 'not_applicable'].includes(FileImporter.normalizeStatus(row.status));
+    }
+
+    open(row = null) {
+        if (this.app.state.allRows.length === 0) {
+            this.app.modules.statusMessages.showError('Load checklists first, then review them.');
+            return;
+        }
+        if (VulnTable.isCompareMode()) {
+            this.app.modules.statusMessages.showError('Exit compare mode before reviewing checklists.');
+            return;
+        }
+
+        const checklists = this.getChecklists();
+        const key = row ? this.getChecklistKey(row) : (this.checklistKey || checklists[0].key);
+        this.elements.checklistSelect.innerHTML = checklists
+            .map(entry => `<option value="${PageUtils.escapeHtml(entry.key)}">${PageUtils.escapeHtml(entry.key)} (${entry.reviewed}/${entry.total} reviewed)</option>`)
+            .join('');
+
+        this.elements.modal.style.display = 'block';
+        this.selectChecklist(checklists.some(entry => entry.key === key) ? key : checklists[0].key, row);
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+        this.saveNow();
+    }
+
+    selectChecklist(key, row = null) {
+        this.checklistKey = key;
+        this.elements.checklistSelect.value = key;
+        this.rows = this.app.state.allRows.filter(r => this.getChecklistKey(r) === key);
+
+        // Start at the requested rule, else the first rule still to review
+        const requested = row ? this.rows.indexOf(row) : -1;
+        const firstUnreviewed = this.rows.findIndex(r => !this.isReviewed(r));
+        this.goTo(requested >= 0 ? requested : Math.max(firstUnreviewed, 0));
+    }
+
+    goTo(index) {
+        if (this.rows.length === 0) return;
+        this.index = Math.min(Math.max(index, 0), this.rows.length - 1);
+        this.render();
+    }
+
+    // direction: 1 for the next not_reviewed rule after the current one, -1 for the previous
+    goToUnreviewed(direction) {
+        const count = this.rows.length;
+        for (let step = 1; step < count; step++) {
+            const index = (this.index + direction * step + count) % count;
+            if (!this.isReviewed(this.rows[index])) {
+                this.goTo(index);
+                return;
+            }
+        }
+        this.app.modules.statusMessages.showInfo(this.isReviewed(this.currentRow)
+            ? 'Every rule in this checklist has been reviewed.'
+            : 'This is the only rule left to review.', 3000);
+    }
+
+    get currentRow() {
+        return this.rows[this.index];
+    }
+
+    setStatus(status) {
+        const row = this.currentRow;
+        if (!row) return;
+        row.status = status;
+        this.markChanged(row);
+        this.render();
+    }
+
+    updateField(field, value) {
+        const row = this.currentRow;
+        if (!row) return;
+        row[field] = value;
+        this.markChanged(row);
+        this.renderOverrideWarning();
+    }
+
+    markChanged(row) {
+        row.searchableText = FileImporter.buildSearchBlob(row, row.stig_name);
+        this.renderProgress();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveNow(), 600);
+    }
+
+    // Refresh the table behind the dialog and persist the rows through DataManager
+    async saveNow() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        VulnTable.setRows(this.app.state.allRows);
+        this.app.applyFilters();
+
+        if (window.DataManager && typeof window.DataManager.compileStigData === 'function') {
+            try {
+                await window.DataManager.compileStigData(this.app.state.allRows, this.app.state.loadedFiles);
+            } catch (error) {
+                console.error('[ReviewPanel] ❌ Failed to save review edits:', error);
+                this.app.modules.statusMessages.showError(`Review edits could not be saved: ${error.message}`);
+            }
+        }
+    }
+
+    render() {
+        const row = this.currentRow;
+        if (!row) return;
+        const status = FileImporter.normalizeStatus(row.status);
+
+        this.elements.position.textContent = `Rule ${this.index + 1} of ${this.rows.length}`;
+        this.elements.ruleHeader.innerHTML = `
+            <div class="review-rule-ids">
+                <strong>${PageUtils.escapeHtml(row.group_id)}</strong>
+                <span>${PageUtils.escapeHtml(row.rule_id)}</span>
+                <span>${PageUtils.escapeHtml(row.rule_version)}</span>
+                <span class="badge ${PageUtils.escapeHtml(row.severity)}">${PageUtils.escapeHtml(row.severity)}</span>
+            </div>
+            <h4>${PageUtils.escapeHtml(row.rule_title)}</h4>
+            <small class="text-muted">${PageUtils.escapeHtml(row.nistControls.join(', ') || 'No NIST control')} · ${row.ccis.length > 0
+                ? row.ccis.map(cci => `<span class="cci-ref" title="${PageUtils.escapeHtml(window.CciCatalog ? CciCatalog.describe(cci) : cci)}">${PageUtils.escapeHtml(cci)}</span>`).join(', ')
+                : 'No CCI'}</small>
+        `;
+
+        this.elements.statusButtons.querySelectorAll('[data-status]').forEach(button => {
+            button.classList.toggle('active', button.dataset.status === status);
+        });
+
+        this.elements.findingDetails.value = row.finding_details || '';
+        this.elements.comments.value = row.comments || '';
+        this.elements.severityOverride.value = row.severity_override || '';
+        this.elements.severityJustification.value = row.severity_justification || '';
+        this.renderOverrideWarning();
+
+        this.elements.ruleText.innerHTML = `
+            <div class="detail-section">
+                <h4>Discussion</h4>
+                <p>${PageUtils.escapeHtml(row.discussion || 'No discussion available')}</p>
+            </div>
+            <div class="detail-section">
+                <h4>Check Text</h4>
+                <pre>${PageUtils.escapeHtml(row.checkContent || row.check_content || 'No check content available')}</pre>
+            </div>
+            <div class="detail-section">
+                <h4>Fix Text</h4>
+                <pre>${PageUtils.escapeHtml(row.fixText || row.fix_text || 'No fix text available')}</pre>
+            </div>
+        `;
+
+        this.elements.prevBtn.disabled = this.index === 0;
+        this.elements.nextBtn.disabled = this.index === this.rows.length - 1;
+        this.renderProgress();
+    }
+
+    renderOverrideWarning() {
+        const row = this.currentRow;
+        const needsJustification = !!row?.severity_override && !String(row.severity_justification || '').trim();
+        this.elements.overrideWarning.hidden = !needsJustification;
+    }
+
+    renderProgress() {
+        const reviewed = this.rows.filter(row => this.isReviewed(row)).length;
+        const total = this.rows.length;
+        const percent = total ? Math.round((reviewed / total) * 100) : 0;
+        this.elements.progressBar.value = percent;
+        this.elements.progressText.textContent = reviewed === total
+            ? `All ${total} rules reviewed`
+            : `${reviewed} of ${total} reviewed (${percent}%), ${total - reviewed} remaining`;
+
+        const option = Array.from(this.elements.checklistSelect.options).find(opt => opt.value === this.checklistKey);
+        if (option) option.textContent = `${this.checklistKey} (${reviewed}/${total} reviewed)`;
+    }
+
+    /*
+     * Shortcuts while the dialog is open. Letters are ignored while typing in a field;
+     * Alt+letter works everywhere.
+     *   O / N / A / R   set Open / NotAFinding / Not_Applicable / Not_Reviewed
+     *   J or →, K or ←  next / previous rule
+     *   U, Shift+U      next / previous not_reviewed rule
+     *   Esc             close
+     */
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName);
+        if ((typing && !e.altKey) || e.ctrlKey || e.metaKey) return;
+
+        // Alt+letter yields a symbol on some layouts, so read the physical key instead
+        const key = e.altKey && /^Key[A-Z]$/.test(e.code || '')
+            ? e.code.slice(3).toLowerCase()
+            : (e.key.length === 1 ? e.key.toLowerCase() : e.key);
+        const statusEntry = ReviewPanel.STATUSES.find(entry => entry.key === key);
+        let handled = true;
+
+        if (statusEntry) {
+            this.setStatus(statusEntry.status);
+        } else if (key === 'j' || key === 'ArrowRight') {
+            this.goTo(this.index + 1);
+        } else if (key === 'k' || key === 'ArrowLeft') {
+            this.goTo(this.index - 1);
+        } else if (key === 'u') {
+            this.goToUnreviewed(e.shiftKey ? -1 : 1);
+        } else {
+            handled = false;
+        }
+
+        if (handled) e.preventDefault();
+    }
+}
+
+// Make available globally
+window.ReviewPanel = ReviewPanel;
@@ -0,0 +1,160 @@
+class ScorecardPanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.scorecard = null;
+    }
+
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('scorecardBtn'),
+            modal: document.getElementById('scorecardModal'),
+            totals: document.getElementById('scorecardTotals'),
+            table: document.getElementById('scorecardTable'),
+            downloadBtn: document.getElementById('downloadScorecardBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`ScorecardPanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.openBtn.addEventListener('click', () => this.showModal());
+        this.elements.table.addEventListener('click', (e) => this.handleTableClick(e));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadScorecard());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('ScorecardPanel initialized');
+    }
+
+    showModal() {
+        this.scorecard = ComplianceScorecard.compute(this.app.state.allRows);
+        this.render();
+        this.elements.modal.style.display = 'block';
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    render() {
+        const scorecard = this.scorecard;
+        this.elements.downloadBtn.disabled = scorecard.families.length === 0;
+        if (scorecard.totals.rules === 0) {
+            this.elements.totals.innerHTML = '<p>Load checklists to see the compliance scorecard.</p>';
+            this.elements.table.innerHTML = '';
+            return;
+        }
+
+        const t = scorecard.totals;
+        this.elements.totals.innerHTML = `
+            <div class="summary-item"><span>Compliant:</span><strong>${ComplianceScorecard.formatPercent(t.percentCompliant)} (${t.notAFinding} of ${t.rules - t.notApplicable} applicable rules)</strong></div>
+            <div class="summary-item"><span>Open:</span><strong>${t.open}</strong> (${ComplianceScorecard.CATEGORIES.map(category => `${category.label} ${t.byCategory[category.severity].open}`).join(', ')})</div>
+            <div class="summary-item"><span>Not reviewed:</span><strong>${t.notReviewed}</strong></div>
+            <div class="summary-item"><span>Not applicable:</span><strong>${t.notApplicable}</strong></div>
+            ${scorecard.unmapped.rules > 0 ? `<div class="summary-item"><span>Rules with no NIST control:</span><strong>${scorecard.unmapped.rules}</strong></div>` : ''}
+        `;
+
+        this.elements.table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Family / Control</th><th>Rules</th><th>Open</th><th>Not a Finding</th><th>N/A</th><th>Not Reviewed</th><th>% Compliant</th>
+                    ${ComplianceScorecard.CATEGORIES.map(category => `<th title="Open / all ${category.label} rules">${category.label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${scorecard.families.map(family => `
+                    <tr class="scorecard-family-row">
+                        <td>
+                            <button type="button" class="scorecard-toggle" data-toggle-family="${PageUtils.escapeHtml(family.family)}" title="Show controls">▸</button>
+                            <button type="button" class="scorecard-link" data-drill-family="${PageUtils.escapeHtml(family.family)}" title="Show these rules in the findings table">${PageUtils.escapeHtml(family.family)}</button>
+                        </td>
+                        ${this.renderCounts(family, { family: family.family })}
+                    </tr>
+                    ${family.controls.map(control => `
+                        <tr class="scorecard-control-row" data-family="${PageUtils.escapeHtml(family.family)}" hidden>
+                            <td>
+                                <button type="button" class="scorecard-link" data-drill-control="${PageUtils.escapeHtml(control.control)}" title="${PageUtils.escapeHtml(window.ControlCatalog ? ControlCatalog.describe(control.control) : control.control)}">${PageUtils.escapeHtml(control.control)}</button>
+                            </td>
+                            ${this.renderCounts(control, { control: control.control })}
+                        </tr>
+                    `).join('')}
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    // Count cells; each CAT cell drills into that severity's rules
+    renderCounts(entry, drill) {
+        const drillAttrs = Object.entries(drill).map(([key, value]) => `data-drill-${key}="${PageUtils.escapeHtml(value)}"`).join(' ');
+        return `
+            <td>${entry.rules}</td>
+            <td>${entry.open}</td>
+            <td>${entry.notAFinding}</td>
+            <td>${entry.notApplicable}</td>
+            <td>${entry.notReviewed}</td>
+            <td><span class="scorecard-percent ${this.percentClass(entry.percentCompliant)}">${ComplianceScorecard.formatPercent(entry.percentCompliant)}</span></td>
+            ${ComplianceScorecard.CATEGORIES.map(category => {
+                const counts = entry.byCategory[category.severity];
+                return counts.rules === 0
+                    ? '<td>-</td>'
+                    : `<td><button type="button" class="scorecard-link" ${drillAttrs} data-drill-severity="${category.severity}" title="Show the ${category.label} rules">${counts.open} / ${counts.rules}</button></td>`;
+            }).join('')}
+        `;
+    }
+
+    percentClass(percent) {
+        if (percent === null) return '';
+        if (percent >= 90) return 'scorecard-good';
+        if (percent >= 70) return 'scorecard-fair';
+        return 'scorecard-poor';
+    }
+
+    handleTableClick(event) {
+        const target = event.target.closest('button');
+        if (!target) return;
+
+        const toggle = target.dataset.toggleFamily;
+        if (toggle) {
+            const rows = this.elements.table.querySelectorAll(`tr.scorecard-control-row[data-family="${toggle}"]`);
+            const expand = Array.from(rows).some(row => row.hidden);
+            rows.forEach(row => { row.hidden = !expand; });
+            target.textContent = expand ? '▾' : '▸';
+            return;
+        }
+
+        const { drillFamily, drillControl, drillSeverity } = target.dataset;
+        if (drillFamily || drillControl) this.drillDown(drillFamily, drillControl, drillSeverity);
+    }
+
+    // Replaces the current filters with the scorecard entry's family or control (and severity)
+    drillDown(family = '', control = '', severity = '') {
+        this.app.resetAllFilters();
+        this.app.elements.family.value = family;
+        this.app.elements.control.value = control;
+        this.app.elements.severity.value = severity;
+        this.app.applyFilters();
+        this.closeModal();
+        this.app.modules.statusMessages.showInfo(
+            `Showing ${[family ? `${family} family` : control, severity ? ComplianceScorecard.CATEGORIES.find(category => category.severity === severity).label : ''].filter(Boolean).join(', ')} rules`, 3000
+        );
+    }
+
+    async downloadScorecard() {
+        if (!this.scorecard || this.scorecard.families.length === 0) return;
+        const exporter = new ExcelExporter();
+        const result = await exporter.createScorecardExport(this.scorecard);
+        if (!result.success) {
+            this.app.modules.statusMessages.showError(`Scorecard export failed: ${result.error}`);
+        }
+    }
+}
+
+// Make available globally
+window.ScorecardPanel = ScorecardPanel;
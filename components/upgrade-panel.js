@@ -0,0 +1,184 @@
+class UpgradePanel {
+    constructor(app) {
+        this.app = app;
+        this.elements = {};
+        this.pending = null; // { newRows, result, files, fileTypes, sources }
+    }
+
+    init() {
+        this.elements = {
+            file: document.getElementById('upgradeFile'),
+            modal: document.getElementById('upgradeReportModal'),
+            stigPicker: document.getElementById('upgradeStigPicker'),
+            oldStigSelect: document.getElementById('upgradeOldStig'),
+            summary: document.getElementById('upgradeSummary'),
+            details: document.getElementById('upgradeDetails'),
+            downloadBtn: document.getElementById('downloadUpgradeReportBtn'),
+            applyBtn: document.getElementById('applyUpgradeBtn')
+        };
+
+        const missingElements = Object.entries(this.elements)
+            .filter(([key, element]) => !element)
+            .map(([key]) => key);
+
+        if (missingElements.length > 0) {
+            console.warn(`UpgradePanel: Missing elements: ${missingElements.join(', ')}`);
+            return;
+        }
+
+        this.elements.file.addEventListener('change', (e) => this.handleUpgradeUpload(e));
+        this.elements.oldStigSelect.addEventListener('change', () => this.runUpgrade(this.elements.oldStigSelect.value));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadReport());
+        this.elements.applyBtn.addEventListener('click', () => this.applyUpgrade());
+        this.elements.modal.querySelectorAll('[data-close-modal]').forEach(btn => {
+            btn.addEventListener('click', () => this.closeModal());
+        });
+
+        console.log('UpgradePanel initialized');
+    }
+
+    async handleUpgradeUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const statusMessages = this.app.modules.statusMessages;
+        if (this.app.state.allRows.length === 0) {
+            statusMessages.showError('Load the checklists for the old release first, then select the new release.');
+            event.target.value = '';
+            return;
+        }
+
+        const loadingId = statusMessages.showLoading('Matching rules against the new STIG release...');
+
+        try {
+            let newRows = [];
+            const fileTypes = {};
+            const sources = {};
+            for (const file of files) {
+                const fileData = await ImportWorker.parseFile(file, this.app.state.customCciMap);
+                fileTypes[file.name] = fileData.type;
+                if (fileData.source) sources[file.name] = { type: fileData.type, text: fileData.source };
+                newRows = newRows.concat(fileData.rows.map(row => ({ ...row, _sourceFile: file.name })));
+            }
+
+            this.pending = { newRows, result: null, files, fileTypes, sources };
+            statusMessages.hideMessage(loadingId);
+            this.showStigPicker(StigUpgrade.matchingStig(this.app.state.allRows, newRows));
+            this.elements.modal.style.display = 'block';
+        } catch (error) {
+            console.error('[UpgradePanel] ❌ Upgrade failed:', error);
+            statusMessages.hideMessage(loadingId);
+            statusMessages.showError(`STIG upgrade failed: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    // A release with a loaded STIG's ID upgrades that STIG; otherwise the user picks the STIG it replaces
+    showStigPicker(matchedStig) {
+        this.elements.stigPicker.hidden = !!matchedStig;
+        if (matchedStig) {
+            this.runUpgrade(matchedStig);
+            return;
+        }
+        this.elements.oldStigSelect.innerHTML = '<option value="">Choose a loaded STIG...</option>' +
+            StigUpgrade.loadedStigs(this.app.state.allRows).map(stig =>
+                `<option value="${PageUtils.escapeHtml(stig.key)}">${PageUtils.escapeHtml(stig.name)} (${stig.rows} rules)</option>`
+            ).join('');
+        this.runUpgrade('');
+    }
+
+    runUpgrade(oldStig) {
+        if (!this.pending) return;
+        this.pending.result = null;
+        if (oldStig) {
+            try {
+                this.pending.result = StigUpgrade.upgrade(this.app.state.allRows, this.pending.newRows, oldStig);
+            } catch (error) {
+                console.error('[UpgradePanel] ❌ Upgrade failed:', error);
+                this.app.modules.statusMessages.showError(`STIG upgrade failed: ${error.message}`);
+            }
+        }
+
+        const result = this.pending.result;
+        this.elements.applyBtn.disabled = !result;
+        this.elements.downloadBtn.disabled = !result;
+        if (result) {
+            this.renderReport(result.report);
+        } else {
+            this.elements.summary.innerHTML = '';
+            this.elements.details.innerHTML = '';
+        }
+    }
+
+    renderReport(report) {
+        const s = report.summary;
+        this.elements.summary.innerHTML = `
+            <div class="summary-item"><span>Carried forward:</span><strong>${s.carried}</strong></div>
+            <div class="summary-item"><span>Needs re-review (check/fix text changed):</span><strong>${s.needsRereview}</strong></div>
+            <div class="summary-item"><span>New rules (no prior review):</span><strong>${s.added}</strong></div>
+            <div class="summary-item"><span>Old rules not carried:</span><strong>${s.notCarried}</strong> (${s.notCarriedWithReviewData} with review data)</div>
+            ${report.stigNameMatched ? '' : '<p class="upgrade-warning">The new release has a different STIG ID; only the checklists of the STIG chosen above are replaced.</p>'}
+        `;
+
+        const rereview = report.carried.filter(r => r.check_changed || r.fix_changed);
+        const lost = report.notCarried.filter(r => r.had_review_data);
+        const listItems = (items, render) => items.length
+            ? `<ul>${items.slice(0, 50).map(render).join('')}${items.length > 50 ? `<li>…and ${items.length - 50} more (see report)</li>` : ''}</ul>`
+            : '<p>None</p>';
+
+        this.elements.details.innerHTML = `
+            <h4>Needs re-review</h4>
+            ${listItems(rereview, r => `<li>${r.host ? `[${r.host}] ` : ''}${r.group_id} (${[r.check_changed ? 'check' : '', r.fix_changed ? 'fix' : ''].filter(Boolean).join(' and ')} text changed)</li>`)}
+            <h4>Review data that could not be carried</h4>
+            ${listItems(lost, r => `<li>${r.host ? `[${r.host}] ` : ''}${r.group_id} ${r.rule_id} — ${r.status}</li>`)}
+        `;
+    }
+
+    closeModal() {
+        this.elements.modal.style.display = 'none';
+    }
+
+    downloadReport() {
+        if (!this.pending?.result) return;
+        const exporter = new ExcelExporter();
+        const csv = exporter.convertToCSV(StigUpgrade.reportToTable(this.pending.result.report));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        exporter.downloadCSV(csv, `STIG_Upgrade_Report_${timestamp}.csv`);
+    }
+
+    applyUpgrade() {
+        if (!this.pending?.result) return;
+
+        const { result, fileTypes, sources } = this.pending;
+        const replaced = new Set(result.replacedRows);
+        const state = this.app.state;
+
+        state.allRows = state.allRows.filter(row => !replaced.has(row)).concat(result.rows);
+        state.checklistSources = { ...(state.checklistSources || {}), ...sources };
+
+        // Rebuild per-file counts from what remains loaded
+        const counts = new Map();
+        state.allRows.forEach(row => {
+            const name = row._sourceFile || 'Unknown';
+            counts.set(name, (counts.get(name) || 0) + 1);
+        });
+        const previousTypes = new Map(state.loadedFiles.map(f => [f.name, f.type]));
+        state.loadedFiles = Array.from(counts.entries()).map(([name, count]) => ({
+            name,
+            type: fileTypes[name] || previousTypes.get(name) || 'Unknown',
+            count
+        }));
+
+        this.closeModal();
+        this.pending = null;
+        // Rehydrate-style refresh so the upgrade summary replaces the generic "Loaded N rules" message
+        this.app.processLoadedData(state.loadedFiles, true);
+        this.app.modules.statusMessages.showSuccess(
+            `Upgraded to the new release: ${result.report.summary.carried} reviews carried forward`, 5000
+        );
+    }
+}
+
+// Make available globally
+window.UpgradePanel = UpgradePanel;
@@ -0,0 +1,188 @@
+/* Answer Files Module
+   - Named libraries of reusable answers (status, finding details, comments) stored through DataStore
+   - Entries are keyed by rule_id or group_id; a rule ID from an older release still matches by its base ID (SV-12345)
+   - Plans an apply as a preview: blank fields are filled, existing answers that differ are conflicts left alone unless confirmed
+   - Exports and imports answer files as JSON so teams can share them
+*/
+
+const AnswerFiles = (() => {
+    const STORE = 'answerFiles';
+    const FILE_TYPE = 'stig-answer-file';
+    const FORMAT_VERSION = 1;
+    const FIELDS = ['status', 'finding_details', 'comments'];
+
+    // SV-230221r858734_rule -> SV-230221
+    function baseRuleId(ruleId) {
+        return String(ruleId || '').replace(/r\d+(_rule)?$/i, '');
+    }
+
+    function normalizeEntry(entry) {
+        const status = FileImporter.normalizeStatus(entry.status || '');
+        return {
+            rule_id: String(entry.rule_id || '').trim(),
+            group_id: String(entry.group_id || '').trim(),
+            rule_title: String(entry.rule_title || ''),
+            status: ['open', 'not_a_finding', 'not_applicable', 'not_reviewed'].includes(status) ? status : '',
+            finding_details: String(entry.finding_details || ''),
+            comments: String(entry.comments || '')
+        };
+    }
+
+    // Build entries from reviewed rows; one entry per rule, the first answer found wins
+    function entriesFromRows(rows, statuses = ['not_a_finding', 'not_applicable']) {
+        const entries = new Map();
+        rows.forEach(row => {
+            const status = FileImporter.normalizeStatus(row.status);
+            if (!statuses.includes(status)) return;
+            const key = row.rule_id || row.group_id;
+            if (!key || entries.has(key)) return;
+            entries.set(key, normalizeEntry({ ...row, status }));
+        });
+        return Array.from(entries.values());
+    }
+
+    function indexEntries(entries) {
+        const byRuleId = new Map();
+        const byBaseRuleId = new Map();
+        const byGroupId = new Map();
+        entries.forEach(entry => {
+            if (entry.rule_id) {
+                byRuleId.set(entry.rule_id, entry);
+                if (!byBaseRuleId.has(baseRuleId(entry.rule_id))) byBaseRuleId.set(baseRuleId(entry.rule_id), entry);
+            }
+            if (entry.group_id && !byGroupId.has(entry.group_id)) byGroupId.set(entry.group_id, entry);
+        });
+        return { byRuleId, byBaseRuleId, byGroupId };
+    }
+
+    function findEntry(row, index) {
+        return (row.rule_id && (index.byRuleId.get(row.rule_id) || index.byBaseRuleId.get(baseRuleId(row.rule_id))))
+            || (row.group_id && index.byGroupId.get(row.group_id))
+            || null;
+    }
+
+    function isBlank(field, value) {
+        if (field === 'status') return FileImporter.normalizeStatus(value || '') === 'not_reviewed' || !value;
+        return !String(value || '').trim();
+    }
+
+    /*
+     * Preview of applying an answer file to rows.
+     * Returns [{ row, entry, changes: [{ field, from, to }], conflict }] for rows the file would change.
+     * A change is a conflict when the row already holds a different non-blank answer for that field.
+     */
+    function planApply(answerFile, rows) {
+        const index = indexEntries(answerFile.entries || []);
+        const plan = [];
+
+        rows.forEach(row => {
+            const entry = findEntry(row, index);
+            if (!entry) return;
+
+            const changes = FIELDS
+                .filter(field => !isBlank(field, entry[field]))
+                .map(field => {
+                    const from = field === 'status' ? FileImporter.normalizeStatus(row.status || '') : (row[field] || '');
+                    return { field, from, to: entry[field], overwrite: !isBlank(field, row[field]) };
+                })
+                .filter(change => String(change.from).trim() !== String(change.to).trim());
+
+            if (changes.length > 0) {
+                plan.push({ row, entry, changes, conflict: changes.some(change => change.overwrite) });
+            }
+        });
+
+        return plan;
+    }
+
+    // Applies planned changes; conflicting items are only applied when confirmed
+    function applyPlan(plan, confirmedItems = new Set()) {
+        let applied = 0;
+        let skipped = 0;
+        plan.forEach(item => {
+            if (item.conflict && !confirmedItems.has(item)) {
+                skipped++;
+                return;
+            }
+            item.changes.forEach(change => {
+                item.row[change.field] = change.to;
+            });
+            item.row.searchableText = FileImporter.buildSearchBlob(item.row, item.row.stig_name);
+            applied++;
+        });
+        return { applied, skipped };
+    }
+
+    function toJson(answerFile) {
+        return JSON.stringify({
+            type: FILE_TYPE,
+            version: FORMAT_VERSION,
+            name: answerFile.name,
+            description: answerFile.description || '',
+            exportedAt: new Date().toISOString(),
+            entries: answerFile.entries.map(normalizeEntry)
+        }, null, 2);
+    }
+
+    function parseJson(text, fallbackName = 'Imported answers') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+        if (!data || data.type !== FILE_TYPE || !Array.isArray(data.entries)) {
+            throw new Error('Not an answer file: expected "type": "stig-answer-file" with an "entries" array');
+        }
+
+        const entries = data.entries
+            .map(normalizeEntry)
+            .filter(entry => (entry.rule_id || entry.group_id) && (entry.status || entry.finding_details || entry.comments));
+        if (entries.length === 0) {
+            throw new Error('The answer file has no usable entries');
+        }
+        return { name: String(data.name || fallbackName), description: String(data.description || ''), entries };
+    }
+
+    // ---- Persistence (DataStore 'answerFiles' store) ----
+
+    async function getAll() {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        return await store.read(STORE);
+    }
+
+    // Saves an answer file, replacing one already held under the same name
+    async function save({ name, description = '', entries }) {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        const record = { name: name.trim(), description, entries: entries.map(normalizeEntry) };
+        const existing = (await store.read(STORE, { index: 'name', value: record.name }))[0];
+        if (existing) {
+            return await store.update(STORE, { ...record, id: existing.id, createdAt: existing.createdAt });
+        }
+        return await store.create(STORE, record);
+    }
+
+    async function remove(id) {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        return await store.delete(STORE, id);
+    }
+
+    // Public API
+    return {
+        FIELDS,
+        entriesFromRows,
+        planApply,
+        applyPlan,
+        toJson,
+        parseJson,
+        getAll,
+        save,
+        remove
+    };
+})();
+
+// Make available globally
+window.AnswerFiles = AnswerFiles;
@@ -0,0 +1,52 @@
+/* Application Settings
+   - Small user preferences kept in localStorage, e.g. the active NIST SP 800-53 revision and whether text-matched controls count
+   - Unknown or unreadable settings fall back to DEFAULTS
+   - Dispatches a 'settingsChanged' event on window when a setting changes
+*/
+
+const AppSettings = (() => {
+    const STORAGE_KEY = 'stig-mapper-settings';
+    const DEFAULTS = {
+        nistRevision: '5',
+        includeTextNist: true,
+        analystName: '',
+        baseline: '',
+        poamControlMigration: null,
+        oscalPoam: null
+    };
+
+    function load() {
+        try {
+            return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (error) {
+            console.warn('[AppSettings] ⚠️ Could not read settings, using defaults:', error);
+            return { ...DEFAULTS };
+        }
+    }
+
+    function get(key) {
+        return load()[key];
+    }
+
+    function set(key, value) {
+        const settings = load();
+        if (settings[key] === value) return;
+        settings[key] = value;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.error('[AppSettings] ❌ Could not save settings:', error);
+        }
+        window.dispatchEvent(new CustomEvent('settingsChanged', { detail: { key, value } }));
+    }
+
+    // Public API
+    return {
+        DEFAULTS,
+        get,
+        set
+    };
+})();
+
+// Make available globally
+window.AppSettings = AppSettings;
@@ -34,6 +34,8 @@ class AppStateManager {
 
     getCurrentPage() {
         const path = window.location.pathname;
+        if (path.includes('stig-library.html')) return 'library';
+        if (path.includes('cci-browser.html')) return 'cci-browser';
         if (path.includes('stigs.html')) return 'stigs';
         if (path.includes('poams.html')) return 'poams';
         return 'dashboard';
@@ -163,6 +165,12 @@ class AppStateManager {
                 case 'poams':
                     await this.initializePoamsPage();
                     break;
+                case 'library':
+                    await this.initializeLibraryPage();
+                    break;
+                case 'cci-browser':
+                    await this.initializeCciBrowserPage();
+                    break;
                 case 'dashboard':
                     await this.initializeDashboard();
                     break;
@@ -204,6 +212,22 @@ class AppStateManager {
         }
     }
 
+    async initializeLibraryPage() {
+        if (window.LibraryPage) {
+            const page = new LibraryPage(this.state.dataManager, this.getComponent('statusMessages'));
+            await page.init();
+            this.registerComponent('libraryPage', page);
+        }
+    }
+
+    async initializeCciBrowserPage() {
+        if (window.CciBrowserPage) {
+            const page = new CciBrowserPage(this.state.dataManager, this.getComponent('statusMessages'));
+            await page.init();
+            this.registerComponent('cciBrowserPage', page);
+        }
+    }
+
     async initializeDashboard() {
         // Dashboard-specific initialization
         // Components are handled in loadInitialData
@@ -4,6 +4,9 @@ class STIGMapperApp {
             allRows: [],
             customCciMap: null,
             loadedFiles: [],
+            // Original CKL/CKLB text per file name, used as the template when writing checklists back out
+            checklistSources: {},
+            importCancelled: false,
             isInitialized: false
         };
         
@@ -42,6 +45,11 @@ class STIGMapperApp {
             fileName: document.getElementById('fileName'),
             cciFile: document.getElementById('cciFile'),
             cciFileName: document.getElementById('cciFileName'),
+            nistRevision: document.getElementById('nistRevisionSelect'),
+            textNist: document.getElementById('textNistToggle'),
+            controlCatalogFile: document.getElementById('controlCatalogFile'),
+            controlCatalogName: document.getElementById('controlCatalogName'),
+            baseline: document.getElementById('baselineSelect'),
             
             
             // Filter controls
@@ -50,15 +58,25 @@ class STIGMapperApp {
             severity: document.getElementById('severitySelect'),
             status: document.getElementById('statusSelect'),
             stig: document.getElementById('stigSelect'),
+            host: document.getElementById('hostSelect'),
             cci: document.getElementById('cciInput'),
             search: document.getElementById('searchInput'),
+            frameworks: document.getElementById('frameworkFilters'),
             
             // Table and results
             tbody: document.querySelector('#resultsTable tbody'),
             emptyState: document.getElementById('emptyState'),
             noResults: document.getElementById('noResultsState'),
             exportBtn: document.getElementById('exportBtn'),
-            exportMappingsBtn: document.getElementById('exportMappingsBtn')
+            exportMappingsBtn: document.getElementById('exportMappingsBtn'),
+            exportChecklistBtn: document.getElementById('exportChecklistBtn'),
+            checklistFormat: document.getElementById('checklistFormatSelect'),
+            importProgress: document.getElementById('importProgress'),
+            importProgressBar: document.getElementById('importProgressBar'),
+            importProgressText: document.getElementById('importProgressText'),
+            cancelImportBtn: document.getElementById('cancelImportBtn'),
+            consolidate: document.getElementById('consolidateToggle'),
+            change: document.getElementById('changeSelect')
         };
 
         // Define critical elements that must exist
@@ -76,7 +94,7 @@ class STIGMapperApp {
         }
 
         // Log warnings for optional elements
-        const optionalElements = ['cciFile', 'cciFileName', 'exportMappingsBtn'];
+        const optionalElements = ['cciFile', 'cciFileName', 'nistRevision', 'textNist', 'controlCatalogFile', 'controlCatalogName', 'baseline', 'frameworks', 'exportMappingsBtn', 'host', 'consolidate', 'change'];
         optionalElements.forEach(key => {
             if (!this.elements[key]) {
                 console.warn(`[STIGMapperApp] Optional element not found: ${key}`);
@@ -91,6 +109,28 @@ class STIGMapperApp {
         this.modules.fileLoader = new FileLoader(this);
         this.modules.filterPanel = new FilterPanel(this);
         this.modules.filterPanel.init(this.elements);
+        this.modules.comparePanel = new ComparePanel(this);
+        this.modules.comparePanel.init();
+        this.modules.upgradePanel = new UpgradePanel(this);
+        this.modules.upgradePanel.init();
+        this.modules.convertPanel = new ConvertPanel(this);
+        this.modules.convertPanel.init();
+        this.modules.benchmarkPanel = new BenchmarkPanel(this);
+        this.modules.benchmarkPanel.init();
+        this.modules.reviewPanel = new ReviewPanel(this);
+        this.modules.reviewPanel.init();
+        this.modules.answerPanel = new AnswerPanel(this);
+        this.modules.answerPanel.init();
+        this.modules.cciOverridePanel = new CciOverridePanel(this);
+        this.modules.cciOverridePanel.init();
+        this.modules.crosswalkPanel = new CrosswalkPanel(this);
+        this.modules.crosswalkPanel.init();
+        this.modules.frameworkPanel = new FrameworkPanel(this);
+        this.modules.frameworkPanel.init();
+        this.modules.controlDesignationPanel = new ControlDesignationPanel(this);
+        this.modules.controlDesignationPanel.init();
+        this.modules.scorecardPanel = new ScorecardPanel(this);
+        this.modules.scorecardPanel.init();
 
         // Initialize table with elements and state
         VulnTable.init(this.elements, this.state.allRows);
@@ -100,15 +140,39 @@ class STIGMapperApp {
         // File upload events
         this.elements.file.addEventListener('change', (e) => this.handleFileUpload(e));
         this.elements.cciFile.addEventListener('change', (e) => this.handleCciFileUpload(e));
+        if (this.elements.nistRevision) {
+            this.elements.nistRevision.addEventListener('change', (e) => this.handleNistRevisionChange(e.target.value));
+        }
+        window.addEventListener('cciOverridesChanged', () => this.handleCciOverridesChanged());
+        window.addEventListener('controlDesignationsChanged', () => this.refreshControlDisplay());
+        if (this.elements.controlCatalogFile) {
+            this.elements.controlCatalogFile.addEventListener('change', (e) => this.handleControlCatalogUpload(e));
+        }
+        if (this.elements.baseline) {
+            this.elements.baseline.addEventListener('change', (e) => this.handleBaselineChange(e.target.value));
+        }
+        if (this.elements.textNist) {
+            this.elements.textNist.checked = FileImporter.getIncludeTextNist();
+            this.elements.textNist.addEventListener('change', (e) => this.handleTextNistChange(e.target.checked));
+        }
+
+        // Import progress and cancellation
+        document.addEventListener('fileLoadProgress', (e) => this.updateImportProgress(e.detail));
+        if (this.elements.cancelImportBtn) {
+            this.elements.cancelImportBtn.addEventListener('click', () => this.cancelImport());
+        }
         
         // Export button
         this.elements.exportBtn.addEventListener('click', () => this.handleExport());
+        if (this.elements.exportChecklistBtn) {
+            this.elements.exportChecklistBtn.addEventListener('click', () => this.handleChecklistExport());
+        }
         
         // Filter events
         const filterElements = [
             this.elements.family, this.elements.control, this.elements.severity,
-            this.elements.status, this.elements.stig
-        ];
+            this.elements.status, this.elements.stig, this.elements.host
+        ].filter(Boolean);
         
         filterElements.forEach(element => {
             ['change', 'input'].forEach(event => {
@@ -116,6 +180,19 @@ class STIGMapperApp {
             });
         });
         
+        // Consolidated view toggle
+        if (this.elements.consolidate) {
+            this.elements.consolidate.addEventListener('change', (e) => {
+                VulnTable.setConsolidated(e.target.checked);
+                this.applyFilters();
+            });
+        }
+
+        // Framework selects are rebuilt with the facets, so listen on their container
+        if (this.elements.frameworks) {
+            this.elements.frameworks.addEventListener('change', () => this.applyFilters());
+        }
+
         // Debounced filter events
         this.elements.cci.addEventListener('input', this.debounce(() => this.applyFilters(), 150));
         this.elements.search.addEventListener('input', this.debounce(() => this.applyFilters(), 200));
@@ -135,6 +212,10 @@ class STIGMapperApp {
         if (this.elements.exportMappingsBtn) {
             this.elements.exportMappingsBtn.disabled = true;
         }
+        if (this.elements.exportChecklistBtn) {
+            this.elements.exportChecklistBtn.disabled = true;
+        }
+        this.updateNistRevisionOptions(null);
     }
 
     async rehydrate() {
@@ -145,6 +226,43 @@ class STIGMapperApp {
 
         const statusId = this.modules.statusMessages.showLoading('Loading data files...');
 
+        if (window.CciCatalog) {
+            try {
+                await CciCatalog.load();
+            } catch (error) {
+                console.warn('[App] Failed to load CCI definitions:', error);
+            }
+        }
+        if (window.CciOverrides) {
+            try {
+                await CciOverrides.load();
+            } catch (error) {
+                console.warn('[App] Failed to load CCI mapping overrides:', error);
+            }
+        }
+        if (window.ControlCatalog) {
+            try {
+                await ControlCatalog.load();
+                this.updateControlCatalogDisplay();
+            } catch (error) {
+                console.warn('[App] Failed to load the NIST control catalog:', error);
+            }
+        }
+        if (window.FrameworkCrosswalks) {
+            try {
+                await FrameworkCrosswalks.load();
+            } catch (error) {
+                console.warn('[App] Failed to load framework crosswalks:', error);
+            }
+        }
+        if (window.ControlDesignations) {
+            try {
+                await ControlDesignations.load();
+            } catch (error) {
+                console.warn('[App] Failed to load control designations:', error);
+            }
+        }
+
         try {
             console.log('[App] Starting data loading from JSON files...');
             let stigData = [];
@@ -190,6 +308,7 @@ class STIGMapperApp {
                     this.state.loadedFiles = [];
                 }
 
+                FileImporter.applyNistSourceSetting(this.state.allRows);
                 this.processLoadedData(this.state.loadedFiles, true);
                 this.modules.statusMessages.showSuccess('Loaded STIG data from files.', 3000);
                 console.log('[App] ✅ Successfully loaded', stigData.length, 'STIG rows from JSON files');
@@ -202,6 +321,7 @@ class STIGMapperApp {
                 console.log('[App] 🔗 Loading CCI mappings into application state...');
                 this.state.customCciMap = cciMappings;
                 this.elements.cciFileName.textContent = `Custom CCI map loaded (${Object.keys(cciMappings).length} CCIs)`;
+                this.updateNistRevisionOptions(cciMappings);
                 console.log('[App] ✅ CCI mappings loaded from JSON files');
             } else {
                 console.log('[App] ℹ️ No CCI mappings found in JSON files');
@@ -216,24 +336,33 @@ class STIGMapperApp {
     }
 
     async handleFileUpload(event) {
-        const files = Array.from(event.target.files || []);
-        if (files.length === 0) return;
+        const selectedFiles = Array.from(event.target.files || []);
+        if (selectedFiles.length === 0) return;
 
-        console.log('[STIG] 🚀 Starting file upload process for', files.length, 'files');
-        console.log('[STIG] 📁 Files to process:', files.map(f => ({ name: f.name, size: f.size, type: f.type })));
+        console.log('[STIG] 🚀 Starting file upload process for', selectedFiles.length, 'files');
+        console.log('[STIG] 📁 Files to process:', selectedFiles.map(f => ({ name: f.name, size: f.size, type: f.type })));
 
         try {
-            // Clear previous data
+            // Clear previous data (its severity overrides are carried onto the re-imported rules)
             console.log('[STIG] 🧹 Clearing previous data...');
+            const previousRows = this.state.allRows;
             this.state.allRows = [];
             this.state.loadedFiles = [];
+            this.state.checklistSources = {};
+            this.state.importCancelled = false;
             this.elements.emptyState.hidden = true;
             this.elements.noResults.hidden = true;
+            this.setImportInProgress(true);
 
             // Show loading state
-            this.updateFileDisplay(files, 'loading');
+            this.updateFileDisplay(selectedFiles, 'loading');
             const mainLoadingId = this.modules.statusMessages.showLoading('Processing files...');
 
+            // Expand ZIP archives into their checklist entries
+            const hasArchives = selectedFiles.some(file => this.modules.fileLoader.isArchive(file));
+            const { files, skipped } = await this.modules.fileLoader.expandArchives(selectedFiles);
+            const importReport = skipped.map(item => ({ name: item.name, status: 'skipped', message: item.reason }));
+
             console.log('[STIG] 🔄 Processing each file...');
 
             // Track processed files to prevent duplicates
@@ -242,6 +371,11 @@ class STIGMapperApp {
             // Process each file
             for (let i = 0; i < files.length; i++) {
                 const file = files[i];
+
+                if (this.state.importCancelled) {
+                    importReport.push({ name: file.name, status: 'skipped', message: 'Import cancelled' });
+                    continue;
+                }
                 
                 // Check for duplicate files by name and size
                 const fileKey = `${file.name}_${file.size}`;
@@ -257,7 +391,27 @@ class STIGMapperApp {
                     `Processing ${file.name} (${i + 1}/${files.length})...`, 'file-processing'
                 );
 
-                const fileData = await FileImporter.processFile(file, this.state.customCciMap);
+                let fileData;
+                try {
+                    this.modules.fileLoader.trackProgress(i + 1, files.length, file.name, { phase: 'reading', done: 0, total: 0 });
+                    fileData = await ImportWorker.parseFile(file, this.state.customCciMap, progress => {
+                        this.modules.fileLoader.trackProgress(i + 1, files.length, file.name, progress);
+                    });
+                } catch (error) {
+                    this.modules.statusMessages.hideMessage(fileLoadingId);
+                    if (ImportWorker.isCancelError(error)) {
+                        importReport.push({ name: file.name, status: 'skipped', message: 'Import cancelled' });
+                        continue;
+                    }
+                    console.error(`[STIG] ❌ Failed to process ${file.name}:`, error);
+                    importReport.push({
+                        name: file.name,
+                        status: 'failed',
+                        message: error.message,
+                        validation: ImportValidator.fromError(file.name, error)
+                    });
+                    continue;
+                }
                 console.log(`[STIG] ✅ File ${file.name} processed:`, {
                     rows: fileData.rows.length,
                     type: fileData.type,
@@ -281,8 +435,26 @@ class STIGMapperApp {
                         type: fileData.type,
                         count: fileData.rows.length
                     });
+                    if (fileData.source) {
+                        this.state.checklistSources[file.name] = { type: fileData.type, text: fileData.source };
+                    }
+                    importReport.push({
+                        name: file.name,
+                        status: 'success',
+                        type: fileData.type,
+                        count: fileData.rows.length,
+                        validation: fileData.validation
+                    });
                 } else {
                     console.warn(`[STIG] ⚠️ No rows found in file: ${file.name}`);
+                    importReport.push({
+                        name: file.name,
+                        status: 'failed',
+                        type: fileData.type,
+                        count: 0,
+                        message: 'No rules found',
+                        validation: fileData.validation
+                    });
                 }
 
                 // Hide the individual file processing message
@@ -297,16 +469,47 @@ class STIGMapperApp {
 
             // Hide main loading message
             this.modules.statusMessages.hideMessage(mainLoadingId);
+            this.modules.fileLoader.trackProgress(files.length, files.length, '');
+            this.setImportInProgress(false);
+
+            // Archives, partial failures and validation findings get a per-entry report
+            const hasProblems = importReport.some(item => item.status !== 'success')
+                || ImportValidator.hasIssues(importReport.map(item => item.validation).filter(Boolean));
+            if (hasArchives || hasProblems) {
+                this.modules.fileLoader.showImportReport(importReport);
+            }
+
+            if (this.state.importCancelled && this.state.allRows.length === 0) {
+                this.updateFileDisplay([], 'success');
+                this.elements.emptyState.hidden = false;
+                this.modules.statusMessages.showInfo('Import cancelled');
+                event.target.value = '';
+                return;
+            }
+
+            if (this.state.allRows.length === 0) {
+                const firstFailure = importReport.find(item => item.status === 'failed');
+                throw new Error(firstFailure ? `${firstFailure.name}: ${firstFailure.message}` : 'No checklist files found');
+            }
+
+            this.warnDeprecatedCcis();
+
+            const carriedOverrides = FileImporter.carrySeverityOverrides(this.state.allRows, previousRows);
+            if (carriedOverrides > 0) {
+                console.log(`[STIG] 🔁 Carried ${carriedOverrides} severity override(s) from the previous data`);
+                this.modules.statusMessages.showInfo(`Kept ${carriedOverrides} severity override(s) from the previously loaded checklists`, 5000);
+            }
 
             // Update UI with results
             console.log('[STIG] 🎨 Updating UI with processed data...');
-            this.processLoadedData(files);
+            this.processLoadedData(this.state.loadedFiles);
 
             // Clear the file input to prevent reprocessing the same files
             event.target.value = '';
 
         } catch (error) {
             console.error('[STIG] ❌ File upload failed:', error);
+            this.setImportInProgress(false);
             this.handleFileError(error);
             // Clear the file input even on error
             event.target.value = '';
@@ -323,11 +526,32 @@ class STIGMapperApp {
             this.elements.cciFileName.textContent = `Loading ${file.name}...`;
             const parsingId = this.modules.statusMessages.showLoading('Parsing CCI XML...');
 
-            console.log('[CCI] 📖 Reading file content...');
-            const text = await file.text();
-
             console.log('[CCI] 🔄 Parsing CCI XML data...');
-            this.state.customCciMap = FileImporter.parseCciXml(text);
+            const { mapping, definitions } = await ImportWorker.parseCciFile(file, progress => {
+                this.modules.fileLoader.trackProgress(1, 1, file.name, progress);
+            });
+            this.state.customCciMap = mapping;
+            this.updateImportProgress({ isComplete: true });
+
+            // Definitions, types and statuses feed the CCI tooltips, the deprecated check and the CCI browser
+            try {
+                await CciCatalog.save(definitions, file.name);
+            } catch (error) {
+                console.error('[CCI] ❌ Failed to store CCI definitions:', error);
+                this.modules.statusMessages.showError(`CCI definitions could not be saved: ${error.message}`);
+            }
+
+            // Keep mapping through a revision the list actually covers
+            const revisions = FileImporter.getCciMapRevisions(mapping);
+            const activeRevision = FileImporter.getActiveNistRevision();
+            if (Object.keys(revisions).length > 0 && !revisions[activeRevision]) {
+                const fallback = FileImporter.NIST_REVISIONS.find(revision => revisions[revision]) || Object.keys(revisions)[0];
+                AppSettings.set('nistRevision', fallback);
+                this.modules.statusMessages.showInfo(
+                    `${file.name} has no NIST SP 800-53 ${FileImporter.getNistRevisionLabel(activeRevision)} mappings; using ${FileImporter.getNistRevisionLabel(fallback)}`, 6000
+                );
+            }
+            this.updateNistRevisionOptions(mapping);
 
             console.log('[CCI] ✅ CCI mappings parsed:', {
                 totalMappings: Object.keys(this.state.customCciMap).length,
@@ -340,8 +564,11 @@ class STIGMapperApp {
             this.elements.cciFileName.textContent = 
                 `${file.name} (${Object.keys(this.state.customCciMap).length} CCIs)`;
             
+            // Overrides are stored apart from the list and stay layered over the new mapping
+            const overrideCount = window.CciOverrides ? CciOverrides.getAll().length : 0;
             this.modules.statusMessages.showSuccess(
-                `Loaded ${Object.keys(this.state.customCciMap).length} CCI mappings from ${file.name}`, 5000
+                `Loaded ${Object.keys(this.state.customCciMap).length} CCI mappings from ${file.name}` +
+                (overrideCount > 0 ? `; ${overrideCount} mapping override(s) still applied` : ''), 5000
             );
 
             // Compile CCI mappings to JSON file
@@ -351,11 +578,15 @@ class STIGMapperApp {
                 console.log('[CCI] ✅ CCI mappings compiled to JSON file');
             }
 
-            // Reprocess existing data if available
-            if (this.state.allRows.length > 0) {
+            // Reprocess existing data if available; rows restored from storage are re-mapped in place
+            if (this.state.allRows.length > 0 && this.elements.file.files?.length > 0) {
                 console.log('[CCI] 🔄 Reprocessing existing STIG data with new CCI mappings...');
                 await this.reprocessWithCciMappings();
+            } else if (this.state.allRows.length > 0) {
+                FileImporter.remapNistControls(this.state.allRows, this.getEffectiveCciMap());
+                this.processLoadedData(this.state.loadedFiles, true);
             }
+            this.warnDeprecatedCcis();
 
             // Clear the file input to prevent reprocessing
             event.target.value = '';
@@ -369,6 +600,143 @@ class STIGMapperApp {
         }
     }
 
+    // Loaded rows that reference CCIs the CCI list marks deprecated
+    warnDeprecatedCcis() {
+        if (!window.CciCatalog) return;
+        const deprecated = CciCatalog.findDeprecated(this.state.allRows);
+        if (deprecated.size === 0) return;
+        const ruleCount = new Set(Array.from(deprecated.values()).flat()).size;
+        console.warn('[CCI] ⚠️ Deprecated CCIs referenced:', Array.from(deprecated.keys()));
+        this.modules.statusMessages.showError(
+            `${ruleCount} rule(s) reference deprecated CCIs: ${Array.from(deprecated.keys()).slice(0, 5).join(', ')}${deprecated.size > 5 ? ', …' : ''}`, 8000
+        );
+    }
+
+    // Option labels show how many CCIs the loaded list maps under each revision
+    updateNistRevisionOptions(cciMap) {
+        const select = this.elements.nistRevision;
+        if (!select) return;
+        const counts = FileImporter.getCciMapRevisions(cciMap);
+        Array.from(select.options).forEach(option => {
+            const label = FileImporter.getNistRevisionLabel(option.value);
+            option.textContent = counts[option.value] ? `${label} (${counts[option.value]} CCIs)` : label;
+        });
+        select.value = FileImporter.getActiveNistRevision();
+    }
+
+    // Switch the active NIST SP 800-53 revision and re-map every loaded row through it
+    async handleNistRevisionChange(revision) {
+        AppSettings.set('nistRevision', revision);
+        const label = FileImporter.getNistRevisionLabel(revision);
+        const cciMap = this.getEffectiveCciMap() || {};
+        if (this.state.allRows.length === 0) return;
+
+        if (!FileImporter.isRevisionedCciMap(cciMap)) {
+            this.modules.statusMessages.showInfo(
+                'The loaded CCI mapping has no revision information. Load the CCI List XML again to map by revision.', 6000
+            );
+            return;
+        }
+
+        const changed = FileImporter.remapNistControls(this.state.allRows, cciMap, revision);
+        console.log(`[CCI] 🔄 Re-mapped rows to NIST SP 800-53 ${label}: ${changed} changed`);
+        this.processLoadedData(this.state.loadedFiles, true);
+        this.modules.statusMessages.showSuccess(
+            `Mapped ${this.state.allRows.length} rules to NIST SP 800-53 ${label} (${changed} changed)`, 5000
+        );
+    }
+
+    // OSCAL catalog and baseline profile files; each file is detected by its top-level object
+    async handleControlCatalogUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+
+        const loaded = [];
+        for (const file of files) {
+            try {
+                const parsed = ControlCatalog.parseOscal(await file.text(), file.name);
+                await ControlCatalog.save(parsed);
+                loaded.push(parsed.kind === 'catalog'
+                    ? `catalog (${Object.keys(parsed.controls).length} controls)`
+                    : `${parsed.name} baseline (${parsed.controls.length} controls)`);
+            } catch (error) {
+                console.error('[Catalog] ❌ Failed to load', file.name, error);
+                this.modules.statusMessages.showError(`Could not load ${file.name}: ${error.message}`);
+            }
+        }
+        event.target.value = '';
+        if (loaded.length === 0) return;
+
+        // The first baseline loaded becomes the system baseline until the user picks another
+        const baselines = ControlCatalog.getBaselineNames();
+        if (!ControlCatalog.getSelectedBaseline() && baselines.length > 0) {
+            AppSettings.set('baseline', baselines.includes('MODERATE') ? 'MODERATE' : baselines[0]);
+        }
+        this.updateControlCatalogDisplay();
+        this.refreshControlDisplay();
+        this.modules.statusMessages.showSuccess(`Loaded NIST SP 800-53 ${loaded.join(', ')}`, 5000);
+    }
+
+    handleBaselineChange(name) {
+        AppSettings.set('baseline', name);
+        this.refreshControlDisplay();
+        const outside = name ? this.state.allRows.filter(row => ControlCatalog.isOutsideBaseline(row)).length : 0;
+        if (name && this.state.allRows.length > 0) {
+            this.modules.statusMessages.showInfo(`${outside} finding(s) map only to controls outside the ${name} baseline`, 5000);
+        }
+    }
+
+    updateControlCatalogDisplay() {
+        const info = ControlCatalog.getCatalogInfo();
+        const baselines = ControlCatalog.getBaselineNames();
+        if (this.elements.controlCatalogName) {
+            this.elements.controlCatalogName.textContent = info || baselines.length > 0
+                ? [info ? `${info.title}${info.version ? ` ${info.version}` : ''} (${info.count} controls)` : 'No catalog', ...baselines].join(' · ')
+                : 'No control catalog';
+        }
+        if (this.elements.baseline) {
+            this.elements.baseline.innerHTML = '<option value="">None</option>' +
+                baselines.map(name => `<option value="${name}">${name.charAt(0)}${name.slice(1).toLowerCase()}</option>`).join('');
+            this.elements.baseline.value = ControlCatalog.getSelectedBaseline();
+        }
+    }
+
+    // Control titles, baseline flags, inheritance and framework columns are rendered from their catalogs; rows themselves do not change
+    refreshControlDisplay() {
+        if (this.state.allRows.length === 0) return;
+        this.modules.filterPanel.populateFacets(this.state.allRows);
+        this.applyFilters();
+    }
+
+    // The loaded CCI mapping with the user's CciOverrides layered on top
+    getEffectiveCciMap() {
+        const cciMap = this.state.customCciMap || window.DataManager?.currentData?.cciMappings || null;
+        return window.CciOverrides ? CciOverrides.apply(cciMap) : cciMap;
+    }
+
+    // Overrides changed: re-map the loaded rows in place, so blank checklists and rows from storage keep their edits
+    handleCciOverridesChanged() {
+        if (this.state.allRows.length === 0) return;
+
+        const changed = FileImporter.remapNistControls(this.state.allRows, this.getEffectiveCciMap() || {});
+        console.log(`[CCI] 🔄 Re-mapped rows with CCI overrides: ${changed} changed`);
+        this.processLoadedData(this.state.loadedFiles, true);
+        this.modules.statusMessages.showSuccess(`Applied CCI mapping overrides (${changed} rules changed)`, 4000);
+    }
+
+    // Include or leave out controls only the rule-text heuristic found
+    handleTextNistChange(includeText) {
+        AppSettings.set('includeTextNist', includeText);
+        if (this.state.allRows.length === 0) return;
+
+        const changed = FileImporter.applyNistSourceSetting(this.state.allRows, includeText);
+        console.log(`[NIST] 🔄 Text-matched controls ${includeText ? 'included' : 'excluded'}: ${changed} rows changed`);
+        this.processLoadedData(this.state.loadedFiles, true);
+        this.modules.statusMessages.showSuccess(
+            `${includeText ? 'Including' : 'Excluding'} text-matched NIST controls (${changed} rules changed)`, 4000
+        );
+    }
+
     async reprocessWithCciMappings() {
         if (!this.elements.file.files || this.elements.file.files.length === 0) return;
 
@@ -383,15 +751,16 @@ class STIGMapperApp {
             let reprocessingFailed = false;
             // Reprocess files with new CCI mappings
             const reprocessingId = this.modules.statusMessages.showLoading('Reprocessing with new CCI mappings...');
+            const { files } = await this.modules.fileLoader.expandArchives(Array.from(this.elements.file.files));
             
-            for (let i = 0; i < this.elements.file.files.length; i++) {
-                const file = this.elements.file.files[i];
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
                 const fileReprocessingId = this.modules.statusMessages.showLoading(
-                    `Reprocessing ${file.name} with CCI mappings (${i + 1}/${this.elements.file.files.length})...`, 'cci-reprocessing'
+                    `Reprocessing ${file.name} with CCI mappings (${i + 1}/${files.length})...`, 'cci-reprocessing'
                 );
 
                 try {
-                    const fileData = await FileImporter.processFile(file, this.state.customCciMap);
+                    const fileData = await ImportWorker.parseFile(file, this.state.customCciMap);
                     if (fileData.rows.length > 0) {
                         console.log(`[CCI] 🔄 Reprocessed ${fileData.rows.length} rows for file: ${file.name}`);
                         // Add _sourceFile property to each row
@@ -423,6 +792,7 @@ class STIGMapperApp {
                 this.state.loadedFiles = tempLoadedFiles;
                 this.modules.statusMessages.showError('CCI reprocessing failed - keeping original data');
             } else {
+                FileImporter.carrySeverityOverrides(newAllRows, originalRows);
                 this.state.allRows = newAllRows;
                 this.state.loadedFiles = tempLoadedFiles;
                 this.processLoadedData(Array.from(this.elements.file.files));
@@ -437,6 +807,50 @@ class STIGMapperApp {
         }
     }
 
+    setImportInProgress(inProgress) {
+        if (this.elements.importProgress) {
+            this.elements.importProgress.hidden = !inProgress;
+        }
+        if (this.elements.cancelImportBtn) {
+            this.elements.cancelImportBtn.disabled = !inProgress;
+        }
+        if (this.elements.importProgressBar && inProgress) {
+            this.elements.importProgressBar.value = 0;
+        }
+    }
+
+    cancelImport() {
+        console.log('[STIG] ⏹️ Import cancelled by user');
+        this.state.importCancelled = true;
+        ImportWorker.cancel();
+        if (this.elements.importProgressText) {
+            this.elements.importProgressText.textContent = 'Cancelling...';
+        }
+    }
+
+    updateImportProgress(detail = {}) {
+        if (!this.elements.importProgress) return;
+        if (detail.isComplete && !detail.ruleProgress) {
+            this.elements.importProgress.hidden = true;
+            return;
+        }
+
+        this.elements.importProgress.hidden = false;
+        if (this.elements.importProgressBar) {
+            this.elements.importProgressBar.value = detail.percentage || 0;
+        }
+        if (this.elements.importProgressText) {
+            const rule = detail.ruleProgress;
+            let text = `File ${detail.current}/${detail.total}: ${detail.fileName}`;
+            if (rule?.phase === 'parsing' && rule.total) {
+                text += ` — reading ${Math.round((rule.done / rule.total) * 100)}%`;
+            } else if (rule?.phase === 'rules' && rule.total) {
+                text += ` — rule ${rule.done}/${rule.total}`;
+            }
+            this.elements.importProgressText.textContent = text;
+        }
+    }
+
     processLoadedData(files, isRehydrating = false) {
         console.log('[UI] 🎨 processLoadedData called:', {
             files: files.map(f => f.name),
@@ -469,6 +883,9 @@ class STIGMapperApp {
                 if (this.elements.exportMappingsBtn) {
                     this.elements.exportMappingsBtn.disabled = false;
                 }
+                if (this.elements.exportChecklistBtn) {
+                    this.elements.exportChecklistBtn.disabled = false;
+                }
 
                 console.log('[UI] 📱 Updating file display...');
                 this.updateFileDisplay(files, 'success');
@@ -514,6 +931,7 @@ class STIGMapperApp {
     handleFileError(error) {
         this.state.allRows = [];
         this.state.loadedFiles = [];
+        this.state.checklistSources = {};
         VulnTable.setRows(this.state.allRows);
         this.modules.filterPanel.populateFacets(this.state.allRows);
         VulnTable.renderTable([]);
@@ -569,8 +987,12 @@ class STIGMapperApp {
         this.elements.severity.value = '';
         this.elements.status.value = '';
         this.elements.stig.value = '';
+        if (this.elements.host) this.elements.host.value = '';
         this.elements.cci.value = '';
         this.elements.search.value = '';
+        this.elements.frameworks?.querySelectorAll('select').forEach(select => {
+            select.value = '';
+        });
     }
 
     handleExport() {
@@ -583,6 +1005,29 @@ class STIGMapperApp {
         }
     }
 
+    async handleChecklistExport() {
+        if (this.state.allRows.length === 0) {
+            this.modules.statusMessages.showError('No checklist data to export');
+            return;
+        }
+
+        try {
+            const format = this.elements.checklistFormat ? this.elements.checklistFormat.value : 'original';
+            const files = ChecklistWriter.buildChecklistFiles(this.state.allRows, this.state.checklistSources, format);
+            await ChecklistWriter.downloadFiles(files);
+
+            const rebuilt = files.filter(file => !file.fromTemplate).length;
+            let message = `Exported ${files.length} checklist file(s)`;
+            if (rebuilt > 0) {
+                message += ` (${rebuilt} rebuilt from row data because the original file is not in this session)`;
+            }
+            this.modules.statusMessages.showSuccess(message, 5000);
+        } catch (error) {
+            console.error('[STIG] ❌ Checklist export failed:', error);
+            this.modules.statusMessages.showError(`Checklist export failed: ${error.message}`);
+        }
+    }
+
     showError(message) {
         if (this.modules.statusMessages) {
             this.modules.statusMessages.showError(message);
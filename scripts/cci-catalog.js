@@ -0,0 +1,149 @@
+/* CCI Catalog Module
+   - Full CCI records from U_CCI_List.xml (definition, type, status, publish date, contributor, references)
+   - Persists the most recently loaded list through DataStore and keeps it in memory for synchronous lookups
+   - Tooltip text, deprecated-CCI checks and search for the STIGs table and the CCI browser page
+*/
+
+const CciCatalog = (() => {
+    const STORE = 'cciDefinitions';
+
+    let records = {};   // CCI ID -> record
+    let source = null;  // { fileName, loadedAt, count }
+    let loadPromise = null;
+
+    function setCatalog(record) {
+        records = record?.records || {};
+        source = record ? { fileName: record.fileName, loadedAt: record.loadedAt, count: record.count } : null;
+    }
+
+    // Reads the stored list once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                const stored = await store.read(STORE);
+                setCatalog(stored[stored.length - 1] || null);
+                return records;
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    // Replaces the stored list with the records of a newly loaded CCI list
+    async function save(definitions, fileName) {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        const existing = await store.read(STORE);
+        for (const record of existing) {
+            await store.delete(STORE, record.id);
+        }
+        const saved = await store.create(STORE, {
+            fileName,
+            loadedAt: new Date().toISOString(),
+            count: Object.keys(definitions).length,
+            records: definitions
+        });
+        setCatalog(saved);
+        loadPromise = Promise.resolve(records);
+        return source;
+    }
+
+    function get(cciId) {
+        return records[cciId] || null;
+    }
+
+    function getAll() {
+        return Object.values(records);
+    }
+
+    function getSource() {
+        return source;
+    }
+
+    function isDeprecated(cciId) {
+        return records[cciId]?.status === 'deprecated';
+    }
+
+    function getDeprecatedIds() {
+        return Object.keys(records).filter(isDeprecated);
+    }
+
+    // Deprecated CCIs referenced by rows: Map CCI ID -> rows
+    function findDeprecated(rows) {
+        const found = new Map();
+        rows.forEach(row => {
+            (row.ccis || []).filter(isDeprecated).forEach(cci => {
+                if (!found.has(cci)) found.set(cci, []);
+                found.get(cci).push(row);
+            });
+        });
+        return found;
+    }
+
+    // One-line description for title attributes
+    function describe(cciId) {
+        const record = records[cciId];
+        if (!record) return cciId;
+        const facts = [record.status, record.type].filter(Boolean).join(', ');
+        return `${cciId}${facts ? ` (${facts})` : ''}: ${record.definition || 'No definition'}`;
+    }
+
+    // NIST SP 800-53 indexes of a record, e.g. ['Rev 4: CM-6 b', 'Rev 5: CM-6 b']
+    function getNistReferences(record) {
+        return (record.references || [])
+            .filter(ref => /800-53/.test(ref.title) && !/800-53A/i.test(ref.title) && ref.index)
+            .map(ref => `${ref.version ? `Rev ${ref.version}: ` : ''}${ref.index}`);
+    }
+
+    // Matches the CCI ID, definition, type and NIST indexes; status narrows to one status value
+    function search(query = '', { status = '' } = {}) {
+        const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return getAll().filter(record => {
+            if (status && record.status !== status) return false;
+            if (terms.length === 0) return true;
+            const haystack = [record.id, record.definition, record.type, record.note, ...getNistReferences(record)]
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    function toTable(list) {
+        const table = [['CCI', 'Status', 'Type', 'Publish Date', 'Contributor', 'Definition', 'NIST SP 800-53 References']];
+        list.forEach(record => {
+            table.push([
+                record.id,
+                record.status,
+                record.type,
+                record.publishdate,
+                record.contributor,
+                record.definition,
+                getNistReferences(record).join('; ')
+            ]);
+        });
+        return table;
+    }
+
+    // Public API
+    return {
+        load,
+        save,
+        get,
+        getAll,
+        getSource,
+        isDeprecated,
+        getDeprecatedIds,
+        findDeprecated,
+        describe,
+        getNistReferences,
+        search,
+        toTable
+    };
+})();
+
+// Make available globally
+window.CciCatalog = CciCatalog;
@@ -0,0 +1,230 @@
+/* CCI Mapping Overrides Module
+   - User corrections layered on top of the CCI -> NIST mapping loaded from the CCI list XML
+   - Each override sets one CCI's controls for one NIST SP 800-53 revision and records who changed it, when and why
+   - Earlier versions of an override are kept in its history
+   - Stored through DataStore apart from the CCI list, so overrides survive loading a newer list
+   - Exports and imports overrides as their own JSON file
+   - Dispatches a 'cciOverridesChanged' event on window when overrides change
+*/
+
+const CciOverrides = (() => {
+    const STORE = 'cciOverrides';
+    const FILE_TYPE = 'cci-mapping-overrides';
+    const FORMAT_VERSION = 1;
+
+    let overrides = [];
+    let loadPromise = null;
+
+    // '366', 'cci-366' and 'CCI-000366' all become 'CCI-000366'
+    function normalizeCci(value) {
+        const digits = String(value || '').trim().toUpperCase().replace(/^CCI-?/, '');
+        return /^\d{1,6}$/.test(digits) ? `CCI-${digits.padStart(6, '0')}` : '';
+    }
+
+    // Controls as an array or a comma / semicolon separated string; returns { controls, invalid }
+    function parseControls(value) {
+        const parts = Array.isArray(value) ? value : String(value || '').split(/[;,\n]+/);
+        const controls = [];
+        const invalid = [];
+        parts.map(part => String(part).trim()).filter(Boolean).forEach(part => {
+            const ctrl = FileImporter.cleanControl(part);
+            if (!ctrl) invalid.push(part);
+            else if (!controls.includes(ctrl)) controls.push(ctrl);
+        });
+        return { controls, invalid };
+    }
+
+    function normalizeOverride(override) {
+        return {
+            cci: normalizeCci(override.cci),
+            revision: String(override.revision || FileImporter.getActiveNistRevision()),
+            controls: parseControls(override.controls).controls,
+            author: String(override.author || '').trim(),
+            reason: String(override.reason || '').trim(),
+            changedAt: override.changedAt || new Date().toISOString(),
+            history: Array.isArray(override.history) ? override.history : []
+        };
+    }
+
+    // Throws on an override that cannot be saved
+    function validate(override) {
+        if (!normalizeCci(override.cci)) {
+            throw new Error(`"${override.cci}" is not a CCI ID (expected e.g. CCI-000366)`);
+        }
+        if (!FileImporter.NIST_REVISIONS.includes(String(override.revision))) {
+            throw new Error(`Unknown NIST SP 800-53 revision "${override.revision}"`);
+        }
+        const { invalid } = parseControls(override.controls);
+        if (invalid.length > 0) {
+            throw new Error(`Not NIST SP 800-53 control IDs: ${invalid.join(', ')}`);
+        }
+        if (!String(override.author || '').trim()) {
+            throw new Error('Enter who is making the change');
+        }
+        if (!String(override.reason || '').trim()) {
+            throw new Error('Enter why the mapping is being changed');
+        }
+    }
+
+    function notify(action) {
+        window.dispatchEvent(new CustomEvent('cciOverridesChanged', { detail: { action, count: overrides.length } }));
+    }
+
+    // Reads stored overrides once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                overrides = await store.read(STORE);
+                return overrides;
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    function getAll() {
+        return overrides.slice();
+    }
+
+    function find(cci, revision) {
+        const id = normalizeCci(cci);
+        return overrides.find(override => override.cci === id && override.revision === String(revision)) || null;
+    }
+
+    // Writes one override without notifying; an existing override for the same CCI and revision moves into history
+    async function store(override) {
+        validate(override);
+        const record = normalizeOverride(override);
+        const existing = find(record.cci, record.revision);
+        const dataStore = PageUtils.getDataStore();
+        await dataStore.ready();
+
+        let saved;
+        if (existing) {
+            const { id, createdAt, history = [], ...previous } = existing;
+            saved = await dataStore.update(STORE, {
+                ...record,
+                id,
+                createdAt,
+                history: [...history, { controls: previous.controls, author: previous.author, reason: previous.reason, changedAt: previous.changedAt }]
+            });
+            overrides = overrides.map(item => item.id === id ? saved : item);
+        } else {
+            saved = await dataStore.create(STORE, record);
+            overrides = [...overrides, saved];
+        }
+        return saved;
+    }
+
+    async function save(override) {
+        await load();
+        const saved = await store({ ...override, changedAt: new Date().toISOString(), history: undefined });
+        notify('save');
+        return saved;
+    }
+
+    async function remove(id) {
+        await load();
+        const dataStore = PageUtils.getDataStore();
+        await dataStore.ready();
+        await dataStore.delete(STORE, id);
+        overrides = overrides.filter(override => override.id !== id);
+        notify('remove');
+    }
+
+    /*
+     * The CCI map with overrides layered on top; the base map is not modified.
+     * Revisioned maps get the override's revision replaced; flat (pre-revision) maps take overrides
+     * for the active revision only.
+     */
+    function apply(cciMap, revision = FileImporter.getActiveNistRevision()) {
+        if (overrides.length === 0) return cciMap;
+        const base = cciMap || {};
+        const flat = Object.keys(base).length > 0 && !FileImporter.isRevisionedCciMap(base);
+        const layered = { ...base };
+        overrides.forEach(override => {
+            if (flat) {
+                if (override.revision === String(revision)) layered[override.cci] = override.controls.slice();
+                return;
+            }
+            const entry = layered[override.cci];
+            layered[override.cci] = { ...(entry && !Array.isArray(entry) ? entry : {}), [override.revision]: override.controls.slice() };
+        });
+        return layered;
+    }
+
+    // Controls the loaded CCI list itself gives a CCI under a revision
+    function baseControls(cciMap, cci, revision) {
+        const entry = (cciMap || {})[normalizeCci(cci)];
+        if (!entry) return [];
+        return Array.isArray(entry) ? entry : (entry[String(revision)] || []);
+    }
+
+    function toJson(list = overrides) {
+        return JSON.stringify({
+            type: FILE_TYPE,
+            version: FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            overrides: list.map(override => {
+                const { id, createdAt, updatedAt, ...record } = normalizeOverride(override);
+                return record;
+            })
+        }, null, 2);
+    }
+
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+        if (!data || data.type !== FILE_TYPE || !Array.isArray(data.overrides)) {
+            throw new Error(`Not a CCI override file: expected "type": "${FILE_TYPE}" with an "overrides" array`);
+        }
+        data.overrides.forEach((override, index) => {
+            try {
+                validate(override);
+            } catch (error) {
+                throw new Error(`Override ${index + 1}: ${error.message}`);
+            }
+        });
+        if (data.overrides.length === 0) {
+            throw new Error('The file has no overrides');
+        }
+        return data.overrides.map(normalizeOverride);
+    }
+
+    // Imported overrides replace held ones for the same CCI and revision; returns the number stored
+    async function importAll(list) {
+        await load();
+        for (const override of list) {
+            await store(override);
+        }
+        notify('import');
+        return list.length;
+    }
+
+    // Public API
+    return {
+        normalizeCci,
+        parseControls,
+        load,
+        getAll,
+        find,
+        save,
+        remove,
+        apply,
+        baseControls,
+        toJson,
+        parseJson,
+        importAll
+    };
+})();
+
+// Make available globally
+window.CciOverrides = CciOverrides;
@@ -0,0 +1,228 @@
+/* Checklist Diff Module
+   - Compares two imports of the same system (e.g., stored dataset vs. a new scan)
+   - Matches rules per host + STIG + Vuln ID so rule revisions still line up
+   - Classifies each rule: newly open, newly closed, unchanged open, status changed, added, removed
+   - Suggests POAM closures for POAMs whose rules are closed on every host they cover in the new scan
+*/
+
+const ChecklistDiff = (() => {
+    const CHANGE_TYPES = {
+        newly_open: 'Newly Open',
+        newly_closed: 'Newly Closed',
+        unchanged_open: 'Unchanged Open',
+        status_changed: 'Status Changed',
+        added: 'Added (new STIG release)',
+        removed: 'Removed',
+        unchanged: 'Unchanged'
+    };
+
+    const OPEN_STATUSES = ['open', 'failed'];
+    const CLOSED_STATUSES = ['not_a_finding', 'not_applicable', 'passed'];
+
+    function isOpen(status) {
+        return OPEN_STATUSES.includes((status || '').toLowerCase());
+    }
+
+    function isClosed(status) {
+        return CLOSED_STATUSES.includes((status || '').toLowerCase());
+    }
+
+    function hostKey(row) {
+        return (row.host_name || row.host_fqdn || row.host_ip || '').toLowerCase();
+    }
+
+    function ruleKey(row) {
+        const stig = (row.stig_id || row.stig_name || '').toLowerCase();
+        const rule = row.group_id || row.rule_id || '';
+        return `${hostKey(row)}::${stig}::${rule}`;
+    }
+
+    function indexRows(rows) {
+        const index = new Map();
+        (rows || []).forEach(row => {
+            const key = ruleKey(row);
+            if (!index.has(key)) index.set(key, row);
+        });
+        return index;
+    }
+
+    function classify(previousStatus, currentStatus) {
+        const wasOpen = isOpen(previousStatus);
+        const nowOpen = isOpen(currentStatus);
+        if (wasOpen && nowOpen) return 'unchanged_open';
+        if (!wasOpen && nowOpen) return 'newly_open';
+        if (wasOpen && isClosed(currentStatus)) return 'newly_closed';
+        if ((previousStatus || '') !== (currentStatus || '')) return 'status_changed';
+        return 'unchanged';
+    }
+
+    // Compare a baseline set of rows against a current set; returns one diff row per rule
+    function compare(baselineRows, currentRows) {
+        const baseline = indexRows(baselineRows);
+        const current = indexRows(currentRows);
+        const diffRows = [];
+
+        current.forEach((row, key) => {
+            const previous = baseline.get(key);
+            const previousStatus = previous ? previous.status : '';
+            diffRows.push({
+                ...row,
+                change_type: previous ? classify(previousStatus, row.status) : 'added',
+                previous_status: previousStatus,
+                current_status: row.status,
+                previous_rule_id: previous ? previous.rule_id : ''
+            });
+        });
+
+        baseline.forEach((row, key) => {
+            if (current.has(key)) return;
+            diffRows.push({
+                ...row,
+                change_type: 'removed',
+                previous_status: row.status,
+                current_status: '',
+                previous_rule_id: row.rule_id
+            });
+        });
+
+        console.log('[ChecklistDiff] Compared', baseline.size, 'baseline rules with', current.size, 'current rules');
+        return diffRows;
+    }
+
+    function summarize(diffRows) {
+        const summary = {};
+        Object.keys(CHANGE_TYPES).forEach(type => { summary[type] = 0; });
+        (diffRows || []).forEach(row => {
+            summary[row.change_type] = (summary[row.change_type] || 0) + 1;
+        });
+        summary.total = (diffRows || []).length;
+        return summary;
+    }
+
+    function getChangeLabel(changeType) {
+        return CHANGE_TYPES[changeType] || changeType || '';
+    }
+
+    // Vuln IDs a POAM covers: wizard POAMs carry vulnerabilities[], manual POAMs a vulnId string
+    function getPoamVulnIds(poam) {
+        const ids = new Set();
+        String(poam?.vulnId || '').split(/[;,\s]+/).filter(Boolean).forEach(id => ids.add(id));
+        (Array.isArray(poam?.vulnerabilities) ? poam.vulnerabilities : []).forEach(v => {
+            const id = v?.vulnId || v?.group_id;
+            if (id) ids.add(id);
+        });
+        return Array.from(ids);
+    }
+
+    function splitList(value) {
+        return (Array.isArray(value) ? value : String(value || '').split(/[;,]/))
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    function rowMatchesHost(row, host) {
+        return [row.host_name, row.host_fqdn, row.host_ip].some(value => (value || '').toLowerCase() === host);
+    }
+
+    /*
+     * The rules a POAM covers, keyed on STIG + Vuln ID: [{ stig, vulnId, hosts }]
+     * stig is '' for manual POAMs (any STIG matches); hosts are the devices recorded for the rule, else the POAM's
+     * devicesAffected, else [] (meaning every host the baseline had the rule on)
+     */
+    function getPoamRules(poam) {
+        const rules = new Map();
+        const add = (stig, vulnId, hosts) => {
+            const key = `${stig}::${vulnId}`;
+            const held = rules.get(key) || { stig, vulnId, hosts: new Set() };
+            hosts.forEach(host => held.hosts.add(host));
+            rules.set(key, held);
+        };
+        String(poam?.vulnId || '').split(/[;,\s]+/).filter(Boolean).forEach(id => add('', id, []));
+        (Array.isArray(poam?.vulnerabilities) ? poam.vulnerabilities : []).forEach(v => {
+            const id = v?.vulnId || v?.group_id;
+            if (!id) return;
+            const hosts = Array.isArray(v.devicesAffected) && v.devicesAffected.length > 0
+                ? splitList(v.devicesAffected)
+                : splitList([v.hostName || v.hostFqdn || v.hostIp || '']);
+            add((v.stigName || v.stig_name || '').toLowerCase(), id, hosts);
+        });
+
+        const poamHosts = splitList(poam?.devicesAffected);
+        return Array.from(rules.values()).map(rule => ({
+            ...rule,
+            hosts: rule.hosts.size > 0 ? Array.from(rule.hosts) : poamHosts
+        }));
+    }
+
+    /*
+     * Closed statuses of one POAM rule in the comparison, or null when it is not closed everywhere.
+     * Every host the rule covers must be in the new scan with a closed status; a removed row (host or rule missing
+     * from the new scan) blocks, as does the rule still being open on any scanned host.
+     */
+    function closedStatuses(rule, diffRows) {
+        const rows = diffRows.filter(row => row.group_id === rule.vulnId
+            && (!rule.stig || [row.stig_name, row.stig_id].some(value => (value || '').toLowerCase() === rule.stig)));
+        if (rows.length === 0) return null;
+
+        const hosts = rule.hosts.length > 0
+            ? rule.hosts
+            : Array.from(new Set(rows.filter(row => row.change_type !== 'added').map(hostKey)));
+        const covered = hosts.every(host => rows.some(row => row.change_type !== 'removed'
+            && (host ? rowMatchesHost(row, host) : !hostKey(row))
+            && isClosed(row.current_status)));
+        const scanned = rows.filter(row => row.change_type !== 'removed');
+        if (!covered || scanned.length === 0 || !scanned.every(row => isClosed(row.current_status))) return null;
+
+        return Array.from(new Set(scanned.map(row => row.current_status.toLowerCase())));
+    }
+
+    // POAMs whose rules are closed on every host they cover: [{ poam, closedVulnIds, closures: [{ vulnId, statuses }] }]
+    function suggestPoamClosures(diffRows, poams) {
+        const suggestions = [];
+        (poams || []).forEach(poam => {
+            const status = (poam.status || '').toLowerCase();
+            if (status === 'completed' || status === 'cancelled') return;
+
+            const rules = getPoamRules(poam);
+            if (rules.length === 0) return;
+
+            const closures = [];
+            const allClosed = rules.every(rule => {
+                const statuses = closedStatuses(rule, diffRows || []);
+                if (statuses) closures.push({ vulnId: rule.vulnId, statuses });
+                return !!statuses;
+            });
+
+            if (allClosed) {
+                suggestions.push({
+                    poam,
+                    closedVulnIds: Array.from(new Set(closures.map(closure => closure.vulnId))),
+                    closures
+                });
+            }
+        });
+
+        return suggestions;
+    }
+
+    // 'V-1 now not_a_finding; V-2 now not_applicable / passed'
+    function describeClosure(suggestion) {
+        return suggestion.closures.map(closure => `${closure.vulnId} now ${closure.statuses.join(' / ')}`).join('; ');
+    }
+
+    // Public API
+    return {
+        CHANGE_TYPES,
+        compare,
+        summarize,
+        classify,
+        getChangeLabel,
+        getPoamVulnIds,
+        getPoamRules,
+        suggestPoamClosures,
+        describeClosure
+    };
+})();
+
+// Make available globally
+window.ChecklistDiff = ChecklistDiff;
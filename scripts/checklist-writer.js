@@ -0,0 +1,657 @@
+/* Checklist Writer Module
+   - Regenerates CKL (STIG Viewer 2.x XML) and CKLB (STIG Viewer 3.x JSON) checklists from normalized rows
+   - Uses the originally imported file as a template when available, preserving STIG_INFO, ASSET and untouched attributes
+   - Applies edits to STATUS, FINDING_DETAILS, COMMENTS and severity overrides
+   - Falls back to building a complete checklist from the row data when no template is available
+   - Converts between formats, carrying target/asset data, STIG_INFO and per-rule attributes across
+*/
+
+const ChecklistWriter = (() => {
+    const CKL_STATUS = {
+        open: 'Open',
+        not_a_finding: 'NotAFinding',
+        not_applicable: 'Not_Applicable',
+        not_reviewed: 'Not_Reviewed'
+    };
+
+    const CKLB_STATUSES = ['open', 'not_a_finding', 'not_applicable', 'not_reviewed'];
+
+    // Review elements in the order STIG Viewer writes them after the STIG_DATA block
+    const CKL_REVIEW_ELEMENTS = ['STATUS', 'FINDING_DETAILS', 'COMMENTS', 'SEVERITY_OVERRIDE', 'SEVERITY_JUSTIFICATION'];
+
+    const CKL_SI_DATA = ['version', 'classification', 'customname', 'stigid', 'description', 'filename', 'releaseinfo', 'title', 'uuid', 'notice', 'source'];
+
+    // Per-rule attributes with no row field: CKL STIG_DATA attribute -> CKLB rule key
+    const RULE_EXTRA_FIELDS = {
+        False_Positives: 'false_positives',
+        False_Negatives: 'false_negatives',
+        Documentable: 'documentable',
+        Mitigations: 'mitigations',
+        Potential_Impact: 'potential_impacts',
+        Third_Party_Tools: 'third_party_tools',
+        Mitigation_Control: 'mitigation_control',
+        Responsibility: 'responsibility',
+        Security_Override_Guidance: 'security_override_guidance',
+        Weight: 'weight'
+    };
+
+    const CKL_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+    const CKL_VIEWER_COMMENT = '<!--DISA STIG Viewer :: 2.17-->';
+
+    function toCklStatus(status) {
+        const normalized = FileImporter.normalizeStatus(status);
+        return CKL_STATUS[normalized] || 'Not_Reviewed';
+    }
+
+    function toCklbStatus(status) {
+        const normalized = FileImporter.normalizeStatus(status);
+        return CKLB_STATUSES.includes(normalized) ? normalized : 'not_reviewed';
+    }
+
+    function escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function generateUuid() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    function ruleKey(stigIndex, groupId) {
+        return `${stigIndex || 0}::${groupId || ''}`;
+    }
+
+    // Rows of one checklist keyed by STIG position + Vuln ID
+    function indexRows(rows) {
+        const index = new Map();
+        rows.forEach(row => {
+            const key = ruleKey(row.stig_index, row.group_id);
+            if (!index.has(key)) index.set(key, row);
+        });
+        return index;
+    }
+
+    // Group rows by STIG (in first-seen order) for checklists built without a template
+    function groupByStig(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = row.stig_index !== undefined ? `i${row.stig_index}` : (row.stig_id || row.stig_name || 'stig');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        return Array.from(groups.values());
+    }
+
+    function firstAsset(rows) {
+        return rows.find(row => FileImporter.getAssetLabel(row)) || rows[0] || {};
+    }
+
+    // ---- Template metadata (used when converting a checklist to the other format) ----
+
+    function emptyMetadata() {
+        return { title: '', asset: {}, stigs: [], rules: new Map() };
+    }
+
+    function readCklMetadata(sourceText) {
+        const doc = new DOMParser().parseFromString(sourceText, 'application/xml');
+        const meta = emptyMetadata();
+        if (doc.querySelector('parsererror')) return meta;
+
+        const read = tag => doc.querySelector(`ASSET > ${tag}`)?.textContent?.trim() || '';
+        meta.asset = {
+            role: read('ROLE'),
+            asset_type: read('ASSET_TYPE'),
+            marking: read('MARKING'),
+            target_comment: read('TARGET_COMMENT'),
+            tech_area: read('TECH_AREA'),
+            target_key: read('TARGET_KEY'),
+            web_or_database: read('WEB_OR_DATABASE') === 'true',
+            web_db_site: read('WEB_DB_SITE'),
+            web_db_instance: read('WEB_DB_INSTANCE')
+        };
+
+        doc.querySelectorAll('iSTIG').forEach((iStig, stigIndex) => {
+            meta.stigs[stigIndex] = FileImporter.extractStigInfoFromiSTIG(iStig);
+            iStig.querySelectorAll('VULN').forEach(vuln => {
+                const data = {};
+                vuln.querySelectorAll('STIG_DATA').forEach(el => {
+                    const attr = el.querySelector('VULN_ATTRIBUTE')?.textContent?.trim();
+                    if (attr && !(attr in data)) data[attr] = el.querySelector('ATTRIBUTE_DATA')?.textContent || '';
+                });
+                const extras = {};
+                Object.keys(RULE_EXTRA_FIELDS).forEach(attr => {
+                    if (data[attr]) extras[attr] = data[attr];
+                });
+                if (data.Check_Content_Ref) extras.Check_Content_Ref = data.Check_Content_Ref;
+                meta.rules.set(ruleKey(stigIndex, data.Vuln_Num), extras);
+            });
+        });
+        return meta;
+    }
+
+    function readCklbMetadata(sourceText) {
+        const meta = emptyMetadata();
+        let checklist;
+        try {
+            checklist = JSON.parse(sourceText);
+        } catch (error) {
+            return meta;
+        }
+
+        const target = checklist.target_data || {};
+        meta.title = checklist.title || '';
+        meta.asset = {
+            role: target.role || '',
+            asset_type: target.target_type || '',
+            target_comment: target.comments || '',
+            tech_area: target.technology_area || '',
+            web_or_database: !!target.is_web_database,
+            web_db_site: target.web_db_site || '',
+            web_db_instance: target.web_db_instance || ''
+        };
+
+        (checklist.stigs || []).forEach((stig, stigIndex) => {
+            meta.stigs[stigIndex] = {
+                version: stig.version || '',
+                stigid: stig.stig_id || '',
+                releaseinfo: stig.release_info || '',
+                title: stig.stig_name || stig.display_name || '',
+                uuid: stig.uuid || '',
+                reference_identifier: stig.reference_identifier || ''
+            };
+            (stig.rules || []).forEach(rule => {
+                const extras = {};
+                Object.entries(RULE_EXTRA_FIELDS).forEach(([attr, key]) => {
+                    if (rule[key]) extras[attr] = String(rule[key]);
+                });
+                if (rule.check_content_ref?.name) extras.Check_Content_Ref = rule.check_content_ref.name;
+                meta.rules.set(ruleKey(stigIndex, rule.group_id), extras);
+            });
+        });
+        return meta;
+    }
+
+    // source: { type: 'CKL'|'CKLB', text } captured at import
+    function readTemplateMetadata(source) {
+        if (!source || !source.text) return emptyMetadata();
+        if (source.type === 'CKLB') return readCklbMetadata(source.text);
+        if (source.type === 'CKL') return readCklMetadata(source.text);
+        return emptyMetadata();
+    }
+
+    function rowExtras(meta, row) {
+        return meta.rules.get(ruleKey(row.stig_index, row.group_id)) || {};
+    }
+
+    // ---- CKL ----
+
+    function setChildText(doc, parent, tagName, value) {
+        let el = Array.from(parent.children).find(child => child.tagName === tagName);
+        if (!el) {
+            el = doc.createElement(tagName);
+            // Keep STIG Viewer's element order: insert before the next review element that exists
+            const order = CKL_REVIEW_ELEMENTS.indexOf(tagName);
+            const next = Array.from(parent.children).find(child => CKL_REVIEW_ELEMENTS.indexOf(child.tagName) > order);
+            parent.insertBefore(el, next || null);
+        }
+        el.textContent = value;
+    }
+
+    function readChildText(parent, tagName) {
+        const el = Array.from(parent.children).find(child => child.tagName === tagName);
+        return el ? el.textContent : null;
+    }
+
+    // Apply one row's review data to a VULN element, leaving unchanged values byte-for-byte intact
+    function applyRowToVuln(doc, vuln, row) {
+        const currentStatus = readChildText(vuln, 'STATUS');
+        if (FileImporter.normalizeStatus(currentStatus) !== FileImporter.normalizeStatus(row.status)) {
+            setChildText(doc, vuln, 'STATUS', toCklStatus(row.status));
+        }
+
+        const textFields = {
+            FINDING_DETAILS: row.finding_details,
+            COMMENTS: row.comments,
+            SEVERITY_OVERRIDE: row.severity_override,
+            SEVERITY_JUSTIFICATION: row.severity_justification
+        };
+        Object.entries(textFields).forEach(([tagName, value]) => {
+            const current = readChildText(vuln, tagName);
+            const next = value || '';
+            if ((current || '').trim() === next.trim()) return;
+            setChildText(doc, vuln, tagName, next);
+        });
+    }
+
+    // Fill blank ASSET fields from the rows (e.g., a blank release applied to a host during an upgrade)
+    function applyAssetToCkl(doc, rows) {
+        const assetEl = doc.querySelector('ASSET');
+        if (!assetEl) return;
+        const asset = firstAsset(rows);
+        const fields = {
+            HOST_NAME: asset.host_name,
+            HOST_IP: asset.host_ip,
+            HOST_MAC: asset.host_mac,
+            HOST_FQDN: asset.host_fqdn,
+            TECH_AREA: asset.tech_area
+        };
+        Object.entries(fields).forEach(([tagName, value]) => {
+            const el = assetEl.querySelector(tagName);
+            if (el && !el.textContent.trim() && value) el.textContent = value;
+        });
+    }
+
+    function writeCklFromTemplate(rows, sourceText) {
+        const doc = new DOMParser().parseFromString(sourceText, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Original checklist could not be parsed');
+        }
+
+        const index = indexRows(rows);
+        doc.querySelectorAll('iSTIG').forEach((iStig, stigIndex) => {
+            iStig.querySelectorAll('VULN').forEach(vuln => {
+                const vulnNum = Array.from(vuln.querySelectorAll('STIG_DATA'))
+                    .find(data => data.querySelector('VULN_ATTRIBUTE')?.textContent?.trim() === 'Vuln_Num')
+                    ?.querySelector('ATTRIBUTE_DATA')?.textContent?.trim();
+                const row = index.get(ruleKey(stigIndex, vulnNum));
+                if (row) applyRowToVuln(doc, vuln, row);
+            });
+        });
+        applyAssetToCkl(doc, rows);
+
+        // XMLSerializer keeps the STIG Viewer comment but drops the XML declaration
+        const body = new XMLSerializer().serializeToString(doc).replace(/^<\?xml[^>]*\?>\s*/, '');
+        return `${CKL_HEADER}\n${body}`;
+    }
+
+    function cklElement(tagName, value, indent) {
+        return value ? `${indent}<${tagName}>${escapeXml(value)}</${tagName}>` : `${indent}<${tagName}></${tagName}>`;
+    }
+
+    function cklStigData(attribute, value) {
+        return [
+            '\t\t\t\t<STIG_DATA>',
+            `\t\t\t\t\t<VULN_ATTRIBUTE>${attribute}</VULN_ATTRIBUTE>`,
+            cklElement('ATTRIBUTE_DATA', value, '\t\t\t\t\t'),
+            '\t\t\t\t</STIG_DATA>'
+        ].join('\n');
+    }
+
+    function cklVuln(row, extras = {}) {
+        const extra = (attr, fallback) => extras[attr] || fallback;
+        const attributes = [
+            ['Vuln_Num', row.group_id],
+            ['Severity', row.severity],
+            ['Group_Title', row.group_title],
+            ['Rule_ID', row.rule_id],
+            ['Rule_Ver', row.rule_version],
+            ['Rule_Title', row.rule_title],
+            ['Vuln_Discuss', row.discussion],
+            ['IA_Controls', row.ia_controls],
+            ['Check_Content', row.check_content || row.checkContent],
+            ['Fix_Text', row.fix_text || row.fixText],
+            ['False_Positives', extra('False_Positives', '')],
+            ['False_Negatives', extra('False_Negatives', '')],
+            ['Documentable', extra('Documentable', 'false')],
+            ['Mitigations', extra('Mitigations', '')],
+            ['Potential_Impact', extra('Potential_Impact', '')],
+            ['Third_Party_Tools', extra('Third_Party_Tools', '')],
+            ['Mitigation_Control', extra('Mitigation_Control', '')],
+            ['Responsibility', extra('Responsibility', '')],
+            ['Security_Override_Guidance', extra('Security_Override_Guidance', '')],
+            ['Check_Content_Ref', extra('Check_Content_Ref', 'M')],
+            ['Weight', extra('Weight', row.weight ? String(row.weight) : '10.0')],
+            ['Class', row.class || 'Unclass'],
+            ['STIG_Ref', [row.stig_name, row.stig_version && `Version ${row.stig_version}`, row.stig_release].filter(Boolean).join(' :: ')],
+            ['TargetKey', row.target_key],
+            ['STIG_UUID', row.stig_uuid],
+            ...(row.legacy_ids || []).map(id => ['LEGACY_ID', id]),
+            ...(row.cci_refs || row.ccis || []).map(cci => ['CCI_REF', cci])
+        ];
+
+        return [
+            '\t\t\t<VULN>',
+            ...attributes.map(([attribute, value]) => cklStigData(attribute, value)),
+            cklElement('STATUS', toCklStatus(row.status), '\t\t\t\t'),
+            cklElement('FINDING_DETAILS', row.finding_details, '\t\t\t\t'),
+            cklElement('COMMENTS', row.comments, '\t\t\t\t'),
+            cklElement('SEVERITY_OVERRIDE', row.severity_override, '\t\t\t\t'),
+            cklElement('SEVERITY_JUSTIFICATION', row.severity_justification, '\t\t\t\t'),
+            '\t\t\t</VULN>'
+        ].join('\n');
+    }
+
+    function cklStig(stigRows, meta) {
+        const first = stigRows[0];
+        const stigMeta = meta.stigs[first.stig_index] || {};
+        const siValues = {
+            classification: 'UNCLASSIFIED',
+            ...stigMeta,
+            version: first.stig_version || stigMeta.version,
+            stigid: first.stig_id || stigMeta.stigid,
+            releaseinfo: first.stig_release || stigMeta.releaseinfo,
+            title: first.stig_name || stigMeta.title,
+            uuid: stigMeta.uuid || first.stig_uuid || generateUuid()
+        };
+        const siData = CKL_SI_DATA.map(name => [
+            '\t\t\t\t<SI_DATA>',
+            `\t\t\t\t\t<SID_NAME>${name}</SID_NAME>`,
+            ...(siValues[name] ? [`\t\t\t\t\t<SID_DATA>${escapeXml(siValues[name])}</SID_DATA>`] : []),
+            '\t\t\t\t</SI_DATA>'
+        ].join('\n'));
+
+        return [
+            '\t\t<iSTIG>',
+            '\t\t\t<STIG_INFO>',
+            ...siData,
+            '\t\t\t</STIG_INFO>',
+            ...stigRows.map(row => cklVuln(row, rowExtras(meta, row))),
+            '\t\t</iSTIG>'
+        ].join('\n');
+    }
+
+    function writeCklFromRows(rows, meta = emptyMetadata()) {
+        const asset = firstAsset(rows);
+        const target = meta.asset;
+        const assetXml = [
+            cklElement('ROLE', asset.asset_role || target.role || 'None', '\t\t'),
+            cklElement('ASSET_TYPE', target.asset_type || 'Computing', '\t\t'),
+            cklElement('MARKING', target.marking || 'CUI', '\t\t'),
+            cklElement('HOST_NAME', asset.host_name, '\t\t'),
+            cklElement('HOST_IP', asset.host_ip, '\t\t'),
+            cklElement('HOST_MAC', asset.host_mac, '\t\t'),
+            cklElement('HOST_FQDN', asset.host_fqdn, '\t\t'),
+            cklElement('TARGET_COMMENT', target.target_comment, '\t\t'),
+            cklElement('TECH_AREA', asset.tech_area || target.tech_area, '\t\t'),
+            cklElement('TARGET_KEY', asset.target_key || target.target_key, '\t\t'),
+            cklElement('WEB_OR_DATABASE', target.web_or_database ? 'true' : 'false', '\t\t'),
+            cklElement('WEB_DB_SITE', target.web_db_site, '\t\t'),
+            cklElement('WEB_DB_INSTANCE', target.web_db_instance, '\t\t')
+        ];
+
+        return [
+            CKL_HEADER,
+            CKL_VIEWER_COMMENT,
+            '<CHECKLIST>',
+            '\t<ASSET>',
+            ...assetXml,
+            '\t</ASSET>',
+            '\t<STIGS>',
+            ...groupByStig(rows).map(stigRows => cklStig(stigRows, meta)),
+            '\t</STIGS>',
+            '</CHECKLIST>',
+            ''
+        ].join('\n');
+    }
+
+    /*
+     * rows: rows of one checklist (one host)
+     * sourceText: the originally imported CKL text, if available
+     * meta: template metadata from a checklist in the other format (see readTemplateMetadata)
+     */
+    function toCkl(rows, sourceText = null, meta = null) {
+        if (!rows || rows.length === 0) throw new Error('No rows to write');
+        return sourceText ? writeCklFromTemplate(rows, sourceText) : writeCklFromRows(rows, meta || emptyMetadata());
+    }
+
+    // ---- CKLB ----
+
+    function applyRowToCklbRule(rule, row) {
+        if (FileImporter.normalizeStatus(rule.status) !== FileImporter.normalizeStatus(row.status)) {
+            rule.status = toCklbStatus(row.status);
+        }
+        if ((rule.finding_details || '').trim() !== (row.finding_details || '').trim()) {
+            rule.finding_details = row.finding_details || '';
+        }
+        if ((rule.comments || '').trim() !== (row.comments || '').trim()) {
+            rule.comments = row.comments || '';
+        }
+
+        const currentOverride = rule.overrides?.severity || {};
+        const overrideChanged = (currentOverride.severity || '') !== (row.severity_override || '')
+            || (currentOverride.reason || '') !== (row.severity_justification || '');
+        if (overrideChanged) {
+            rule.overrides = { ...(rule.overrides || {}) };
+            if (row.severity_override) {
+                rule.overrides.severity = { severity: row.severity_override, reason: row.severity_justification || '' };
+            } else {
+                delete rule.overrides.severity;
+            }
+        }
+    }
+
+    function writeCklbFromTemplate(rows, sourceText) {
+        const checklist = JSON.parse(sourceText);
+        const index = indexRows(rows);
+        const now = new Date().toISOString();
+
+        (checklist.stigs || []).forEach((stig, stigIndex) => {
+            (stig.rules || []).forEach(rule => {
+                const row = index.get(ruleKey(stigIndex, rule.group_id));
+                if (!row) return;
+                const before = JSON.stringify(rule);
+                applyRowToCklbRule(rule, row);
+                if (JSON.stringify(rule) !== before && 'updatedAt' in rule) rule.updatedAt = now;
+            });
+        });
+
+        // Fill blank target fields from the rows
+        const asset = firstAsset(rows);
+        const target = checklist.target_data || (checklist.target_data = {});
+        const fields = { host_name: asset.host_name, ip_address: asset.host_ip, mac_address: asset.host_mac, fqdn: asset.host_fqdn };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (!target[key] && value) target[key] = value;
+        });
+
+        return JSON.stringify(checklist, null, 2);
+    }
+
+    function cklbRule(row, stigUuid, extras = {}) {
+        const extra = (attr, fallback) => extras[attr] || fallback;
+        const overrides = row.severity_override
+            ? { severity: { severity: row.severity_override, reason: row.severity_justification || '' } }
+            : {};
+        return {
+            uuid: generateUuid(),
+            stig_uuid: stigUuid,
+            target_key: row.target_key || null,
+            stig_ref: null,
+            group_id: row.group_id || '',
+            rule_id: (row.rule_id || '').replace(/_rule$/i, ''),
+            rule_id_src: row.rule_id || '',
+            weight: extra('Weight', row.weight ? String(row.weight) : '10.0'),
+            classification: 'UNCLASSIFIED',
+            severity: row.severity || '',
+            rule_version: row.rule_version || '',
+            group_title: row.group_title || '',
+            rule_title: row.rule_title || '',
+            fix_text: row.fix_text || row.fixText || '',
+            false_positives: extra('False_Positives', ''),
+            false_negatives: extra('False_Negatives', ''),
+            discussion: row.discussion || '',
+            check_content: row.check_content || row.checkContent || '',
+            documentable: extra('Documentable', 'false'),
+            mitigations: extra('Mitigations', ''),
+            potential_impacts: extra('Potential_Impact', ''),
+            third_party_tools: extra('Third_Party_Tools', ''),
+            mitigation_control: extra('Mitigation_Control', ''),
+            responsibility: extra('Responsibility', ''),
+            security_override_guidance: extra('Security_Override_Guidance', ''),
+            ia_controls: row.ia_controls || '',
+            check_content_ref: { href: '', name: extra('Check_Content_Ref', 'M') },
+            legacy_ids: (row.legacy_ids || []).slice(),
+            ccis: (row.cci_refs || row.ccis || []).slice(),
+            group_tree: [{ id: row.group_id || '', title: row.group_title || '', description: '<GroupDescription></GroupDescription>' }],
+            status: toCklbStatus(row.status),
+            overrides,
+            comments: row.comments || '',
+            finding_details: row.finding_details || ''
+        };
+    }
+
+    function writeCklbFromRows(rows, title, meta = emptyMetadata()) {
+        const asset = firstAsset(rows);
+        const target = meta.asset;
+        const stigs = groupByStig(rows).map(stigRows => {
+            const first = stigRows[0];
+            const stigMeta = meta.stigs[first.stig_index] || {};
+            const uuid = stigMeta.uuid || generateUuid();
+            return {
+                stig_name: first.stig_name || stigMeta.title || '',
+                display_name: first.stig_name || stigMeta.title || '',
+                stig_id: first.stig_id || stigMeta.stigid || '',
+                release_info: first.stig_release || stigMeta.releaseinfo || '',
+                version: first.stig_version || stigMeta.version || '',
+                uuid,
+                reference_identifier: stigMeta.reference_identifier || '',
+                size: stigRows.length,
+                rules: stigRows.map(row => cklbRule(row, uuid, rowExtras(meta, row)))
+            };
+        });
+
+        const checklist = {
+            title: meta.title || title || FileImporter.getAssetLabel(asset) || stigs[0]?.display_name || 'Checklist',
+            id: generateUuid(),
+            active: false,
+            mode: 1,
+            has_path: true,
+            target_data: {
+                target_type: target.asset_type || 'Computing',
+                host_name: asset.host_name || '',
+                ip_address: asset.host_ip || '',
+                mac_address: asset.host_mac || '',
+                fqdn: asset.host_fqdn || '',
+                comments: target.target_comment || '',
+                role: asset.asset_role || target.role || 'None',
+                is_web_database: !!target.web_or_database,
+                technology_area: asset.tech_area || target.tech_area || '',
+                web_db_site: target.web_db_site || '',
+                web_db_instance: target.web_db_instance || ''
+            },
+            stigs,
+            cklb_version: '1.0'
+        };
+
+        return JSON.stringify(checklist, null, 2);
+    }
+
+    /*
+     * rows: rows of one checklist (one host)
+     * sourceText: the originally imported CKLB text, if available
+     * meta: template metadata from a checklist in the other format (see readTemplateMetadata)
+     */
+    function toCklb(rows, sourceText = null, title = '', meta = null) {
+        if (!rows || rows.length === 0) throw new Error('No rows to write');
+        return sourceText ? writeCklbFromTemplate(rows, sourceText) : writeCklbFromRows(rows, title, meta || emptyMetadata());
+    }
+
+    // ---- Batch helpers ----
+
+    function baseName(fileName) {
+        return String(fileName || 'checklist').replace(/\.(ckl|cklb|json|xml)$/i, '');
+    }
+
+    function safeFilePart(value) {
+        return String(value || '').replace(/[^A-Za-z0-9._-]+/g, '_');
+    }
+
+    /*
+     * Build one checklist file per source file (and per host, when one source was applied to several hosts).
+     * sources: { [fileName]: { type: 'CKL'|'CKLB', text } } captured at import
+     * format: 'original' keeps each file's imported format (CKL for formats that cannot be written back),
+     *         'other' converts CKL <-> CKLB, or 'ckl' / 'cklb' forces one format
+     */
+    function buildChecklistFiles(rows, sources = {}, format = 'original') {
+        const groups = new Map();
+        rows.forEach(row => {
+            const source = row._sourceFile || 'checklist';
+            const host = FileImporter.getAssetLabel(row);
+            const key = `${source}::${host}`;
+            if (!groups.has(key)) groups.set(key, { source, host, rows: [] });
+            groups.get(key).rows.push(row);
+        });
+
+        const hostsPerSource = new Map();
+        groups.forEach(group => hostsPerSource.set(group.source, (hostsPerSource.get(group.source) || 0) + 1));
+
+        return Array.from(groups.values()).map(group => {
+            const source = sources[group.source];
+            const sourceType = source?.type || '';
+            let targetFormat = format;
+            if (format === 'original') targetFormat = sourceType === 'CKLB' ? 'cklb' : 'ckl';
+            if (format === 'other') targetFormat = sourceType === 'CKLB' ? 'ckl' : 'cklb';
+
+            // A template only applies to the single host it describes; across formats only its metadata carries over
+            const singleHost = hostsPerSource.get(group.source) === 1;
+            const sameFormat = (targetFormat === 'cklb' && sourceType === 'CKLB') || (targetFormat === 'ckl' && sourceType === 'CKL');
+            const templateText = sameFormat && singleHost ? source.text : null;
+            const meta = !templateText && singleHost ? readTemplateMetadata(source) : null;
+
+            const hostSuffix = hostsPerSource.get(group.source) > 1 && group.host ? `_${safeFilePart(group.host)}` : '';
+            const filename = `${baseName(group.source)}${hostSuffix}.${targetFormat}`;
+
+            const content = targetFormat === 'cklb'
+                ? toCklb(group.rows, templateText, baseName(group.source), meta)
+                : toCkl(group.rows, templateText, meta);
+
+            return {
+                filename,
+                format: targetFormat,
+                fromTemplate: !!templateText,
+                sourceFile: group.source,
+                sourceType,
+                rowCount: group.rows.length,
+                content
+            };
+        });
+    }
+
+    function downloadFile(file) {
+        const mimeType = file.format === 'cklb' ? 'application/json;charset=utf-8;' : 'application/xml;charset=utf-8;';
+        const blob = new Blob([file.content], { type: mimeType });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', file.filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // One file downloads as-is; a batch is packed into a single ZIP
+    async function downloadFiles(files, archiveName = 'Checklists') {
+        if (files.length === 1) {
+            downloadFile(files[0]);
+            return;
+        }
+        const zip = await ZipArchive.createZip(files.map(file => ({ name: file.filename, content: file.content })));
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        ZipArchive.downloadBlob(zip, `${archiveName}_${timestamp}.zip`);
+    }
+
+    // Public API
+    return {
+        toCkl,
+        toCklb,
+        toCklStatus,
+        toCklbStatus,
+        readTemplateMetadata,
+        buildChecklistFiles,
+        downloadFile,
+        downloadFiles
+    };
+})();
+
+// Make available globally
+window.ChecklistWriter = ChecklistWriter;
@@ -0,0 +1,149 @@
+/* Compliance Scorecard Module
+   - Counts loaded rules per NIST SP 800-53 control family and per control: open, not a finding, not applicable, not reviewed
+   - Percent compliant is not-a-finding rules over applicable rules (not applicable ones are left out)
+   - Breaks each family and control down by CAT I / II / III using the effective (overridden) severity
+   - A rule mapped to several controls counts once under each control and once under each of its families
+   - Controls are keyed exactly as the findings table lists them, so a scorecard entry maps straight onto its filters
+*/
+
+const ComplianceScorecard = (() => {
+    const CATEGORIES = [
+        { severity: 'high', label: 'CAT I' },
+        { severity: 'medium', label: 'CAT II' },
+        { severity: 'low', label: 'CAT III' }
+    ];
+
+    function emptyCounts() {
+        return { rules: 0, open: 0, notAFinding: 0, notApplicable: 0, notReviewed: 0 };
+    }
+
+    function emptyEntry() {
+        return {
+            ...emptyCounts(),
+            byCategory: Object.fromEntries(CATEGORIES.map(category => [category.severity, emptyCounts()]))
+        };
+    }
+
+    // Same status buckets as the framework summaries; anything unrecognised is still to be reviewed
+    function statusKey(row) {
+        if (row.status === 'open' || row.status === 'failed') return 'open';
+        if (row.status === 'not_a_finding' || row.status === 'passed') return 'notAFinding';
+        if (row.status === 'not_applicable') return 'notApplicable';
+        return 'notReviewed';
+    }
+
+    function add(entry, row) {
+        const key = statusKey(row);
+        entry.rules++;
+        entry[key]++;
+        const category = entry.byCategory[FileImporter.getEffectiveSeverity(row)];
+        if (category) {
+            category.rules++;
+            category[key]++;
+        }
+    }
+
+    function percentCompliant(counts) {
+        const applicable = counts.rules - counts.notApplicable;
+        return applicable > 0 ? Math.round((counts.notAFinding / applicable) * 100) : null;
+    }
+
+    function finish(entry) {
+        return { ...entry, percentCompliant: percentCompliant(entry) };
+    }
+
+    function byControlOrder(a, b) {
+        return a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    /*
+     * { totals, unmapped, families: [{ family, rules, open, ..., byCategory, percentCompliant, controls: [{ control, ... }] }] }
+     * percentCompliant is null when every rule is not applicable
+     */
+    function compute(rows) {
+        const totals = emptyEntry();
+        const unmapped = emptyEntry();
+        const families = {};
+
+        rows.forEach(row => {
+            add(totals, row);
+            const controls = row.nistControls || [];
+            if (controls.length === 0) {
+                add(unmapped, row);
+                return;
+            }
+            (row.families || []).forEach(family => {
+                if (!families[family]) families[family] = { family, ...emptyEntry(), controls: {} };
+                add(families[family], row);
+            });
+            controls.forEach(control => {
+                const family = FileImporter.deriveFamily(control);
+                const held = families[family];
+                if (!held) return;
+                if (!held.controls[control]) held.controls[control] = { control, ...emptyEntry() };
+                add(held.controls[control], row);
+            });
+        });
+
+        return {
+            totals: finish(totals),
+            unmapped: finish(unmapped),
+            families: Object.values(families)
+                .sort((a, b) => a.family.localeCompare(b.family))
+                .map(family => ({
+                    ...finish(family),
+                    controls: Object.values(family.controls)
+                        .sort((a, b) => byControlOrder(a.control, b.control))
+                        .map(finish)
+                }))
+        };
+    }
+
+    function formatPercent(value) {
+        return value === null ? 'N/A' : `${value}%`;
+    }
+
+    const TABLE_HEADERS = [
+        'Rules', 'Open', 'Not a Finding', 'Not Applicable', 'Not Reviewed', '% Compliant',
+        ...CATEGORIES.flatMap(category => [`${category.label} Rules`, `${category.label} Open`])
+    ];
+
+    function countCells(entry) {
+        return [
+            entry.rules, entry.open, entry.notAFinding, entry.notApplicable, entry.notReviewed,
+            formatPercent(entry.percentCompliant),
+            ...CATEGORIES.flatMap(category => [entry.byCategory[category.severity].rules, entry.byCategory[category.severity].open])
+        ];
+    }
+
+    // One row per family, then a total row
+    function summaryTable(scorecard) {
+        return [
+            ['Family', ...TABLE_HEADERS],
+            ...scorecard.families.map(family => [family.family, ...countCells(family)]),
+            ['Total', ...countCells(scorecard.totals)]
+        ];
+    }
+
+    // One row per control in a family, then the family row
+    function familyTable(family) {
+        const title = control => window.ControlCatalog ? (ControlCatalog.lookup(control)?.title || '') : '';
+        return [
+            ['Control', 'Title', ...TABLE_HEADERS],
+            ...family.controls.map(control => [control.control, title(control.control), ...countCells(control)]),
+            [`${family.family} family`, '', ...countCells(family)]
+        ];
+    }
+
+    // Public API
+    return {
+        CATEGORIES,
+        compute,
+        formatPercent,
+        summaryTable,
+        familyTable
+    };
+})();
+
+// Make available globally
+window.ComplianceScorecard = ComplianceScorecard;
@@ -0,0 +1,252 @@
+/* Control Catalog Module
+   - NIST SP 800-53 controls from the OSCAL catalog JSON: titles, statements (with parameters spelled out),
+     withdrawn status and the controls a withdrawn control was incorporated into
+   - Low / Moderate / High / Privacy baselines from the OSCAL baseline profile JSON files
+   - Stored through DataStore and kept in memory for synchronous lookups
+   - Looks up row controls like 'AC-2(4)' and CCI item references like 'CM-6 B' (statement item b.)
+   - The system's baseline is the 'baseline' AppSettings value; controls outside it are flagged
+*/
+
+const ControlCatalog = (() => {
+    const STORE = 'controlCatalog';
+    const BASELINE_NAMES = ['LOW', 'MODERATE', 'HIGH', 'PRIVACY'];
+
+    let catalog = null;   // { fileName, title, version, loadedAt, controls: { 'AC-2(4)': record } }
+    let baselines = {};   // 'MODERATE' -> { fileName, title, loadedAt, controls: ['AC-1', 'AC-2', ...] }
+    let loadPromise = null;
+
+    // OSCAL IDs -> row labels: 'ac-2' -> 'AC-2', 'ac-2.4' -> 'AC-2(4)'
+    function idToLabel(id) {
+        const [base, enhancement] = String(id || '').toUpperCase().split('.');
+        return enhancement ? `${base}(${enhancement})` : base;
+    }
+
+    function getProp(item, name) {
+        return (item.props || []).find(prop => prop.name === name && prop.class !== 'zero-padded')?.value || '';
+    }
+
+    // '{{ insert: param, ac-1_prm_1 }}' -> '[Assignment: organization-defined personnel or roles]'
+    function insertParams(prose, params) {
+        return String(prose || '').replace(/\{\{\s*insert:\s*param,\s*([\w.-]+)\s*\}\}/g, (match, id) => {
+            const param = params.get(id);
+            if (!param) return '[Assignment: organization-defined value]';
+            if (param.select?.choice) {
+                const choices = param.select.choice.map(choice => insertParams(choice, params));
+                return `[Selection${param.select['how-many'] === 'one-or-more' ? ' (one or more)' : ''}: ${choices.join('; ')}]`;
+            }
+            return `[Assignment: ${param.label || id}]`;
+        });
+    }
+
+    // Statement parts as indented lines: 'a. Define ...' / '  1. ...'
+    function statementLines(part, params, depth = 0) {
+        const label = getProp(part, 'label');
+        const prose = insertParams(part.prose, params);
+        const lines = prose || label ? [`${'  '.repeat(depth)}${label ? `${label} ` : ''}${prose}`.trimEnd()] : [];
+        (part.parts || []).filter(child => child.name === 'item').forEach(child => {
+            lines.push(...statementLines(child, params, depth + (prose || label ? 1 : 0)));
+        });
+        return lines;
+    }
+
+    function readControl(control, family, inheritedParams, controls) {
+        const params = new Map(inheritedParams);
+        (control.params || []).forEach(param => params.set(param.id, param));
+
+        const statement = (control.parts || []).find(part => part.name === 'statement');
+        const items = {};
+        (statement?.parts || []).filter(part => part.name === 'item').forEach(item => {
+            const letter = getProp(item, 'label').replace(/[.)]/g, '').toUpperCase();
+            if (letter) items[letter] = statementLines(item, params).join('\n');
+        });
+
+        const label = getProp(control, 'label').toUpperCase().replace(/\s+/g, '') || idToLabel(control.id);
+        controls[label] = {
+            id: control.id,
+            label,
+            title: control.title || '',
+            family,
+            statement: statement ? statementLines(statement, params).join('\n') : '',
+            items,
+            withdrawn: getProp(control, 'status') === 'withdrawn',
+            // Withdrawn controls link to where their content went: [{ href: '#sr-3', rel: 'incorporated-into' }]
+            incorporatedInto: (control.links || [])
+                .filter(link => link.rel === 'incorporated-into' || link.rel === 'moved-to')
+                .map(link => idToLabel(String(link.href || '').replace(/^#/, '')))
+                .filter(Boolean)
+        };
+        (control.controls || []).forEach(enhancement => readControl(enhancement, family, params, controls));
+    }
+
+    function parseCatalog(data, fileName) {
+        const controls = {};
+        const readGroup = (group, family) => {
+            (group.controls || []).forEach(control => readControl(control, family, new Map(), controls));
+            (group.groups || []).forEach(child => readGroup(child, family));
+        };
+        (data.groups || []).forEach(group => readGroup(group, group.title || ''));
+        (data.controls || []).forEach(control => readControl(control, '', new Map(), controls));
+
+        if (Object.keys(controls).length === 0) {
+            throw new Error(`${fileName} has no controls`);
+        }
+        return {
+            kind: 'catalog',
+            fileName,
+            title: data.metadata?.title || fileName,
+            version: data.metadata?.version || '',
+            controls
+        };
+    }
+
+    function parseProfile(data, fileName) {
+        const ids = (data.imports || []).flatMap(entry =>
+            (entry['include-controls'] || []).flatMap(include => include['with-ids'] || [])
+        );
+        if (ids.length === 0) {
+            throw new Error(`${fileName} selects no controls (only with-ids profiles are supported)`);
+        }
+        const title = data.metadata?.title || fileName;
+        const name = BASELINE_NAMES.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(title))
+            || BASELINE_NAMES.find(candidate => new RegExp(candidate, 'i').test(fileName))
+            || title;
+        return {
+            kind: 'baseline',
+            name,
+            fileName,
+            title,
+            controls: Array.from(new Set(ids.map(idToLabel)))
+        };
+    }
+
+    // An OSCAL catalog or profile document -> { kind: 'catalog' | 'baseline', ... }
+    function parseOscal(text, fileName = 'oscal.json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+        if (data?.catalog) return parseCatalog(data.catalog, fileName);
+        if (data?.profile) return parseProfile(data.profile, fileName);
+        throw new Error(`${fileName} is not an OSCAL catalog or profile (no "catalog" or "profile" object)`);
+    }
+
+    function setState(records) {
+        catalog = null;
+        baselines = {};
+        records.forEach(record => {
+            if (record.kind === 'catalog') catalog = record;
+            else if (record.kind === 'baseline') baselines[record.name] = record;
+        });
+    }
+
+    // Reads the stored catalog and baselines once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                setState(await store.read(STORE));
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    // Stores a parsed document, replacing the catalog or the baseline of the same name
+    async function save(parsed) {
+        await load();
+        const store = PageUtils.getDataStore();
+        const existing = await store.read(STORE);
+        for (const record of existing) {
+            if (record.kind === parsed.kind && (parsed.kind === 'catalog' || record.name === parsed.name)) {
+                await store.delete(STORE, record.id);
+            }
+        }
+        const saved = await store.create(STORE, { ...parsed, loadedAt: new Date().toISOString() });
+        setState([...(await store.read(STORE))]);
+        return saved;
+    }
+
+    function hasCatalog() {
+        return !!catalog;
+    }
+
+    function getCatalogInfo() {
+        return catalog ? { fileName: catalog.fileName, title: catalog.title, version: catalog.version, count: Object.keys(catalog.controls).length } : null;
+    }
+
+    function getBaselineNames() {
+        return BASELINE_NAMES.filter(name => baselines[name]).concat(Object.keys(baselines).filter(name => !BASELINE_NAMES.includes(name)));
+    }
+
+    // The selected baseline when it is loaded, else ''
+    function getSelectedBaseline() {
+        const name = (window.AppSettings && window.AppSettings.get('baseline')) || '';
+        return baselines[name] ? name : '';
+    }
+
+    // 'CM-6 B' -> { base: 'CM-6', item: 'B' }; 'AC-2(4)' -> { base: 'AC-2(4)', item: '' }
+    function splitControl(ctrl) {
+        const match = String(ctrl || '').toUpperCase().trim().match(/^([A-Z]{2,3}-\d+[A-Z]?(?:\(\d+\))?)\s*([A-Z])?$/);
+        return match ? { base: match[1], item: match[2] || '' } : { base: String(ctrl || '').toUpperCase().trim(), item: '' };
+    }
+
+    // { label, title, family, statement, itemStatement, withdrawn, incorporatedInto } or null
+    function lookup(ctrl) {
+        if (!catalog) return null;
+        const { base, item } = splitControl(ctrl);
+        const record = catalog.controls[base];
+        if (!record) return null;
+        return { ...record, itemStatement: item ? (record.items[item] || '') : '' };
+    }
+
+    // 'AC-2(4): Automated Audit Actions' for option labels and tooltips
+    function describe(ctrl) {
+        const record = lookup(ctrl);
+        if (!record) return ctrl;
+        return `${ctrl}: ${record.title}${record.withdrawn ? ' (withdrawn)' : ''}`;
+    }
+
+    // true / false against a loaded baseline; null when no baseline is selected
+    function inBaseline(ctrl, name = getSelectedBaseline()) {
+        const baseline = baselines[name];
+        if (!baseline) return null;
+        return baseline.controls.includes(splitControl(ctrl).base);
+    }
+
+    function getOutsideControls(row, name = getSelectedBaseline()) {
+        if (!baselines[name]) return [];
+        return (row.nistControls || []).filter(ctrl => !inBaseline(ctrl, name));
+    }
+
+    // A finding is outside the baseline when none of its controls are selected by it
+    function isOutsideBaseline(row, name = getSelectedBaseline()) {
+        const controls = row.nistControls || [];
+        return !!baselines[name] && controls.length > 0 && getOutsideControls(row, name).length === controls.length;
+    }
+
+    // Public API
+    return {
+        BASELINE_NAMES,
+        idToLabel,
+        parseOscal,
+        load,
+        save,
+        hasCatalog,
+        getCatalogInfo,
+        getBaselineNames,
+        getSelectedBaseline,
+        lookup,
+        describe,
+        inBaseline,
+        getOutsideControls,
+        isOutsideBaseline
+    };
+})();
+
+// Make available globally
+window.ControlCatalog = ControlCatalog;
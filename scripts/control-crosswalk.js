@@ -0,0 +1,303 @@
+/* Control Crosswalk Module
+   - NIST SP 800-53 Rev 4 -> Rev 5 control crosswalk loaded from a local file:
+     CSV, JSON or the NIST comparison workbook (XLSX, read with ExcelJS)
+   - Converts Rev 4 control IDs on finding rows and POAMs to their Rev 5 controls
+   - Withdrawn controls are reported with suggested replacements: the crosswalk's Rev 5 controls,
+     else the controls the loaded OSCAL catalog says they were incorporated into (see ControlCatalog)
+   - Stored through DataStore in the controlCatalog store as the 'crosswalk' record
+*/
+
+const ControlCrosswalk = (() => {
+    const STORE = 'controlCatalog';
+    const KIND = 'crosswalk';
+    const FILE_TYPE = 'nist-control-crosswalk';
+    const TARGET_REVISION = '5';
+    const CONTROL_PATTERN = /\b[A-Z]{2}-\d+(?:\s*\(\d+\))?/gi;
+
+    let crosswalk = null;   // { fileName, loadedAt, entries: { 'SA-12': { rev4, rev5: ['SR-1', ...], withdrawn, note } } }
+    let loadPromise = null;
+
+    // 'sa-12', 'SA-12 (1)' -> 'SA-12', 'SA-12(1)'
+    function normalizeControl(value) {
+        return String(value || '').toUpperCase().replace(/\s+/g, '').replace(/^([A-Z]{2})-0*(\d)/, '$1-$2');
+    }
+
+    // Every control ID in a cell like 'SR-1, SR-2' or 'Incorporated into SR-3.'
+    function controlsIn(text) {
+        return Array.from(new Set((String(text || '').match(CONTROL_PATTERN) || []).map(normalizeControl)));
+    }
+
+    function toEntry(rev4, rev5, status, note) {
+        const id = normalizeControl(controlsIn(rev4)[0] || '');
+        if (!id) return null;
+        const withdrawn = /withdrawn/i.test(`${status} ${Array.isArray(rev5) ? '' : rev5}`) || /^\s*withdrawn/i.test(note || '');
+        // A withdrawn row without a Rev 5 column value often names its replacement in the note
+        let controls = (Array.isArray(rev5) ? rev5.map(normalizeControl) : controlsIn(rev5)).filter(ctrl => ctrl !== id || !withdrawn);
+        if (withdrawn && controls.length === 0) controls = controlsIn(note).filter(ctrl => ctrl !== id);
+        return { rev4: id, rev5: controls, withdrawn, note: String(note || '').trim() };
+    }
+
+    // A header row plus data rows -> entries; columns are found by their header text
+    function parseTable(rows, fileName) {
+        // Title rows above the header hold a single cell
+        const headerIndex = rows.findIndex(row => row.filter(cell => String(cell).trim()).length > 1
+            && row.some(cell => /rev(ision)?\.?\s*4|r4\b/i.test(cell)));
+        if (headerIndex === -1) {
+            throw new Error(`${fileName} has no Rev 4 column (expected a header such as "Rev 4 Control")`);
+        }
+        const headers = rows[headerIndex].map(cell => String(cell).trim());
+        const find = pattern => headers.findIndex(header => pattern.test(header));
+        const columns = {
+            rev4: find(/rev(ision)?\.?\s*4|r4\b/i),
+            rev5: find(/rev(ision)?\.?\s*5|r5\b|replacement|incorporated/i),
+            status: find(/status|change|action|withdrawn/i),
+            note: find(/note|comment|rationale|description|summary/i)
+        };
+        return rows.slice(headerIndex + 1)
+            .map(row => toEntry(row[columns.rev4], columns.rev5 >= 0 ? row[columns.rev5] : '', row[columns.status] || '', row[columns.note] || ''))
+            .filter(Boolean);
+    }
+
+    // { type, entries: [{ rev4, rev5, withdrawn | status, note }] }, a bare array of those, or { 'SA-12': ['SR-1', ...] }
+    function parseJson(text, fileName) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+        const list = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+        if (list) {
+            return list.map(item => toEntry(item.rev4, item.rev5 || [], item.withdrawn ? 'withdrawn' : item.status || '', item.note || '')).filter(Boolean);
+        }
+        if (data && typeof data === 'object' && data.type !== FILE_TYPE) {
+            return Object.entries(data).map(([rev4, rev5]) => toEntry(rev4, Array.isArray(rev5) ? rev5 : [], rev5 === 'withdrawn' ? 'withdrawn' : '', '')).filter(Boolean);
+        }
+        throw new Error(`${fileName} is not a crosswalk: expected an "entries" array or a Rev 4 -> Rev 5 control map`);
+    }
+
+    async function readWorkbook(file) {
+        if (!window.ExcelJS) {
+            throw new Error('ExcelJS is not loaded; save the workbook as CSV instead');
+        }
+        const workbook = new window.ExcelJS.Workbook();
+        await workbook.xlsx.load(await file.arrayBuffer());
+        const rows = [];
+        workbook.worksheets[0]?.eachRow(row => {
+            rows.push(row.values.slice(1).map(value => value?.richText ? value.richText.map(part => part.text).join('') : String(value ?? '')));
+        });
+        return rows;
+    }
+
+    // A File -> { kind: 'crosswalk', fileName, entries }
+    async function parseFile(file) {
+        const fileName = file.name || 'crosswalk';
+        let entries;
+        if (/\.xlsx$/i.test(fileName)) {
+            entries = parseTable(await readWorkbook(file), fileName);
+        } else if (/\.json$/i.test(fileName)) {
+            entries = parseJson(await file.text(), fileName);
+        } else {
+            entries = parseTable(CsvParser.parse(await file.text()), fileName);
+        }
+        if (entries.length === 0) {
+            throw new Error(`${fileName} has no crosswalk entries`);
+        }
+        return {
+            kind: KIND,
+            fileName,
+            entries: Object.fromEntries(entries.map(entry => [entry.rev4, entry]))
+        };
+    }
+
+    // Reads the stored crosswalk once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                crosswalk = (await store.read(STORE)).find(record => record.kind === KIND) || null;
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    // Stores a parsed crosswalk in place of the held one
+    async function save(parsed) {
+        await load();
+        const store = PageUtils.getDataStore();
+        for (const record of await store.read(STORE)) {
+            if (record.kind === KIND) await store.delete(STORE, record.id);
+        }
+        crosswalk = await store.create(STORE, { ...parsed, loadedAt: new Date().toISOString() });
+        return crosswalk;
+    }
+
+    function hasCrosswalk() {
+        return !!crosswalk;
+    }
+
+    function getInfo() {
+        if (!crosswalk) return null;
+        const entries = Object.values(crosswalk.entries);
+        return { fileName: crosswalk.fileName, loadedAt: crosswalk.loadedAt, count: entries.length, withdrawn: entries.filter(entry => entry.withdrawn).length };
+    }
+
+    /*
+     * One control -> { from, controls, status, suggestions, note }
+     * status is 'unchanged', 'replaced' or 'withdrawn'. Withdrawn controls become their suggested replacements;
+     * one with no known replacement is kept so it stays visible. A statement item ('CM-6 B') keeps its
+     * letter only while the control itself is unchanged.
+     */
+    function convertControl(ctrl) {
+        const base = String(ctrl).split(/\s+/)[0];
+        const entry = crosswalk?.entries[normalizeControl(base)];
+        if (!entry) return { from: ctrl, controls: [ctrl], status: 'unchanged', suggestions: [], note: '' };
+
+        if (entry.withdrawn) {
+            const catalogSuggestions = window.ControlCatalog?.lookup(entry.rev4)?.incorporatedInto || [];
+            const suggestions = entry.rev5.length > 0 ? entry.rev5 : catalogSuggestions;
+            return { from: ctrl, controls: suggestions.length > 0 ? suggestions.slice() : [ctrl], status: 'withdrawn', suggestions, note: entry.note };
+        }
+        if (entry.rev5.length === 0 || (entry.rev5.length === 1 && entry.rev5[0] === entry.rev4)) {
+            return { from: ctrl, controls: [ctrl], status: 'unchanged', suggestions: [], note: entry.note };
+        }
+        return { from: ctrl, controls: entry.rev5.slice(), status: 'replaced', suggestions: [], note: entry.note };
+    }
+
+    // A control list -> { controls, changes } where changes holds the conversions that were not 'unchanged'
+    function convertControls(list) {
+        const controls = [];
+        const changes = [];
+        (list || []).forEach(ctrl => {
+            const result = convertControl(ctrl);
+            result.controls.forEach(converted => {
+                if (!controls.includes(converted)) controls.push(converted);
+            });
+            if (result.status !== 'unchanged') changes.push(result);
+        });
+        return { controls, changes };
+    }
+
+    // Conversions tallied by Rev 4 control: [{ control, status, controls, suggestions, note, count }]
+    function summarizeChanges(changeLists) {
+        const summary = new Map();
+        changeLists.flat().forEach(change => {
+            const held = summary.get(change.from) || {
+                control: change.from,
+                status: change.status,
+                controls: change.controls,
+                suggestions: change.suggestions,
+                note: change.note,
+                count: 0
+            };
+            held.count++;
+            summary.set(change.from, held);
+        });
+        return Array.from(summary.values()).sort((a, b) => a.control.localeCompare(b.control));
+    }
+
+    // What converting would do to finding rows, without changing them: { affected, changes }
+    function previewRows(rows) {
+        const changeLists = rows.map(row => convertControls(row.nistControls).changes).filter(changes => changes.length > 0);
+        return { affected: changeLists.length, changes: summarizeChanges(changeLists) };
+    }
+
+    /*
+     * Converts finding rows in place; each new control keeps the mapping sources of the control it replaces,
+     * and converted rows are stamped as Rev 5 so the table and exports label them correctly.
+     * Returns { affected, changes } like previewRows.
+     */
+    function convertRows(rows) {
+        const changeLists = [];
+        rows.forEach(row => {
+            FileImporter.ensureNistSources(row);
+            const { changes } = convertControls(Object.keys(row.nistSources || {}));
+            if (changes.length === 0) return;
+
+            const sources = {};
+            Object.entries(row.nistSources).forEach(([ctrl, from]) => {
+                convertControl(ctrl).controls.forEach(converted => {
+                    sources[converted] = Array.from(new Set([...(sources[converted] || []), ...from]));
+                });
+            });
+            row.nistSources = sources;
+            FileImporter.applyNistSources(row);
+            row.nist_revision = TARGET_REVISION;
+            changeLists.push(changes);
+        });
+        return { affected: changeLists.length, changes: summarizeChanges(changeLists) };
+    }
+
+    function describeChange(change) {
+        if (change.status === 'replaced') return `Replaced by ${change.controls.join(', ')}`;
+        return change.suggestions.length > 0
+            ? `Withdrawn; suggested replacement ${change.suggestions.join(', ')}`
+            : 'Withdrawn; no replacement known';
+    }
+
+    function reportToTable(changes) {
+        const table = [['Rev 4 Control', 'Change', 'Rev 5 Controls', 'Count', 'Crosswalk Note']];
+        changes.forEach(change => {
+            table.push([change.control, describeChange(change), change.controls.join('; '), change.count, change.note]);
+        });
+        return table;
+    }
+
+    // POAM controls are an array (wizard) or a comma separated string (edit form)
+    function poamControls(poam) {
+        const value = poam.nistControls;
+        return (Array.isArray(value) ? value : String(value || '').split(/[;,]/)).map(ctrl => String(ctrl).trim()).filter(Boolean);
+    }
+
+    // POAMs whose controls would change: [{ poam, before, after, changes }]
+    function planPoamMigration(poams) {
+        return (poams || []).map(poam => {
+            const before = poamControls(poam);
+            const { controls, changes } = convertControls(before);
+            return { poam, before, after: controls, changes };
+        }).filter(item => item.changes.length > 0);
+    }
+
+    // Writes reviewed controls back in the POAM's own format and marks it Rev 5; the Rev 4 list is kept on the POAM
+    function migratePoam(poam, after, migratedAt = new Date().toISOString()) {
+        const before = poamControls(poam);
+        return {
+            ...poam,
+            nistControls: Array.isArray(poam.nistControls) ? after.slice() : after.join(', '),
+            nistRevision: TARGET_REVISION,
+            controlMigration: { rev4Controls: before, migratedAt },
+            updatedAt: migratedAt
+        };
+    }
+
+    // Public API
+    return {
+        FILE_TYPE,
+        normalizeControl,
+        controlsIn,
+        parseFile,
+        parseTable,
+        parseJson,
+        load,
+        save,
+        hasCrosswalk,
+        getInfo,
+        convertControl,
+        convertControls,
+        summarizeChanges,
+        previewRows,
+        convertRows,
+        describeChange,
+        reportToTable,
+        poamControls,
+        planPoamMigration,
+        migratePoam
+    };
+})();
+
+// Make available globally
+window.ControlCrosswalk = ControlCrosswalk;
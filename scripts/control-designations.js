@@ -0,0 +1,202 @@
+/* Control Designations Module
+   - Per-system designation of each NIST SP 800-53 control: system-specific, hybrid or inherited
+   - Hybrid and inherited controls name their common control provider (e.g. the hosting enclave or cloud provider)
+   - Controls without a designation are system-specific; enhancements and statement items fall back to the base control
+   - Findings mapped only to inherited controls are the provider's responsibility and are reported apart from the system's own
+   - Stored through DataStore, one record per control
+   - Dispatches a 'controlDesignationsChanged' event on window when designations change
+*/
+
+const ControlDesignations = (() => {
+    const STORE = 'controlDesignations';
+    const DESIGNATIONS = {
+        'system-specific': 'System-specific',
+        hybrid: 'Hybrid',
+        inherited: 'Inherited'
+    };
+
+    let designations = {}; // 'AC-2' -> { id, control, designation, provider, notes, changedAt }
+    let loadPromise = null;
+
+    // 'ac-02 (4)' -> 'AC-2(4)'; statement items ('CM-6 B') are dropped so the designation covers the whole control
+    function normalizeControl(value) {
+        const text = String(value || '').toUpperCase().trim().replace(/\s*\(\s*/g, '(').replace(/\s*\)/g, ')');
+        const match = text.match(/^([A-Z]{2})-0*(\d+)(\(\d+\))?(?:\s+[A-Z0-9.]+)?$/);
+        return match ? `${match[1]}-${match[2]}${match[3] || ''}` : '';
+    }
+
+    // Throws on a designation that cannot be saved
+    function validate(record) {
+        if (!normalizeControl(record.control)) {
+            throw new Error(`"${record.control}" is not a NIST SP 800-53 control ID (expected e.g. AC-2)`);
+        }
+        if (!DESIGNATIONS[record.designation]) {
+            throw new Error(`Unknown designation "${record.designation}"`);
+        }
+        if (record.designation !== 'system-specific' && !String(record.provider || '').trim()) {
+            throw new Error(`Enter the common control provider for ${DESIGNATIONS[record.designation].toLowerCase()} controls`);
+        }
+    }
+
+    function notify(action) {
+        window.dispatchEvent(new CustomEvent('controlDesignationsChanged', { detail: { action, count: Object.keys(designations).length } }));
+    }
+
+    // Reads stored designations once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                designations = {};
+                (await store.read(STORE)).forEach(record => {
+                    designations[record.control] = record;
+                });
+                return getAll();
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    function getAll() {
+        return Object.values(designations)
+            .sort((a, b) => a.control.localeCompare(b.control, undefined, { numeric: true }));
+    }
+
+    // The designation record covering a control, or null when it is system-specific by default
+    function get(ctrl) {
+        const control = normalizeControl(ctrl);
+        if (!control) return null;
+        return designations[control] || designations[control.replace(/\(.*\)$/, '')] || null;
+    }
+
+    function getDesignation(ctrl) {
+        return get(ctrl)?.designation || 'system-specific';
+    }
+
+    function isInherited(ctrl) {
+        return getDesignation(ctrl) === 'inherited';
+    }
+
+    // True when a finding has controls and every one of them is inherited
+    function isInheritedOnly(row) {
+        const controls = row.nistControls || [];
+        return controls.length > 0 && controls.every(isInherited);
+    }
+
+    // 'Inherited from Enclave A', 'Hybrid with Enclave A', '' for system-specific controls
+    function describe(ctrl) {
+        const record = get(ctrl);
+        if (!record || record.designation === 'system-specific') return '';
+        return record.designation === 'inherited'
+            ? `Inherited from ${record.provider}`
+            : `Hybrid with ${record.provider}`;
+    }
+
+    // An explicit 'system-specific' record is kept so an enhancement can opt out of its inherited base control
+    async function save(record) {
+        await load();
+        validate(record);
+        const control = normalizeControl(record.control);
+        const entry = {
+            control,
+            designation: record.designation,
+            provider: record.designation === 'system-specific' ? '' : String(record.provider).trim(),
+            notes: String(record.notes || '').trim(),
+            changedAt: new Date().toISOString()
+        };
+        const dataStore = PageUtils.getDataStore();
+        await dataStore.ready();
+
+        const existing = designations[control];
+        let saved;
+        if (existing) {
+            saved = await dataStore.update(STORE, { ...entry, id: existing.id, createdAt: existing.createdAt });
+        } else {
+            saved = await dataStore.create(STORE, entry);
+        }
+        designations[control] = saved;
+        notify('save');
+        return saved;
+    }
+
+    async function remove(ctrl) {
+        await load();
+        const record = designations[normalizeControl(ctrl)];
+        if (!record) return;
+        const dataStore = PageUtils.getDataStore();
+        await dataStore.ready();
+        await dataStore.delete(STORE, record.id);
+        delete designations[record.control];
+        notify('remove');
+    }
+
+    /*
+     * Findings mapped only to inherited controls, grouped by provider:
+     * [{ provider, controls: ['AC-2'], findings: [row], open }]
+     * A finding whose inherited controls come from several providers is listed under each of them.
+     */
+    function providerReport(rows) {
+        const byProvider = {};
+        rows.filter(isInheritedOnly).forEach(row => {
+            const providers = new Set(row.nistControls.map(ctrl => get(ctrl).provider));
+            providers.forEach(provider => {
+                const held = byProvider[provider] || { provider, controls: [], findings: [], open: 0 };
+                row.nistControls.forEach(ctrl => {
+                    const control = normalizeControl(ctrl);
+                    if (get(ctrl).provider === provider && !held.controls.includes(control)) held.controls.push(control);
+                });
+                held.findings.push(row);
+                if (row.status === 'open' || row.status === 'failed') held.open++;
+                byProvider[provider] = held;
+            });
+        });
+        return Object.values(byProvider)
+            .sort((a, b) => a.provider.localeCompare(b.provider))
+            .map(group => ({ ...group, controls: group.controls.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })) }));
+    }
+
+    function reportToTable(report) {
+        const table = [['Provider', 'NIST SP 800-53 Controls', 'Group ID', 'Rule ID', 'Rule Title', 'Raw Severity', 'Severity', 'Status', 'STIG', 'Host']];
+        report.forEach(group => {
+            group.findings.forEach(row => {
+                table.push([
+                    group.provider,
+                    row.nistControls.join('; '),
+                    row.group_id,
+                    row.rule_id,
+                    row.rule_title,
+                    row.severity,
+                    FileImporter.getEffectiveSeverity(row),
+                    row.status,
+                    row.stig_name,
+                    row.host_name || ''
+                ]);
+            });
+        });
+        return table;
+    }
+
+    // Public API
+    return {
+        DESIGNATIONS,
+        normalizeControl,
+        load,
+        getAll,
+        get,
+        getDesignation,
+        isInherited,
+        isInheritedOnly,
+        describe,
+        save,
+        remove,
+        providerReport,
+        reportToTable
+    };
+})();
+
+// Make available globally
+window.ControlDesignations = ControlDesignations;
@@ -0,0 +1,56 @@
+/* CSV Parser Module
+   - Parses CSV text (RFC 4180) into an array of rows, each an array of cell strings
+   - Quoted cells may hold commas, doubled quotes and line breaks (e.g. notes in the NIST comparison workbook)
+   - Accepts LF or CRLF line endings and a leading byte order mark; blank lines are skipped
+*/
+
+const CsvParser = (() => {
+    function parse(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let current = '';
+        let inQuotes = false;
+
+        const endRow = () => {
+            row.push(current);
+            if (row.some(cell => cell.trim())) rows.push(row);
+            row = [];
+            current = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    current += '"';
+                    i++; // Skip next quote
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else if (char !== '\r' || source[i + 1] !== '\n') {
+                    current += char; // a CRLF inside a quoted cell is kept as LF
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(current);
+                current = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                current += char;
+            }
+        }
+        if (current || row.length > 0) endRow();
+        return rows;
+    }
+
+    // Public API
+    return {
+        parse
+    };
+})();
+
+// Make available globally
+window.CsvParser = CsvParser;
@@ -276,9 +276,22 @@ class DataManager {
                     rule_title: v.rule_title,
                     severity: v.severity,
                     status: v.status,
+                    finding_details: v.finding_details || '',
+                    comments: v.comments || '',
+                    severity_override: v.severity_override || '',
+                    severity_justification: v.severity_justification || '',
                     stig_name: v.stig_name,
+                    stig_id: v.stig_id || '',
+                    stig_version: v.stig_version || '',
+                    stig_release: v.stig_release || '',
+                    _sourceFile: v._sourceFile || '',
+                    host_name: v.host_name || '',
+                    host_ip: v.host_ip || '',
+                    host_fqdn: v.host_fqdn || '',
                     ccis: Array.isArray(v.ccis) ? v.ccis : [],
                     nistControls: Array.isArray(v.nistControls) ? v.nistControls : [],
+                    nist_revision: v.nist_revision || '',
+                    nistSources: v.nistSources || undefined,
                     families: Array.isArray(v.families) ? v.families : []
                 }));
 
@@ -375,7 +388,11 @@ class DataManager {
         const cciArray = Array.isArray(ccis) ? ccis : ccis.split(',').map(c => c.trim());
         
         return cciArray.map(cci => {
-            const nistControls = cciMappings[cci] || [];
+            const entry = cciMappings[cci];
+            // Revisioned entries ({ '4': [...], '5': [...] }) contribute the active NIST revision only
+            const nistControls = entry && !Array.isArray(entry) && typeof entry === 'object'
+                ? (window.FileImporter ? FileImporter.mapCcisToNist([cci], cciMappings) : [])
+                : entry || [];
             return {
                 cci: cci,
                 nistControls: Array.isArray(nistControls) ? nistControls : [nistControls].filter(Boolean)
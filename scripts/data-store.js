@@ -1,13 +1,17 @@
 /* Data Store - Persistent Storage System
    - Manages data persistence across pages using IndexedDB and localStorage
    - Provides unified API for STIG data, POAMs, and application state
+   - Holds the STIG benchmark library (see StigLibrary), answer files (see AnswerFiles)
+     the full CCI list records (see CciCatalog), CCI mapping overrides (see CciOverrides)
+     and the NIST SP 800-53 OSCAL catalog, baselines (see ControlCatalog), Rev 4 -> Rev 5 crosswalk (see ControlCrosswalk)
+     and framework crosswalks (see FrameworkCrosswalks), and the system's control inheritance designations (see ControlDesignations)
    - Handles data synchronization and export functionality
 */
 
 class DataStore {
     constructor() {
         this.dbName = 'STIGMapperDB';
-        this.dbVersion = 1;
+        this.dbVersion = 7;
         this.db = null;
         this.isReady = false;
         this.eventBus = new EventTarget();
@@ -85,13 +89,49 @@ class DataStore {
                 if (!db.objectStoreNames.contains('cciMappings')) {
                     db.createObjectStore('cciMappings', { keyPath: 'cciId' });
                 }
+
+                // STIG Benchmark Library Store (added in version 2)
+                if (!db.objectStoreNames.contains('stigLibrary')) {
+                    const libraryStore = db.createObjectStore('stigLibrary', { keyPath: 'id', autoIncrement: true });
+                    libraryStore.createIndex('libraryKey', 'libraryKey', { unique: false });
+                    libraryStore.createIndex('stigId', 'stigId', { unique: false });
+                }
+
+                // Answer Files Store (added in version 3)
+                if (!db.objectStoreNames.contains('answerFiles')) {
+                    const answerStore = db.createObjectStore('answerFiles', { keyPath: 'id', autoIncrement: true });
+                    answerStore.createIndex('name', 'name', { unique: false });
+                }
+
+                // CCI Definitions Store (added in version 4)
+                if (!db.objectStoreNames.contains('cciDefinitions')) {
+                    db.createObjectStore('cciDefinitions', { keyPath: 'id', autoIncrement: true });
+                }
+
+                // CCI Mapping Overrides Store (added in version 5)
+                if (!db.objectStoreNames.contains('cciOverrides')) {
+                    const overrideStore = db.createObjectStore('cciOverrides', { keyPath: 'id', autoIncrement: true });
+                    overrideStore.createIndex('cci', 'cci', { unique: false });
+                }
+
+                // NIST SP 800-53 Control Catalog Store (added in version 6)
+                if (!db.objectStoreNames.contains('controlCatalog')) {
+                    const catalogStore = db.createObjectStore('controlCatalog', { keyPath: 'id', autoIncrement: true });
+                    catalogStore.createIndex('kind', 'kind', { unique: false });
+                }
+
+                // Control Inheritance Designations Store (added in version 7)
+                if (!db.objectStoreNames.contains('controlDesignations')) {
+                    const designationStore = db.createObjectStore('controlDesignations', { keyPath: 'id', autoIncrement: true });
+                    designationStore.createIndex('control', 'control', { unique: false });
+                }
             };
         });
     }
 
     initLocalStorage() {
         // Initialize localStorage structure
-        const stores = ['stigData', 'poams', 'milestones', 'settings', 'cciMappings'];
+        const stores = ['stigData', 'poams', 'milestones', 'settings', 'cciMappings', 'stigLibrary', 'answerFiles', 'cciDefinitions', 'cciOverrides', 'controlCatalog', 'controlDesignations'];
         stores.forEach(store => {
             if (!localStorage.getItem(store)) {
                 localStorage.setItem(store, JSON.stringify([]));
@@ -422,7 +462,11 @@ class DataStore {
             poams: await this.read('poams'),
             milestones: await this.read('milestones'),
             cciMappings: await this.read('cciMappings'),
-            settings: await this.read('settings')
+            settings: await this.read('settings'),
+            stigLibrary: await this.read('stigLibrary'),
+            answerFiles: await this.read('answerFiles'),
+            cciOverrides: await this.read('cciOverrides'),
+            controlDesignations: await this.read('controlDesignations')
         };
 
         return exportData;
@@ -434,7 +478,7 @@ class DataStore {
         }
 
         // Clear existing data (optional - could be made configurable)
-        const stores = ['stigData', 'poams', 'milestones', 'cciMappings', 'settings'];
+        const stores = ['stigData', 'poams', 'milestones', 'cciMappings', 'settings', 'stigLibrary', 'answerFiles', 'cciOverrides', 'controlDesignations'];
         
         for (const store of stores) {
             if (importData[store]) {
@@ -458,7 +502,7 @@ class DataStore {
 
     // Utility methods
     async clearAllData() {
-        const stores = ['stigData', 'poams', 'milestones', 'cciMappings', 'settings'];
+        const stores = ['stigData', 'poams', 'milestones', 'cciMappings', 'settings', 'stigLibrary', 'answerFiles', 'cciOverrides', 'controlDesignations'];
         
         for (const store of stores) {
             const items = await this.read(store);
@@ -473,7 +517,7 @@ class DataStore {
 
     async getDataStats() {
         const stats = {};
-        const stores = ['stigData', 'poams', 'milestones', 'cciMappings'];
+        const stores = ['stigData', 'poams', 'milestones', 'cciMappings', 'stigLibrary', 'answerFiles', 'cciOverrides', 'controlDesignations'];
         
         for (const store of stores) {
             const items = await this.read(store);
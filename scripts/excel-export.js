@@ -68,7 +68,7 @@ class ExcelExporter {
         });
 
         // Column widths (align with headers order)
-        const colWidths = [15,12,15,12,15,12,40,10,15,25,50,50,50];
+        const colWidths = [15,30,12,15,12,15,12,40,10,15,25,20,15,50,50,50];
         ws.columns.forEach((col, idx) => { col.width = colWidths[idx] || 20; });
 
         // Row formatting and conditional colors for severity/status
@@ -78,8 +78,8 @@ class ExcelExporter {
             cell.alignment = { vertical: 'top', wrapText: true };
             cell.border = { top: { style: 'thin' }, bottom: { style: 'thin' }, left: { style: 'thin' }, right: { style: 'thin' } };
           });
-          // Severity at column 8 (1-based index)
-          const severityCell = row.getCell(8);
+          // Severity at column 9 (1-based index)
+          const severityCell = row.getCell(9);
           const sev = String(severityCell.value || '').toLowerCase();
           let sevColor = null;
           if (sev === 'critical') sevColor = 'FFFFE6E6';
@@ -88,8 +88,8 @@ class ExcelExporter {
           else if (sev === 'low') sevColor = 'FFE6F7E6';
           if (sevColor) severityCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: sevColor } };
 
-          // Status at column 9
-          const statusCell = row.getCell(9);
+          // Status at column 10
+          const statusCell = row.getCell(10);
           const st = String(statusCell.value || '').toLowerCase();
           let stColor = null;
           if (st === 'open' || st === 'failed') stColor = 'FFFFE6E6';
@@ -163,6 +163,7 @@ class ExcelExporter {
     // Set column widths
     const colWidths = [
       { wch: 15 }, // NIST Control(s)
+      { wch: 30 }, // Mapping Source
       { wch: 12 }, // NIST Family
       { wch: 15 }, // CCI(s)
       { wch: 12 }, // Vuln-ID
@@ -172,6 +173,8 @@ class ExcelExporter {
       { wch: 10 }, // Severity
       { wch: 15 }, // Status
       { wch: 25 }, // STIG Name
+      { wch: 20 }, // Host
+      { wch: 15 }, // IP Address
       { wch: 50 }, // Discussion
       { wch: 50 }, // Check Text
       { wch: 50 }  // Fix Text
@@ -208,7 +211,7 @@ class ExcelExporter {
         let fillColor = row % 2 === 0 ? "F8F9FA" : "FFFFFF"; // Alternating rows
         
         // Apply severity-based coloring
-        if (rowData && col === 7) { // Severity column
+        if (rowData && col === 8) { // Severity column
           switch (rowData.severity?.toLowerCase()) {
             case 'critical': fillColor = "FFE6E6"; break;
             case 'high': fillColor = "FFF2E6"; break;
@@ -218,7 +221,7 @@ class ExcelExporter {
         }
         
         // Apply status-based coloring
-        if (rowData && col === 8) { // Status column
+        if (rowData && col === 9) { // Status column
           switch (rowData.status?.toLowerCase()) {
             case 'open':
             case 'failed': fillColor = "FFE6E6"; break;
@@ -253,7 +256,8 @@ class ExcelExporter {
 
   prepareWorksheetData(rows) {
     const headers = [
-      'NIST Control(s)',
+      this.nistHeader('NIST Control(s)', rows.map(row => row.nist_revision)),
+      'Mapping Source',
       'NIST Family',
       'CCI(s)',
       'Vuln-ID',
@@ -263,6 +267,8 @@ class ExcelExporter {
       'Severity',
       'Status',
       'STIG Name',
+      'Host',
+      'IP Address',
       'Discussion',
       'Check Text',
       'Fix Text'
@@ -273,6 +279,7 @@ class ExcelExporter {
     rows.forEach(row => {
       data.push([
         row.nistControls.join(', ') || '-',
+        FileImporter.describeNistSources(row) || '-',
         row.families.join(', ') || '-',
         row.ccis.join(', ') || '-',
         row.group_id || '',
@@ -282,6 +289,8 @@ class ExcelExporter {
         row.severity || '',
         row.status || '',
         row.stig_name || '',
+        row.host_name || row.host_fqdn || '',
+        row.host_ip || '',
         this.cleanText(row.discussion || ''),
         this.cleanText(row.checkContent || ''),
         this.cleanText(row.fixText || '')
@@ -341,21 +350,21 @@ class ExcelExporter {
   }
 
   // Create POAM (Plan of Action and Milestones) export
-  async createPOAMExport(data, filename = 'POAM_Report') {
+  async createPOAMExport(data, filename = 'POAM_Report', options = {}) {
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
     
     // 1) Try ExcelJS offline first
     if (this.isExcelJSAvailable()) {
       try {
-        const poamData = this.preparePOAMData(data);
+        const poamData = this.preparePOAMData(data, options);
         const wb = new window.ExcelJS.Workbook();
         const ws = wb.addWorksheet('POAM');
 
         // Add all rows
         poamData.forEach((arr, idx) => ws.addRow(arr));
 
-        // Merge title row across 12 columns
-        ws.mergeCells(1, 1, 1, 12);
+        // Merge title row across 14 columns
+        ws.mergeCells(1, 1, 1, 14);
         const titleCell = ws.getCell(1, 1);
         titleCell.font = { bold: true, size: 16 };
         titleCell.alignment = { horizontal: 'center' };
@@ -371,17 +380,17 @@ class ExcelExporter {
         });
 
         // Column widths
-        const colWidths = [15,40,15,25,12,10,30,20,20,15,30,15];
+        const colWidths = [15,40,15,25,12,10,10,30,20,20,15,30,15,30];
         ws.columns.forEach((c, i) => { c.width = colWidths[i] || 20; });
 
-        // Risk color on column E (5)
+        // Risk color on the Severity column F (6)
         for (let r = headerRowIdx + 1; r <= ws.rowCount; r++) {
           const row = ws.getRow(r);
-          const riskCell = row.getCell(5);
+          const riskCell = row.getCell(6);
           const v = String(riskCell.value || '');
           let color = null;
           if (v === 'High') color = 'FFFFE6E6';
-          else if (v === 'Medium') color = 'FFFFFBE6';
+          else if (v === 'Moderate') color = 'FFFFFBE6';
           else if (v === 'Low') color = 'FFE6F7E6';
           if (color) riskCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
           row.eachCell(cell => { cell.alignment = { vertical: 'top', wrapText: true }; });
@@ -400,7 +409,7 @@ class ExcelExporter {
     const sheetJSLoaded = await this.tryLoadSheetJS();
     if (sheetJSLoaded && window.XLSX) {
       try {
-        const poamData = this.preparePOAMData(data);
+        const poamData = this.preparePOAMData(data, options);
         
         // Create workbook and worksheet
         const wb = XLSX.utils.book_new();
@@ -422,13 +431,13 @@ class ExcelExporter {
     
     // Fallback to enhanced CSV for air-gapped environments
     console.log('Air-gapped mode: Using enhanced CSV for POAM export');
-    await this.createPOAMCSV(data, filename);
+    await this.createPOAMCSV(data, filename, options);
   }
 
   // Enhanced POAM CSV export for air-gapped environments
-  async createPOAMCSV(data, filename = 'POAM_Report') {
+  async createPOAMCSV(data, filename = 'POAM_Report', options = {}) {
     const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    const poamData = this.preparePOAMData(data);
+    const poamData = this.preparePOAMData(data, options);
     
     // Create CSV with POAM header information
     let csvContent = `"PLAN OF ACTION AND MILESTONES (POA&M)"\n`;
@@ -447,9 +456,14 @@ class ExcelExporter {
     this.downloadCSV(csvContent, `${filename}_${timestamp}.csv`);
   }
 
-  preparePOAMData(rows) {
+  // options.consolidate: one POA&M item per STIG + rule with its devices listed
+  preparePOAMData(rows, options = {}) {
+    const sourceRows = options.consolidate && window.FindingConsolidator
+      ? FindingConsolidator.consolidate(rows)
+      : rows;
+
     // Filter for only "open" status items
-    const openItems = rows.filter(row => 
+    const openItems = sourceRows.filter(row => 
       row.status && row.status.toLowerCase() === 'open'
     );
 
@@ -457,16 +471,18 @@ class ExcelExporter {
     const headers = [
       'Item Identifier',
       'Weakness or Deficiency',
-      'Security Control',
+      this.nistHeader('Security Control', openItems.map(row => row.nist_revision)),
       'Weakness/Deficiency Identified by',
-      'Risk Level',
+      'Raw Severity',
+      'Severity',
       'Status',
       'Comments',
       'POC',
       'Resources Required',
       'Scheduled Completion Date',
       'Milestones',
-      'Estimated Cost'
+      'Estimated Cost',
+      'Devices Affected'
     ];
 
     const data = [
@@ -480,12 +496,12 @@ class ExcelExporter {
       headers
     ];
 
-    // Sort by Risk Level (High->Med->Low) then NIST Controls
+    // Sort by Severity (High->Moderate->Low, overrides applied) then NIST Controls
     const sortedItems = openItems.sort((a, b) => {
       // Risk level priority
-      const riskOrder = { 'high': 1, 'medium': 2, 'low': 3 };
-      const aRisk = riskOrder[a.severity?.toLowerCase()] || 4;
-      const bRisk = riskOrder[b.severity?.toLowerCase()] || 4;
+      const riskOrder = { 'High': 1, 'Moderate': 2, 'Low': 3 };
+      const aRisk = riskOrder[this.toEmassSeverity(a.severity_override || a.severity)] || 4;
+      const bRisk = riskOrder[this.toEmassSeverity(b.severity_override || b.severity)] || 4;
       
       if (aRisk !== bRisk) return aRisk - bRisk;
       
@@ -497,35 +513,74 @@ class ExcelExporter {
 
     // Add data rows
     sortedItems.forEach(row => {
-      // Map severity to risk level
-      let riskLevel = '';
-      switch (row.severity?.toLowerCase()) {
-        case 'critical':
-        case 'high': riskLevel = 'High'; break;
-        case 'medium': riskLevel = 'Medium'; break;
-        case 'low': riskLevel = 'Low'; break;
-        default: riskLevel = 'Unknown';
-      }
+      const comments = [
+        row.comments || '',
+        row.severity_override && row.severity_justification
+          ? `Severity override justification: ${row.severity_justification}`
+          : ''
+      ].filter(Boolean).join('\n');
 
       data.push([
         row.rule_id || row.group_id || '',
         row.rule_title || '',
         row.nistControls.join(', ') || '',
         row.stig_name || '',
-        riskLevel,
+        this.toRawSeverity(row.severity),
+        this.toEmassSeverity(row.severity_override || row.severity) || 'Unknown',
         'Open',
-        row.comments || '',
+        comments,
         '', // POC - to be filled manually
         '', // Resources Required - to be filled manually
         '', // Scheduled Completion Date - to be filled manually
         '', // Milestones - to be filled manually
-        ''  // Estimated Cost - to be filled manually
+        '', // Estimated Cost - to be filled manually
+        row.consolidated
+          ? row.devicesAffected.join(', ')
+          : [row.host_name || row.host_fqdn, row.host_ip].filter(Boolean).join(' / ')
       ]);
     });
 
     return data;
   }
 
+  // Labels a NIST column with the 800-53 revision(s) its controls were mapped through, e.g. "NIST Control(s) (Rev 5)"
+  nistHeader(label, revisions) {
+    const distinct = Array.from(new Set(revisions.filter(Boolean))).sort().reverse();
+    return distinct.length > 0 ? `${label} (${distinct.map(revision => `Rev ${revision}`).join(' / ')})` : label;
+  }
+
+  // eMASS "Raw Severity": the STIG's own CAT level, before any override
+  toRawSeverity(severity) {
+    switch (String(severity || '').trim().toLowerCase()) {
+      case 'critical':
+      case 'high':
+      case 'cat i':
+      case 'i': return 'I';
+      case 'medium':
+      case 'moderate':
+      case 'cat ii':
+      case 'ii': return 'II';
+      case 'low':
+      case 'cat iii':
+      case 'iii': return 'III';
+      default: return '';
+    }
+  }
+
+  // eMASS "Severity": the assessed risk, i.e. the override when one was recorded
+  toEmassSeverity(severity) {
+    return { I: 'High', II: 'Moderate', III: 'Low' }[this.toRawSeverity(severity)] || '';
+  }
+
+  // Raw and assessed severity of a saved POAM: its own fields, else the worst of its vulnerabilities
+  getPOAMSeverities(poam) {
+    const vulns = Array.isArray(poam.vulnerabilities) ? poam.vulnerabilities : [];
+    const worst = values => values.map(v => this.toRawSeverity(v)).filter(Boolean).sort()[0] || '';
+    const raw = this.toRawSeverity(poam.rawSeverity) || worst(vulns.map(v => v.severity));
+    const assessed = worst(vulns.map(v => v.severityOverride || v.severity)) || this.toRawSeverity(poam.severity);
+    return { raw, severity: { I: 'High', II: 'Moderate', III: 'Low' }[assessed] || '' };
+  }
+
   applyPOAMFormatting(ws, poamData) {
     const range = XLSX.utils.decode_range(ws['!ref']);
     
@@ -535,14 +590,16 @@ class ExcelExporter {
       { wch: 40 }, // Weakness or Deficiency
       { wch: 15 }, // Security Control
       { wch: 25 }, // Weakness/Deficiency Identified by
-      { wch: 12 }, // Risk Level
+      { wch: 12 }, // Raw Severity
+      { wch: 10 }, // Severity
       { wch: 10 }, // Status
       { wch: 30 }, // Comments
       { wch: 20 }, // POC
       { wch: 20 }, // Resources Required
       { wch: 15 }, // Scheduled Completion Date
       { wch: 30 }, // Milestones
-      { wch: 15 }  // Estimated Cost
+      { wch: 15 }, // Estimated Cost
+      { wch: 30 }  // Devices Affected
     ];
     ws['!cols'] = colWidths;
 
@@ -556,7 +613,7 @@ class ExcelExporter {
     }
 
     // Merge title cell across columns
-    ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 11 } }];
+    ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 13 } }];
 
     // Format header row (row 6, 0-indexed)
     const headerRowIndex = 6;
@@ -585,12 +642,12 @@ class ExcelExporter {
         
         let fillColor = "FFFFFF";
         
-        // Risk level coloring (column 4)
-        if (col === 4) {
+        // Severity coloring (column 5)
+        if (col === 5) {
           const cellValue = ws[cellRef].v;
           switch (cellValue) {
             case 'High': fillColor = "FFE6E6"; break;
-            case 'Medium': fillColor = "FFFBE6"; break;
+            case 'Moderate': fillColor = "FFFBE6"; break;
             case 'Low': fillColor = "E6F7E6"; break;
           }
         }
@@ -632,18 +689,22 @@ class ExcelExporter {
 
         // Sheet 1: POAMs
         const wsP = wb.addWorksheet('POAMs');
-        const pHeaders = ['Title','Status','Priority','Assignee','Due Date','Progress','NIST Controls','Milestones','Created At','Updated At','Description'];
+        const pHeaders = ['Title','Status','Priority','Raw Severity','Severity','Assignee','Due Date','Progress',this.nistHeader('NIST Controls', (poams || []).map(p => p.nistRevision)),'Devices Affected','Milestones','Created At','Updated At','Description'];
         wsP.addRow(pHeaders);
         (poams || []).forEach(p => {
           const msCount = (milestones || []).filter(m => m.poamId === p.id).length;
+          const severities = this.getPOAMSeverities(p);
           wsP.addRow([
             p.title || '',
             p.status || '',
             p.priority || '',
+            severities.raw,
+            severities.severity,
             p.assignee || '',
             p.dueDate ? new Date(p.dueDate).toLocaleDateString() : '',
             typeof p.progress === 'number' ? p.progress : '',
             Array.isArray(p.nistControls) ? p.nistControls.join(', ') : (p.nistControls || ''),
+            Array.isArray(p.devicesAffected) ? p.devicesAffected.join(', ') : (p.devicesAffected || ''),
             msCount,
             p.createdAt ? new Date(p.createdAt).toLocaleString() : '',
             p.updatedAt ? new Date(p.updatedAt).toLocaleString() : '',
@@ -655,7 +716,7 @@ class ExcelExporter {
           c.font = { color: { argb: 'FFFFFFFF' }, bold: true };
           c.alignment = { horizontal: 'center' };
         });
-        wsP.columns.forEach((col, idx) => { col.width = [30,12,10,15,14,10,30,12,20,20,60][idx] || 20; });
+        wsP.columns.forEach((col, idx) => { col.width = [30,12,10,12,10,15,14,10,30,30,12,20,20,60][idx] || 20; });
 
         // Sheet 2: Milestones
         const wsM = wb.addWorksheet('Milestones');
@@ -692,15 +753,18 @@ class ExcelExporter {
 
     // Fallback: CSVs for each sheet
     try {
-      const pHeaders = ['Title','Status','Priority','Assignee','Due Date','Progress','NIST Controls','Milestones','Created At','Updated At','Description'];
+      const pHeaders = ['Title','Status','Priority','Raw Severity','Severity','Assignee','Due Date','Progress',this.nistHeader('NIST Controls', (poams || []).map(p => p.nistRevision)),'Devices Affected','Milestones','Created At','Updated At','Description'];
       const pRows = [pHeaders].concat((poams || []).map(p => [
         p.title || '',
         p.status || '',
         p.priority || '',
+        this.getPOAMSeverities(p).raw,
+        this.getPOAMSeverities(p).severity,
         p.assignee || '',
         p.dueDate ? new Date(p.dueDate).toLocaleDateString() : '',
         typeof p.progress === 'number' ? p.progress : '',
         Array.isArray(p.nistControls) ? p.nistControls.join(', ') : (p.nistControls || ''),
+        Array.isArray(p.devicesAffected) ? p.devicesAffected.join(', ') : (p.devicesAffected || ''),
         (milestones || []).filter(m => m.poamId === p.id).length,
         p.createdAt ? new Date(p.createdAt).toLocaleString() : '',
         p.updatedAt ? new Date(p.updatedAt).toLocaleString() : '',
@@ -732,6 +796,145 @@ class ExcelExporter {
     }
   }
 
+  prepareDiffData(diffRows) {
+    const headers = [
+      'Change',
+      'Host',
+      'STIG Name',
+      'Vuln-ID',
+      'Rule-ID',
+      'Title',
+      'Severity',
+      'Previous Status',
+      'Current Status',
+      this.nistHeader('NIST Control(s)', diffRows.map(row => row.nist_revision)),
+      'Finding Details'
+    ];
+
+    const data = [headers];
+    diffRows.forEach(row => {
+      data.push([
+        window.ChecklistDiff ? ChecklistDiff.getChangeLabel(row.change_type) : row.change_type,
+        row.host_name || row.host_fqdn || row.host_ip || '',
+        row.stig_name || '',
+        row.group_id || '',
+        row.rule_id || '',
+        row.rule_title || '',
+        row.severity || '',
+        row.previous_status || '',
+        row.current_status || '',
+        (row.nistControls || []).join(', '),
+        this.cleanText(row.finding_details || '')
+      ]);
+    });
+    return data;
+  }
+
+  // Export a ChecklistDiff result (compare mode) with a summary sheet
+  async createDiffExport(diffRows, summary = null, filename = 'Checklist_Diff') {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const diffData = this.prepareDiffData(diffRows);
+
+    if (this.isExcelJSAvailable()) {
+      try {
+        const wb = new window.ExcelJS.Workbook();
+        const ws = wb.addWorksheet('Changes');
+        diffData.forEach(arr => ws.addRow(arr));
+
+        ws.getRow(1).eachCell(cell => {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+          cell.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+          cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+        });
+        ws.columns.forEach((col, idx) => { col.width = [22,20,30,12,22,40,10,15,15,20,50][idx] || 20; });
+
+        // Change color on column A
+        const changeColors = {
+          newly_open: 'FFFFE6E6',
+          newly_closed: 'FFE6F7E6',
+          unchanged_open: 'FFFFF2E6',
+          status_changed: 'FFE6F0FF',
+          added: 'FFE6F4FF',
+          removed: 'FFF0F0F0'
+        };
+        diffRows.forEach((row, idx) => {
+          const excelRow = ws.getRow(idx + 2);
+          excelRow.eachCell(cell => { cell.alignment = { vertical: 'top', wrapText: true }; });
+          const color = changeColors[row.change_type];
+          if (color) excelRow.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: color } };
+        });
+
+        if (summary) {
+          const wsS = wb.addWorksheet('Summary');
+          wsS.addRow(['Change', 'Rules']);
+          Object.keys(summary).filter(key => key !== 'total').forEach(key => {
+            wsS.addRow([window.ChecklistDiff ? ChecklistDiff.getChangeLabel(key) : key, summary[key]]);
+          });
+          wsS.addRow(['Total', summary.total]);
+          wsS.getRow(1).eachCell(c => {
+            c.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+            c.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+          });
+          wsS.columns.forEach((col, idx) => { col.width = [28, 12][idx] || 20; });
+        }
+
+        const buffer = await wb.xlsx.writeBuffer();
+        const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        this.downloadBlob(blob, `${filename}_${timestamp}.xlsx`);
+        return { success: true };
+      } catch (err) {
+        console.warn('ExcelJS diff export failed, falling back to CSV:', err);
+      }
+    }
+
+    // Fallback to CSV for air-gapped environments
+    this.downloadCSV(this.convertToCSV(diffData), `${filename}_${timestamp}.csv`);
+    return { success: true };
+  }
+
+  // Export a ComplianceScorecard result: a family summary sheet, then one sheet per control family
+  async createScorecardExport(scorecard, filename = 'Compliance_Scorecard') {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const summary = ComplianceScorecard.summaryTable(scorecard);
+
+    if (this.isExcelJSAvailable()) {
+      try {
+        const wb = new window.ExcelJS.Workbook();
+        const addSheet = (name, data, widths) => {
+          const ws = wb.addWorksheet(name);
+          data.forEach(arr => ws.addRow(arr));
+          ws.getRow(1).eachCell(c => {
+            c.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+            c.font = { color: { argb: 'FFFFFFFF' }, bold: true };
+            c.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+          });
+          ws.getRow(data.length).font = { bold: true };
+          ws.columns.forEach((col, idx) => { col.width = widths[idx] || 12; });
+        };
+
+        addSheet('Summary', summary, [14]);
+        scorecard.families.forEach(family => {
+          addSheet(family.family, ComplianceScorecard.familyTable(family), [14, 40]);
+        });
+
+        const buffer = await wb.xlsx.writeBuffer();
+        const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        this.downloadBlob(blob, `${filename}_${timestamp}.xlsx`);
+        return { success: true };
+      } catch (err) {
+        console.warn('ExcelJS scorecard export failed, falling back to CSV:', err);
+      }
+    }
+
+    // Fallback: the summary and each family's controls one after another in a single CSV
+    const sections = [summary, ...scorecard.families.map(family => ComplianceScorecard.familyTable(family))];
+    // Counts are stringified so zeros are written rather than blanked
+    const data = sections.flatMap((section, idx) => idx === 0 ? section : [[], ...section])
+      .map(row => row.map(cell => String(cell)));
+    this.downloadCSV(this.convertToCSV(data), `${filename}_${timestamp}.csv`);
+    return { success: true };
+  }
+
 }
 
 // Export for use in main script
@@ -811,7 +1014,7 @@ async function exportToExcel() {
 }
 
 // Global function for POAM export
-async function exportPOAM() {
+async function exportPOAM(options = {}) {
   let filteredData = [];
   
   // Try multiple sources to get the data
@@ -855,9 +1058,14 @@ async function exportPOAM() {
     return;
   }
 
+  // Follow the table's consolidated view unless the caller says otherwise
+  const consolidate = options.consolidate !== undefined
+    ? options.consolidate
+    : (typeof VulnTable !== 'undefined' && VulnTable.isConsolidated && VulnTable.isConsolidated());
+
   const exporter = new ExcelExporter();
   try {
-    await exporter.createPOAMExport(openItems, 'POAM_Report');
+    await exporter.createPOAMExport(openItems, 'POAM_Report', { consolidate });
   } catch (error) {
     console.error('POAM export failed:', error);
     alert('POAM export failed. Please try again.');
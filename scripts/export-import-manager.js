@@ -51,15 +51,25 @@ class ExportImportManager {
                     ruleVersion: row.rule_version,
                     title: row.rule_title,
                     severity: row.severity,
+                    severityOverride: row.severity_override || '',
+                    severityJustification: row.severity_justification || '',
                     status: row.status,
                     stigName: row.stig_name,
                     nistControls: row.nistControls || [],
+                    nistRevision: row.nist_revision || '',
+                    nistSources: row.nistSources || undefined,
                     ccis: row.ccis || [],
                     families: row.families || [],
                     discussion: row.discussion || '',
                     checkContent: row.checkContent || '',
                     fixText: row.fixText || '',
                     findingDetails: row.finding_details || '',
+                    hostName: row.host_name || '',
+                    hostIp: row.host_ip || '',
+                    hostMac: row.host_mac || '',
+                    hostFqdn: row.host_fqdn || '',
+                    assetRole: row.asset_role || '',
+                    techArea: row.tech_area || '',
                     exportedAt: new Date().toISOString()
                 })),
                 cciMappings: cciMappings,
@@ -165,9 +175,15 @@ class ExportImportManager {
             'Rule ID',
             'Title',
             'Severity',
+            'Severity Override',
+            'Severity Justification',
             'Status',
             'STIG Name',
+            'Host',
+            'IP Address',
             'NIST Controls',
+            'NIST Revision',
+            'Mapping Source',
             'CCIs',
             'Families',
             'Discussion',
@@ -184,9 +200,15 @@ class ExportImportManager {
                 vuln.ruleId || '',
                 vuln.title || '',
                 vuln.severity || '',
+                vuln.severityOverride || '',
+                this.escapeCsvContent(vuln.severityJustification || ''),
                 vuln.status || '',
                 vuln.stigName || '',
+                vuln.hostName || vuln.hostFqdn || '',
+                vuln.hostIp || '',
                 (vuln.nistControls || []).join('; '),
+                vuln.nistRevision || '',
+                window.FileImporter ? FileImporter.describeNistSources(vuln) : '',
                 (vuln.ccis || []).join('; '),
                 (vuln.families || []).join('; '),
                 this.escapeCsvContent(vuln.discussion || ''),
@@ -309,12 +331,12 @@ class ExportImportManager {
 
     // Parse CSV import data
     async parseCsvImport(csvContent) {
-        const lines = csvContent.split('\n').filter(line => line.trim());
-        const headers = this.parseCsvLine(lines[0]);
+        const lines = CsvParser.parse(csvContent);
+        const headers = lines[0] || [];
 
         const vulnerabilities = [];
         for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCsvLine(lines[i]);
+            const values = lines[i];
             if (values.length >= headers.length) {
                 const vuln = {};
                 headers.forEach((header, index) => {
@@ -336,33 +358,6 @@ class ExportImportManager {
         };
     }
 
-    // Parse CSV line handling quoted content
-    parseCsvLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-
-            if (char === '"' && inQuotes && nextChar === '"') {
-                current += '"';
-                i++; // Skip next quote
-            } else if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-
-        result.push(current);
-        return result;
-    }
-
     // Convert CSV header to object key
     csvHeaderToKey(header) {
         const mapping = {
@@ -370,9 +365,15 @@ class ExportImportManager {
             'Rule ID': 'ruleId',
             'Title': 'title',
             'Severity': 'severity',
+            'Severity Override': 'severityOverride',
+            'Severity Justification': 'severityJustification',
             'Status': 'status',
             'STIG Name': 'stigName',
+            'Host': 'hostName',
+            'IP Address': 'hostIp',
             'NIST Controls': 'nistControls',
+            'NIST Revision': 'nistRevision',
+            'Mapping Source': 'mappingSource',
             'CCIs': 'ccis',
             'Families': 'families',
             'Discussion': 'discussion',
@@ -406,11 +407,15 @@ class ExportImportManager {
         return {
             vulnId: vulnerability.vulnId || vulnerability.id,
             title: vulnerability.title || 'Imported Vulnerability',
-            severity: vulnerability.severity || 'medium',
+            // The reviewer's override is the POAM severity; the STIG severity stays as rawSeverity
+            severity: vulnerability.severityOverride || vulnerability.severity || 'medium',
+            rawSeverity: vulnerability.severity || '',
+            severityJustification: vulnerability.severityJustification || '',
             status: 'open',
             nistControls: Array.isArray(vulnerability.nistControls)
                 ? vulnerability.nistControls.join(', ')
                 : vulnerability.nistControls || '',
+            nistRevision: vulnerability.nistRevision || '',
             ccis: Array.isArray(vulnerability.ccis)
                 ? vulnerability.ccis.join(', ')
                 : vulnerability.ccis || '',
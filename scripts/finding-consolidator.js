@@ -0,0 +1,199 @@
+/* Finding Consolidation Module
+   - Collapses identical findings from many host checklists into one row per STIG + rule
+   - Keeps per-asset status, finding details, comments and severity overrides
+   - Tracks open/total host counts and the devices affected
+   - Works on normalized rows (STIG page) and exported-mapping vulnerabilities (POAM wizard)
+*/
+
+const FindingConsolidator = (() => {
+    // Worst status wins when rolling assets up into one finding
+    const STATUS_PRIORITY = ['open', 'failed', 'not_reviewed', 'not_a_finding', 'passed', 'not_applicable'];
+    const OPEN_STATUSES = ['open', 'failed'];
+    const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+    // Field names for each input shape
+    const ROW_FIELDS = {
+        stig: 'stig_name', rule: 'rule_id', group: 'group_id', status: 'status',
+        details: 'finding_details', comments: 'comments',
+        host: 'host_name', ip: 'host_ip', fqdn: 'host_fqdn', mac: 'host_mac',
+        severity: 'severity', override: 'severity_override', justification: 'severity_justification'
+    };
+    const VULN_FIELDS = {
+        stig: 'stigName', rule: 'ruleId', group: 'vulnId', status: 'status',
+        details: 'findingDetails', comments: 'comments',
+        host: 'hostName', ip: 'hostIp', fqdn: 'hostFqdn', mac: 'hostMac',
+        severity: 'severity', override: 'severityOverride', justification: 'severityJustification'
+    };
+
+    function rollUpStatus(statuses) {
+        let best = null;
+        let bestRank = Infinity;
+        statuses.forEach(status => {
+            const value = (status || '').toLowerCase();
+            const rank = STATUS_PRIORITY.indexOf(value);
+            const effective = rank === -1 ? STATUS_PRIORITY.length : rank;
+            if (effective < bestRank) {
+                best = value;
+                bestRank = effective;
+            }
+        });
+        return best || 'not_reviewed';
+    }
+
+    function isOpen(status) {
+        return OPEN_STATUSES.includes((status || '').toLowerCase());
+    }
+
+    function union(lists) {
+        return Array.from(new Set(lists.flat().filter(Boolean)));
+    }
+
+    function consolidationKey(item, fields) {
+        return `${item[fields.stig] || ''}::${item[fields.rule] || item[fields.group] || ''}`;
+    }
+
+    function toAsset(item, fields) {
+        const asset = {
+            host_name: item[fields.host] || '',
+            host_ip: item[fields.ip] || '',
+            host_fqdn: item[fields.fqdn] || '',
+            host_mac: item[fields.mac] || '',
+            status: (item[fields.status] || '').toLowerCase(),
+            finding_details: item[fields.details] || '',
+            comments: item[fields.comments] || '',
+            severity_override: (item[fields.override] || '').toLowerCase(),
+            severity_justification: item[fields.justification] || '',
+            source_file: item._sourceFile || ''
+        };
+        asset.label = asset.host_name || asset.host_fqdn || asset.host_ip || asset.source_file || 'Unknown host';
+        return asset;
+    }
+
+    // Group items by STIG + rule; already-consolidated items contribute their existing assets
+    function groupFindings(items, fields) {
+        const groups = new Map();
+        (items || []).forEach(item => {
+            if (!item) return;
+            const key = consolidationKey(item, fields);
+            if (!groups.has(key)) {
+                groups.set(key, { first: item, members: [], assets: [] });
+            }
+            const group = groups.get(key);
+            group.members.push(item);
+            if (item.consolidated && Array.isArray(item.assets)) {
+                group.assets.push(...item.assets);
+            } else {
+                group.assets.push(toAsset(item, fields));
+            }
+        });
+        return groups;
+    }
+
+    function summarizeAssets(assets) {
+        const openAssets = assets.filter(a => isOpen(a.status));
+        return {
+            status: rollUpStatus(assets.map(a => a.status)),
+            openCount: openAssets.length,
+            totalCount: assets.length,
+            devicesAffected: Array.from(new Set(openAssets.map(a => a.label)))
+        };
+    }
+
+    // Highest overridden severity across hosts; null when no host overrides the STIG severity
+    function rollUpSeverityOverride(assets, severity) {
+        const raw = (severity || '').toLowerCase();
+        const overridden = assets.filter(a => a.severity_override && a.severity_override !== raw);
+        if (overridden.length === 0) return null;
+        const worst = overridden.reduce((best, a) =>
+            (SEVERITY_RANK[a.severity_override] || 0) > (SEVERITY_RANK[best] || 0) ? a.severity_override : best, '');
+        return { severity: worst, justification: joinPerAsset(overridden, 'severity_justification') };
+    }
+
+    function joinPerAsset(assets, field) {
+        return assets
+            .filter(a => a[field])
+            .map(a => `[${a.label}] ${a[field]}`)
+            .join('\n\n');
+    }
+
+    // Collapse normalized STIG rows into one finding per STIG + rule_id
+    function consolidate(rows) {
+        const groups = groupFindings(rows, ROW_FIELDS);
+        const consolidated = [];
+
+        groups.forEach(({ first, members, assets }) => {
+            const summary = summarizeAssets(assets);
+            const nistControls = union(members.map(r => r.nistControls || []));
+            const override = rollUpSeverityOverride(assets, first.severity);
+
+            consolidated.push({
+                ...first,
+                consolidated: true,
+                assets: assets,
+                status: summary.status,
+                openCount: summary.openCount,
+                totalCount: summary.totalCount,
+                devicesAffected: summary.devicesAffected,
+                nistControls: nistControls,
+                nistSources: FileImporter.mergeNistSources(members),
+                families: union(members.map(r => r.families || [])),
+                ccis: union(members.map(r => r.ccis || [])),
+                cci_refs: union(members.map(r => r.cci_refs || r.ccis || [])),
+                host_name: Array.from(new Set(assets.map(a => a.label))).join(', '),
+                host_ip: Array.from(new Set(assets.map(a => a.host_ip).filter(Boolean))).join(', '),
+                host_fqdn: '',
+                host_mac: '',
+                finding_details: joinPerAsset(assets, 'finding_details'),
+                comments: joinPerAsset(assets, 'comments'),
+                severity_override: override ? override.severity : '',
+                severity_justification: override ? override.justification : '',
+                searchableText: union(members.map(r => r.searchableText || '')).join(' ')
+            });
+        });
+
+        console.log(`[FindingConsolidator] Consolidated ${rows?.length || 0} rows into ${consolidated.length} findings`);
+        return consolidated;
+    }
+
+    // Collapse exported-mapping vulnerabilities (POAM wizard input) the same way
+    function consolidateVulnerabilities(vulnerabilities) {
+        const groups = groupFindings(vulnerabilities, VULN_FIELDS);
+        const consolidated = [];
+
+        groups.forEach(({ first, members, assets }) => {
+            const summary = summarizeAssets(assets);
+            const eligible = members.filter(v => v.availableForPoam);
+            const override = rollUpSeverityOverride(assets, first.severity);
+
+            consolidated.push({
+                ...first,
+                consolidated: true,
+                assets: assets,
+                status: summary.status,
+                openCount: summary.openCount,
+                totalCount: summary.totalCount,
+                availableForPoam: eligible.length > 0,
+                devicesAffected: union(eligible.map(v => toAsset(v, VULN_FIELDS).label)),
+                nistControls: union(members.map(v => v.nistControls || [])),
+                families: union(members.map(v => v.families || [])),
+                ccis: union(members.map(v => v.ccis || [])),
+                findingDetails: joinPerAsset(assets, 'finding_details'),
+                severityOverride: override ? override.severity : '',
+                severityJustification: override ? override.justification : ''
+            });
+        });
+
+        return consolidated;
+    }
+
+    // Public API
+    return {
+        consolidate,
+        consolidateVulnerabilities,
+        rollUpStatus,
+        isOpen
+    };
+})();
+
+// Make available globally
+window.FindingConsolidator = FindingConsolidator;
@@ -0,0 +1,277 @@
+/* Framework Crosswalks Module
+   - User-supplied crosswalks from NIST SP 800-53 controls to other frameworks' requirements,
+     e.g. NIST SP 800-171 / CMMC practices or a FedRAMP baseline
+   - CSV with an 800-53 column and a requirement column (optional title column), or JSON
+   - A CSV with only an 800-53 column (e.g. a FedRAMP baseline control list) makes each control its own requirement
+   - Finding rows map to requirements through their nistControls; enhancements and statement items fall back to the base control
+   - Per-framework compliance summary from the findings mapped to each requirement
+   - Stored through DataStore in the controlCatalog store as 'framework' records, one per framework name
+*/
+
+const FrameworkCrosswalks = (() => {
+    const STORE = 'controlCatalog';
+    const KIND = 'framework';
+    const FILE_TYPE = 'framework-crosswalk';
+    const { normalizeControl, controlsIn } = ControlCrosswalk;
+
+    let frameworks = {};   // 'NIST SP 800-171' -> { name, fileName, loadedAt, requirements: { '3.1.1': { id, title, controls } } }
+    let controlIndex = {}; // 'NIST SP 800-171' -> { 'AC-2': ['3.1.1', '3.1.2'] }
+    let loadPromise = null;
+
+    // Framework name from an explicit value, else from the file name or headers
+    function inferName(fileName, hint = '') {
+        const text = `${fileName} ${hint}`;
+        if (/800[-_ ]?171/i.test(text)) return 'NIST SP 800-171';
+        if (/cmmc/i.test(text)) return 'CMMC';
+        if (/fedramp/i.test(text)) {
+            const level = (text.match(/\b(low|moderate|high|li-saas)\b/i) || [])[1];
+            return level ? `FedRAMP ${level.charAt(0).toUpperCase()}${level.slice(1).toLowerCase()}` : 'FedRAMP';
+        }
+        return String(fileName).replace(/\.[^.]+$/, '');
+    }
+
+    function addRequirement(requirements, id, title, controls) {
+        const key = String(id || '').trim();
+        if (!key) return;
+        const held = requirements[key] || { id: key, title: '', controls: [] };
+        if (!held.title && title) held.title = String(title).trim();
+        controls.forEach(ctrl => {
+            if (!held.controls.includes(ctrl)) held.controls.push(ctrl);
+        });
+        requirements[key] = held;
+    }
+
+    function parseCsv(text, fileName) {
+        const rows = CsvParser.parse(text);
+        const headerIndex = rows.findIndex(row => row.some(cell => /800-53|nist\s*control/i.test(cell)));
+        if (headerIndex === -1) {
+            throw new Error(`${fileName} has no NIST SP 800-53 column (expected a header such as "NIST SP 800-53 Control")`);
+        }
+        const headers = rows[headerIndex].map(cell => String(cell).trim());
+        const nistColumn = headers.findIndex(header => /800-53|nist\s*control/i.test(header));
+        const isTitle = header => /title|description|name|text/i.test(header);
+        const requirementColumn = headers.findIndex((header, index) => index !== nistColumn && !isTitle(header)
+            && /requirement|practice|800-171|cmmc|fedramp|\bid\b|control/i.test(header));
+        const titleColumn = headers.findIndex((header, index) => index !== nistColumn && index !== requirementColumn && isTitle(header));
+
+        const requirements = {};
+        rows.slice(headerIndex + 1).forEach(row => {
+            const controls = controlsIn(row[nistColumn]);
+            if (requirementColumn === -1) {
+                controls.forEach(ctrl => addRequirement(requirements, ctrl, row[titleColumn], [ctrl]));
+                return;
+            }
+            String(row[requirementColumn] || '').split(/[;,\n]/).forEach(id => {
+                addRequirement(requirements, id, titleColumn >= 0 ? row[titleColumn] : '', controls);
+            });
+        });
+        return { name: inferName(fileName, requirementColumn >= 0 ? headers[requirementColumn] : ''), requirements };
+    }
+
+    // { type, framework, requirements: [{ id, title, controls }] } or { framework, mappings: { 'AC-2': ['3.1.1'] } }
+    function parseJson(text, fileName) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON format: ${error.message}`);
+        }
+        if (data?.type && data.type !== FILE_TYPE) {
+            throw new Error(`${fileName} is a "${data.type}" file, not a "${FILE_TYPE}"`);
+        }
+        const requirements = {};
+        if (Array.isArray(data?.requirements)) {
+            data.requirements.forEach(item => addRequirement(requirements, item.id, item.title, (item.controls || []).map(normalizeControl)));
+        } else if (data?.mappings && typeof data.mappings === 'object') {
+            Object.entries(data.mappings).forEach(([ctrl, ids]) => {
+                (Array.isArray(ids) ? ids : [ids]).forEach(id => addRequirement(requirements, id, '', [normalizeControl(ctrl)]));
+            });
+        } else {
+            throw new Error(`${fileName} is not a framework crosswalk: expected a "requirements" array or a "mappings" object`);
+        }
+        return { name: String(data.framework || data.name || '').trim() || inferName(fileName), requirements };
+    }
+
+    // A File -> { kind: 'framework', name, fileName, requirements }
+    async function parseFile(file) {
+        const fileName = file.name || 'framework.csv';
+        const text = await file.text();
+        const parsed = /\.json$/i.test(fileName) ? parseJson(text, fileName) : parseCsv(text, fileName);
+        const mapped = Object.values(parsed.requirements).filter(requirement => requirement.controls.length > 0);
+        if (mapped.length === 0) {
+            throw new Error(`${fileName} maps no requirement to an 800-53 control`);
+        }
+        return { kind: KIND, name: parsed.name, fileName, requirements: parsed.requirements };
+    }
+
+    function index(record) {
+        const byControl = {};
+        Object.values(record.requirements).forEach(requirement => {
+            requirement.controls.forEach(ctrl => {
+                if (!byControl[ctrl]) byControl[ctrl] = [];
+                byControl[ctrl].push(requirement.id);
+            });
+        });
+        return byControl;
+    }
+
+    function setState(records) {
+        frameworks = {};
+        controlIndex = {};
+        records.filter(record => record.kind === KIND).forEach(record => {
+            frameworks[record.name] = record;
+            controlIndex[record.name] = index(record);
+        });
+    }
+
+    // Reads the stored frameworks once per page; later calls reuse the same promise
+    function load() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const store = PageUtils.getDataStore();
+                await store.ready();
+                setState(await store.read(STORE));
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+        return loadPromise;
+    }
+
+    // Stores a parsed crosswalk, replacing the framework of the same name
+    async function save(parsed) {
+        await load();
+        const store = PageUtils.getDataStore();
+        for (const record of await store.read(STORE)) {
+            if (record.kind === KIND && record.name === parsed.name) await store.delete(STORE, record.id);
+        }
+        const saved = await store.create(STORE, { ...parsed, loadedAt: new Date().toISOString() });
+        setState(await store.read(STORE));
+        return saved;
+    }
+
+    async function remove(name) {
+        await load();
+        const store = PageUtils.getDataStore();
+        for (const record of await store.read(STORE)) {
+            if (record.kind === KIND && record.name === name) await store.delete(STORE, record.id);
+        }
+        setState(await store.read(STORE));
+    }
+
+    function getNames() {
+        return Object.keys(frameworks).sort();
+    }
+
+    function getFramework(name) {
+        return frameworks[name] || null;
+    }
+
+    // Requirement IDs a finding maps to, in requirement order
+    function requirementsFor(row, name) {
+        const byControl = controlIndex[name];
+        if (!byControl) return [];
+        const ids = new Set();
+        (row.nistControls || []).forEach(ctrl => {
+            const base = normalizeControl(String(ctrl).split(/\s+/)[0]);
+            (byControl[base] || byControl[base.replace(/\(.*\)$/, '')] || []).forEach(id => ids.add(id));
+        });
+        return Array.from(ids).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    function describeRequirement(name, id) {
+        const requirement = frameworks[name]?.requirements[id];
+        if (!requirement) return id;
+        return `${id}${requirement.title ? `: ${requirement.title}` : ''} (800-53: ${requirement.controls.join(', ')})`;
+    }
+
+    // Open findings make a requirement non-compliant; unreviewed ones leave it not reviewed; no findings leave it not assessed
+    function requirementStatus(counts) {
+        if (counts.findings === 0) return 'Not assessed';
+        if (counts.open > 0) return 'Non-compliant';
+        if (counts.notReviewed > 0) return 'Not reviewed';
+        return 'Compliant';
+    }
+
+    /*
+     * { name, requirements: [{ id, title, controls, findings, open, notAFinding, notApplicable, notReviewed, status }], totals }
+     * totals.percentCompliant counts only assessed requirements
+     */
+    function summarize(rows, name) {
+        const framework = frameworks[name];
+        if (!framework) return null;
+
+        const counts = {};
+        Object.keys(framework.requirements).forEach(id => {
+            counts[id] = { findings: 0, open: 0, notAFinding: 0, notApplicable: 0, notReviewed: 0 };
+        });
+        rows.forEach(row => {
+            requirementsFor(row, name).forEach(id => {
+                const held = counts[id];
+                held.findings++;
+                if (row.status === 'open' || row.status === 'failed') held.open++;
+                else if (row.status === 'not_a_finding' || row.status === 'passed') held.notAFinding++;
+                else if (row.status === 'not_applicable') held.notApplicable++;
+                else held.notReviewed++;
+            });
+        });
+
+        const requirements = Object.values(framework.requirements)
+            .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }))
+            .map(requirement => ({ ...requirement, ...counts[requirement.id], status: requirementStatus(counts[requirement.id]) }));
+        const tally = status => requirements.filter(requirement => requirement.status === status).length;
+        const assessed = requirements.length - tally('Not assessed');
+        return {
+            name,
+            requirements,
+            totals: {
+                requirements: requirements.length,
+                compliant: tally('Compliant'),
+                nonCompliant: tally('Non-compliant'),
+                notReviewed: tally('Not reviewed'),
+                notAssessed: tally('Not assessed'),
+                percentCompliant: assessed > 0 ? Math.round((tally('Compliant') / assessed) * 100) : 0
+            }
+        };
+    }
+
+    function summaryToTable(summaries) {
+        const table = [['Framework', 'Requirement', 'Title', 'NIST SP 800-53 Controls', 'Findings', 'Open', 'Not a Finding', 'Not Applicable', 'Not Reviewed', 'Status']];
+        summaries.forEach(summary => {
+            summary.requirements.forEach(requirement => {
+                table.push([
+                    summary.name,
+                    requirement.id,
+                    requirement.title,
+                    requirement.controls.join('; '),
+                    String(requirement.findings),
+                    String(requirement.open),
+                    String(requirement.notAFinding),
+                    String(requirement.notApplicable),
+                    String(requirement.notReviewed),
+                    requirement.status
+                ]);
+            });
+        });
+        return table;
+    }
+
+    // Public API
+    return {
+        FILE_TYPE,
+        parseFile,
+        load,
+        save,
+        remove,
+        getNames,
+        getFramework,
+        requirementsFor,
+        describeRequirement,
+        summarize,
+        summaryToTable
+    };
+})();
+
+// Make available globally
+window.FrameworkCrosswalks = FrameworkCrosswalks;
@@ -0,0 +1,235 @@
+/* Import Validator Module
+   - Builds a structured validation report for each imported file
+   - Checks rules without CCIs, CCIs missing from the active CCI map, deprecated CCIs, NIST controls
+     found only by the text heuristic, duplicate rule IDs, unrecognized status values and empty STIG_INFO
+   - Turns parse failures into an error report instead of a bare exception message
+   - Flattens reports into a table for CSV download
+*/
+
+const ImportValidator = (() => {
+    const KNOWN_STATUSES = new Set(['open', 'not_a_finding', 'not_applicable', 'not_reviewed']);
+
+    // Rule IDs listed per issue in the dialog; the CSV always lists every affected rule
+    const DETAIL_LIMIT = 25;
+
+    const CHECKS = {
+        parse_error: 'File could not be parsed',
+        no_rules: 'No rules found',
+        empty_stig_info: 'STIG_INFO is empty or incomplete',
+        no_cci: 'Rules with no CCI',
+        no_cci_map: 'No CCI map loaded',
+        unmapped_cci: 'CCIs missing from the active CCI map',
+        deprecated_cci: 'Deprecated CCIs referenced',
+        heuristic_nist: 'NIST controls only from the text heuristic',
+        duplicate_rule: 'Duplicate rule IDs',
+        unknown_status: 'Unrecognized status values'
+    };
+
+    function ruleLabel(row) {
+        return row.group_id || row.rule_id || row.rule_version || '(no ID)';
+    }
+
+    function createReport(fileName, type) {
+        return {
+            fileName,
+            type: type || '',
+            errors: [],
+            warnings: [],
+            counts: {
+                rules: 0,
+                rulesWithoutCci: 0,
+                unmappedCcis: 0,
+                deprecatedCcis: 0,
+                heuristicOnlyRules: 0,
+                duplicateRuleIds: 0,
+                unknownStatuses: 0
+            }
+        };
+    }
+
+    // items: [{ rule, detail }] for the rules or values the issue affects
+    function addIssue(report, level, code, message, items = []) {
+        (level === 'error' ? report.errors : report.warnings).push({
+            code,
+            check: CHECKS[code] || code,
+            message,
+            items
+        });
+    }
+
+    // Controls only the text heuristic produced; rows without recorded sources are re-derived
+    function textOnlyControls(row, ccis, cciMap) {
+        if (row.nistSources) {
+            return Object.keys(row.nistSources).filter(ctrl => FileImporter.isTextOnlyControl(row, ctrl));
+        }
+        if (!Array.isArray(row.nistControls) || row.nistControls.length === 0) return [];
+        const fromCcis = new Set(FileImporter.mapCcisToNist(ccis, cciMap));
+        const fromText = new Set(FileImporter.extractNistFromText(row));
+        return row.nistControls.filter(ctrl => !fromCcis.has(ctrl) && fromText.has(ctrl));
+    }
+
+    /*
+     * Validate the rows parsed from one file.
+     * options: { fileName, type, cciMap, deprecatedCcis } where cciMap is the CCI→NIST map the rows were built with
+     * and deprecatedCcis lists the CCI IDs the loaded CCI list marks deprecated
+     */
+    function validateRows(rows, options = {}) {
+        const report = createReport(options.fileName, options.type);
+        const cciMap = options.cciMap || {};
+        const deprecatedIds = new Set(options.deprecatedCcis || []);
+        const hasCciMap = Object.keys(cciMap).length > 0;
+        report.counts.rules = rows.length;
+
+        if (rows.length === 0) {
+            addIssue(report, 'error', 'no_rules', 'The file parsed but contains no rules.');
+            return report;
+        }
+
+        const noCci = [];
+        const unmapped = new Map(); // CCI -> rule labels
+        const deprecated = new Map(); // CCI -> rule labels
+        const heuristic = [];
+        const unknownStatus = [];
+        const seenIds = new Map(); // stig_index|host|id -> count
+        const emptyStigs = new Set();
+
+        rows.forEach(row => {
+            const label = ruleLabel(row);
+            const ccis = Array.isArray(row.ccis) ? row.ccis : [];
+
+            if (ccis.length === 0) {
+                noCci.push({ rule: label, detail: row.rule_title || '' });
+            } else if (hasCciMap) {
+                ccis.filter(cci => !cciMap[cci]).forEach(cci => {
+                    if (!unmapped.has(cci)) unmapped.set(cci, []);
+                    unmapped.get(cci).push(label);
+                });
+            }
+            ccis.filter(cci => deprecatedIds.has(cci)).forEach(cci => {
+                if (!deprecated.has(cci)) deprecated.set(cci, []);
+                deprecated.get(cci).push(label);
+            });
+
+            // Exported mapping files carry their controls explicitly
+            if (options.type !== 'EXPORTED_MAPPINGS') {
+                const textOnly = textOnlyControls(row, ccis, cciMap);
+                if (textOnly.length > 0) {
+                    heuristic.push({ rule: label, detail: textOnly.join(', ') });
+                }
+            }
+
+            const status = FileImporter.normalizeStatus(row.status);
+            if (!KNOWN_STATUSES.has(status)) {
+                unknownStatus.push({ rule: label, detail: String(row.status) });
+            }
+
+            const idKey = [row.stig_index ?? 0, FileImporter.getAssetLabel(row), row.rule_id || row.group_id].join('|');
+            if (row.rule_id || row.group_id) {
+                seenIds.set(idKey, (seenIds.get(idKey) || 0) + 1);
+            }
+
+            if (!row.stig_id && !row.stig_version && !row.stig_release) {
+                emptyStigs.add(row.stig_index ?? 0);
+            }
+        });
+
+        const duplicates = Array.from(seenIds.entries())
+            .filter(([, count]) => count > 1)
+            .map(([key, count]) => ({ rule: key.split('|').pop(), detail: `appears ${count} times` }));
+
+        report.counts.rulesWithoutCci = noCci.length;
+        report.counts.unmappedCcis = unmapped.size;
+        report.counts.deprecatedCcis = deprecated.size;
+        report.counts.heuristicOnlyRules = heuristic.length;
+        report.counts.duplicateRuleIds = duplicates.length;
+        report.counts.unknownStatuses = unknownStatus.length;
+
+        if (emptyStigs.size > 0) {
+            addIssue(report, 'warning', 'empty_stig_info',
+                `${emptyStigs.size} STIG section(s) have no STIG ID, version or release; the STIG cannot be identified for upgrades or the library.`);
+        }
+        if (duplicates.length > 0) {
+            addIssue(report, 'warning', 'duplicate_rule',
+                `${duplicates.length} rule ID(s) appear more than once for the same STIG and host; only one answer can be exported.`, duplicates);
+        }
+        if (unknownStatus.length > 0) {
+            const values = Array.from(new Set(unknownStatus.map(item => item.detail)));
+            addIssue(report, 'warning', 'unknown_status',
+                `${unknownStatus.length} rule(s) have unrecognized status values (${values.slice(0, 5).join(', ')}).`, unknownStatus);
+        }
+        if (noCci.length > 0) {
+            addIssue(report, 'warning', 'no_cci',
+                `${noCci.length} of ${rows.length} rule(s) reference no CCI, so they map to no NIST control through the CCI list.`, noCci);
+        }
+        if (!hasCciMap) {
+            addIssue(report, 'warning', 'no_cci_map', 'No CCI map was active, so CCIs could not be mapped to NIST controls.');
+        } else if (unmapped.size > 0) {
+            addIssue(report, 'warning', 'unmapped_cci',
+                `${unmapped.size} CCI(s) are not in the active CCI map.`,
+                Array.from(unmapped.entries()).map(([cci, rules]) => ({ rule: rules.join(', '), detail: cci })));
+        }
+        if (deprecated.size > 0) {
+            addIssue(report, 'warning', 'deprecated_cci',
+                `${deprecated.size} CCI(s) are marked deprecated in the CCI list; their rules may map to retired requirements.`,
+                Array.from(deprecated.entries()).map(([cci, rules]) => ({ rule: rules.join(', '), detail: cci })));
+        }
+        if (heuristic.length > 0) {
+            addIssue(report, 'warning', 'heuristic_nist',
+                `${heuristic.length} rule(s) have NIST controls found only by scanning rule text; verify them before relying on the mapping.`, heuristic);
+        }
+
+        return report;
+    }
+
+    // Parse failures become a report with a single error
+    function fromError(fileName, error, type = '') {
+        const report = createReport(fileName, type);
+        addIssue(report, 'error', 'parse_error', error?.message || String(error));
+        return report;
+    }
+
+    function getLevel(report) {
+        if (!report) return 'ok';
+        if (report.errors.length > 0) return 'error';
+        return report.warnings.length > 0 ? 'warning' : 'ok';
+    }
+
+    function hasIssues(reports) {
+        return reports.some(report => getLevel(report) !== 'ok');
+    }
+
+    // One CSV row per affected rule (or per issue when it has no rule list)
+    function toTable(reports) {
+        const table = [['File', 'Type', 'Level', 'Check', 'Rule / Item', 'Detail', 'Message']];
+        reports.filter(Boolean).forEach(report => {
+            const issues = [
+                ...report.errors.map(issue => ['Error', issue]),
+                ...report.warnings.map(issue => ['Warning', issue])
+            ];
+            issues.forEach(([level, issue]) => {
+                if (issue.items.length === 0) {
+                    table.push([report.fileName, report.type, level, issue.check, '', '', issue.message]);
+                    return;
+                }
+                issue.items.forEach(item => {
+                    table.push([report.fileName, report.type, level, issue.check, item.rule, item.detail, issue.message]);
+                });
+            });
+        });
+        return table;
+    }
+
+    // Public API
+    return {
+        validateRows,
+        fromError,
+        getLevel,
+        hasIssues,
+        toTable,
+        CHECKS,
+        DETAIL_LIMIT
+    };
+})();
+
+// Make available globally
+window.ImportValidator = ImportValidator;
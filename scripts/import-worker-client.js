@@ -0,0 +1,171 @@
+/* Import Worker Client
+   - Sends file parsing to scripts/import-worker.js so large imports don't freeze the page
+   - Relays progress callbacks and supports cancelling the running import
+   - Parsed files come back with an ImportValidator report in result.validation
+   - Sends the CCI map resolved to the active NIST revision and labels parsed rows with that revision
+   - Sends the deprecated CCI IDs from CciCatalog so validation can flag them
+   - Layers CciOverrides on the CCI map before sending it
+   - Falls back to parsing on the main thread when workers are unavailable (e.g., pages opened from file://)
+*/
+
+const ImportWorker = (() => {
+    const WORKER_URL = document.currentScript
+        ? new URL('import-worker.js', document.currentScript.src).href
+        : '../scripts/import-worker.js';
+
+    let worker = null;
+    let workerUnavailable = typeof Worker === 'undefined';
+    let nextJobId = 1;
+    const pending = new Map();
+
+    function createCancelError() {
+        const error = new Error('Import cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function isCancelError(error) {
+        return error?.name === 'AbortError';
+    }
+
+    function handleMessage(event) {
+        const { id, type } = event.data || {};
+        const job = pending.get(id);
+        if (!job) return;
+
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(event.data.progress);
+        } else if (type === 'result') {
+            pending.delete(id);
+            job.resolve(event.data.result);
+        } else if (type === 'error') {
+            pending.delete(id);
+            job.reject(new Error(event.data.error));
+        }
+    }
+
+    // The worker script failed to load or crashed: finish outstanding jobs on the main thread
+    function handleError(event) {
+        if (event && typeof event.preventDefault === 'function') event.preventDefault();
+        console.warn('[ImportWorker] ⚠️ Worker unavailable, parsing on the main thread:', event?.message || 'load error');
+        workerUnavailable = true;
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        const jobs = Array.from(pending.values());
+        pending.clear();
+        jobs.forEach(job => job.fallback().then(job.resolve, job.reject));
+    }
+
+    function getWorker() {
+        if (workerUnavailable) return null;
+        if (!worker) {
+            try {
+                worker = new Worker(WORKER_URL);
+                worker.onmessage = handleMessage;
+                worker.onerror = handleError;
+            } catch (error) {
+                console.warn('[ImportWorker] ⚠️ Could not start worker, parsing on the main thread:', error.message);
+                workerUnavailable = true;
+                worker = null;
+            }
+        }
+        return worker;
+    }
+
+    function run(op, payload, onProgress, fallback) {
+        const activeWorker = getWorker();
+        if (!activeWorker) return fallback();
+
+        return new Promise((resolve, reject) => {
+            const id = nextJobId++;
+            pending.set(id, { resolve, reject, onProgress, fallback });
+            activeWorker.postMessage({ id, op, ...payload });
+        });
+    }
+
+    // Workers cannot see DataManager, so send the mapping the importer would otherwise fall back to, with user overrides on top
+    function effectiveCciMap(customCciMap) {
+        const cciMap = customCciMap || window.DataManager?.currentData?.cciMappings || null;
+        return window.CciOverrides ? CciOverrides.apply(cciMap) : cciMap;
+    }
+
+    /*
+     * Parsed rows are labelled with the revision their CCI-derived controls came from, and the worker's
+     * controls (which always include text matches) are narrowed by the user's mapping-source setting
+     */
+    function labelRows(result, cciMap) {
+        if (!Array.isArray(result?.rows)) return result;
+        if (cciMap) {
+            FileImporter.labelNistRevision(result.rows, cciMap);
+        }
+        FileImporter.applyNistSourceSetting(result.rows);
+        return result;
+    }
+
+    function parseFile(file, customCciMap = null, onProgress = null) {
+        const sourceMap = effectiveCciMap(customCciMap);
+        const cciMap = FileImporter.resolveCciMap(sourceMap);
+        const deprecatedCcis = window.CciCatalog ? CciCatalog.getDeprecatedIds() : [];
+        return run(
+            'parseFile',
+            { file, cciMap, deprecatedCcis },
+            onProgress,
+            async () => {
+                const result = await FileImporter.processFile(file, cciMap, onProgress);
+                result.validation = ImportValidator.validateRows(result.rows, { fileName: file.name, type: result.type, cciMap, deprecatedCcis });
+                return result;
+            }
+        ).then(result => labelRows(result, sourceMap));
+    }
+
+    // DISA Manual XCCDF benchmark -> { stigInfo, rows } template
+    function parseBenchmarkFile(file, customCciMap = null, onProgress = null) {
+        const sourceMap = effectiveCciMap(customCciMap);
+        const cciMap = FileImporter.resolveCciMap(sourceMap);
+        return run(
+            'parseBenchmark',
+            { file, cciMap },
+            onProgress,
+            async () => FileImporter.parseXccdfBenchmark(await file.text(), cciMap, onProgress)
+        ).then(result => labelRows(result, sourceMap));
+    }
+
+    function parseCciFile(file, onProgress = null) {
+        return run(
+            'parseCci',
+            { file },
+            onProgress,
+            async () => FileImporter.parseCciList(await file.text(), onProgress)
+        );
+    }
+
+    // Stop the running import; outstanding jobs reject with an AbortError
+    function cancel() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        const jobs = Array.from(pending.values());
+        pending.clear();
+        jobs.forEach(job => job.reject(createCancelError()));
+    }
+
+    function isAvailable() {
+        return !workerUnavailable;
+    }
+
+    // Public API
+    return {
+        parseFile,
+        parseBenchmarkFile,
+        parseCciFile,
+        cancel,
+        isCancelError,
+        isAvailable
+    };
+})();
+
+// Make available globally
+window.ImportWorker = ImportWorker;
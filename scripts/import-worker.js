@@ -0,0 +1,33 @@
+/* Import Worker
+   - Parses checklist (CKL/CKLB), XCCDF result, XCCDF benchmark and CCI list files off the main thread
+   - CCI lists come back as { mapping, definitions }
+   - Reuses FileImporter; XML goes through XmlSax because workers have no DOMParser
+   - Attaches the ImportValidator report to each parsed file
+   - Posts progress messages while parsing; the page cancels an import by terminating the worker
+*/
+
+// The shared modules publish themselves on window
+self.window = self;
+importScripts('xml-sax.js', 'importer.js', 'import-validator.js');
+
+self.onmessage = async (event) => {
+    const { id, op, file, cciMap, deprecatedCcis } = event.data || {};
+    const onProgress = progress => self.postMessage({ id, type: 'progress', progress });
+
+    try {
+        let result;
+        if (op === 'parseFile') {
+            result = await FileImporter.processFile(file, cciMap || null, onProgress);
+            result.validation = ImportValidator.validateRows(result.rows, { fileName: file.name, type: result.type, cciMap, deprecatedCcis });
+        } else if (op === 'parseBenchmark') {
+            result = FileImporter.parseXccdfBenchmark(await file.text(), cciMap || null, onProgress);
+        } else if (op === 'parseCci') {
+            result = FileImporter.parseCciList(await file.text(), onProgress);
+        } else {
+            throw new Error(`Unknown import operation: ${op}`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
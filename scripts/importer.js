@@ -1,6 +1,16 @@
 /* File Import and Processing Module
    - Handles CKLB JSON and CKL XML file processing
-   - Parses CCI XML mappings
+   - Parses SCAP XCCDF result files (SCC scan output)
+   - Parses DISA Manual XCCDF benchmarks into blank (not_reviewed) checklist templates
+   - Carries asset identity (host name, IP, MAC, FQDN, role) onto every row
+   - Returns the original CKL/CKLB text so edited checklists can be written back out
+   - Keeps the STIG severity and any severity override (with justification) side by side
+   - Parses CCI XML mappings, keeping NIST SP 800-53 controls per revision (Rev 3 / 4 / 5)
+   - Keeps each CCI's full record from the CCI list (definition, type, status, publish date, references)
+   - Maps CCIs through the active revision only, and re-maps rows when that revision changes
+   - Records each control's mapping source (explicit field, CCI mapping, text heuristic) on row.nistSources
+   - Runs in a Web Worker too: without DOMParser, XML is read through XmlSax's lightweight tree
+   - Reports per-rule progress through an optional onProgress callback
    - Normalizes data from different formats
    - Provides unified interface for file importing
 */
@@ -10,6 +20,185 @@ const FileImporter = (() => {
     // Heuristic for NIST 800-53 control identifiers (e.g., AC-2, IA-5(1))
     const nistRegex = /\b(AC|AT|AU|CA|CM|CP|IA|IR|MA|MP|PE|PL|PM|PS|RA|SA|SC|SI|SR|PT|SE|AR|IP|TR|DM|RS|RC)\s*-\s*\d+[A-Za-z]?(?:\s*\([0-9a-z]+\))?(?:\s*[a-z])?\b/gi;
 
+    // Where a NIST control mapping came from, strongest first
+    const MAPPING_SOURCES = {
+        explicit: 'Explicit',
+        cci: 'CCI',
+        text: 'Text heuristic'
+    };
+
+    // Checklist, CKLB and XCCDF result vocabularies mapped onto the row status values
+    const STATUS_ALIASES = {
+        open: 'open',
+        notafinding: 'not_a_finding',
+        not_a_finding: 'not_a_finding',
+        not_applicable: 'not_applicable',
+        notapplicable: 'not_applicable',
+        not_reviewed: 'not_reviewed',
+        notreviewed: 'not_reviewed',
+        // XCCDF rule-result values
+        pass: 'not_a_finding',
+        fixed: 'not_a_finding',
+        fail: 'open',
+        notchecked: 'not_reviewed',
+        notselected: 'not_reviewed',
+        informational: 'not_reviewed',
+        error: 'not_reviewed',
+        unknown: 'not_reviewed'
+    };
+
+    // Asset identity fields carried on every row
+    const ASSET_FIELDS = ['host_name', 'host_ip', 'host_mac', 'host_fqdn', 'asset_role', 'tech_area'];
+
+    // Severity vocabularies (STIG Viewer, CAT levels, scanner output) mapped onto high / medium / low
+    const SEVERITY_ALIASES = {
+        critical: 'high',
+        high: 'high',
+        cat_i: 'high',
+        i: 'high',
+        medium: 'medium',
+        moderate: 'medium',
+        cat_ii: 'medium',
+        ii: 'medium',
+        low: 'low',
+        cat_iii: 'low',
+        iii: 'low',
+        info: 'low',
+        informational: 'low'
+    };
+
+    // NIST SP 800-53 revisions referenced by the DISA CCI list, newest first
+    const NIST_REVISIONS = ['5', '4', '3'];
+    const DEFAULT_NIST_REVISION = '5';
+
+    // Rules between progress callbacks
+    const PROGRESS_INTERVAL = 100;
+
+    const XCCDF_CCI_SYSTEM = 'http://cyber.mil/cci';
+    const XCCDF_LEGACY_SYSTEM = 'http://cyber.mil/legacy';
+
+    // DOMParser on the main thread; XmlSax's DOM-compatible tree inside a worker
+    function parseXmlDocument(xmlText, onProgress = null) {
+        if (typeof DOMParser !== 'undefined') {
+            const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+            const parserError = doc.querySelector('parsererror');
+            if (parserError) {
+                throw new Error(`Invalid XML format: ${describeParserError(parserError)}`);
+            }
+            return doc;
+        }
+        return XmlSax.parseDocument(xmlText, {
+            onProgress: onProgress ? (done, total) => onProgress({ phase: 'parsing', done, total }) : null
+        });
+    }
+
+    // Browsers word <parsererror> differently; keep the location and reason
+    function describeParserError(parserError) {
+        const text = parserError.textContent || '';
+        const chromium = text.match(/error on line (\d+) at column (\d+):\s*(.+?)(?:\n|Below is a rendering|$)/i);
+        if (chromium) return `line ${chromium[1]}, column ${chromium[2]}: ${chromium[3].trim()}`;
+        const firefox = text.match(/XML Parsing Error:\s*([^\n]+)[\s\S]*?Line Number (\d+), Column (\d+)/i);
+        if (firefox) return `line ${firefox[2]}, column ${firefox[3]}: ${firefox[1].trim()}`;
+        return text.trim().split('\n')[0].slice(0, 200) || 'the document is not well-formed';
+    }
+
+    function reportRuleProgress(onProgress, done, total) {
+        if (onProgress && (done % PROGRESS_INTERVAL === 0 || done === total)) {
+            onProgress({ phase: 'rules', done, total });
+        }
+    }
+
+    function normalizeStatus(value) {
+        if (!value) return 'not_reviewed';
+        const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return STATUS_ALIASES[key] || key;
+    }
+
+    function normalizeAsset(asset = {}) {
+        const normalized = {};
+        ASSET_FIELDS.forEach(field => {
+            normalized[field] = asset[field] ? String(asset[field]).trim() : '';
+        });
+        return normalized;
+    }
+
+    // Display label for the machine a row came from
+    function getAssetLabel(row) {
+        return row?.host_name || row?.host_fqdn || row?.host_ip || '';
+    }
+
+    function normalizeSeverity(value) {
+        if (!value) return '';
+        const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return SEVERITY_ALIASES[key] || key;
+    }
+
+    // row.severity is the STIG's own severity; severity_override is the reviewer's adjusted value
+    function getEffectiveSeverity(row) {
+        return normalizeSeverity(row?.severity_override) || row?.severity || '';
+    }
+
+    function hasSeverityOverride(row) {
+        const override = normalizeSeverity(row?.severity_override);
+        return !!override && override !== normalizeSeverity(row.severity);
+    }
+
+    // Host + STIG + rule, ignoring the rule revision so an override follows the rule into new releases
+    function severityOverrideKey(row) {
+        const rule = String(row.rule_id || '').replace(/r\d+(_rule)?$/i, '') || row.group_id || '';
+        return [getAssetLabel(row), row.stig_id || row.stig_name || '', rule].join('|');
+    }
+
+    /*
+     * Re-attach severity overrides from previously held rows to re-imported rows that carry none
+     * (e.g., a fresh SCAP scan of a host whose checklist had overrides). Returns the number of rows updated.
+     */
+    function carrySeverityOverrides(rows, previousRows) {
+        const overrides = new Map();
+        (previousRows || []).forEach(row => {
+            if (row.severity_override) overrides.set(severityOverrideKey(row), row);
+        });
+        if (overrides.size === 0) return 0;
+
+        let carried = 0;
+        rows.forEach(row => {
+            if (row.severity_override) return;
+            const previous = overrides.get(severityOverrideKey(row));
+            if (!previous) return;
+            row.severity_override = previous.severity_override;
+            row.severity_justification = previous.severity_justification || '';
+            carried++;
+        });
+        return carried;
+    }
+
+    // CKL: <ASSET> block at the top of the checklist
+    function extractAssetInfo(doc) {
+        const asset = doc.querySelector('ASSET');
+        const read = tag => asset?.querySelector(tag)?.textContent?.trim() || '';
+        return normalizeAsset({
+            host_name: read('HOST_NAME'),
+            host_ip: read('HOST_IP'),
+            host_mac: read('HOST_MAC'),
+            host_fqdn: read('HOST_FQDN'),
+            asset_role: read('ROLE'),
+            tech_area: read('TECH_AREA')
+        });
+    }
+
+    // CKLB: target_data object at the top of the checklist
+    function readCklbTargetData(target) {
+        const t = target || {};
+        return normalizeAsset({
+            host_name: t.host_name,
+            host_ip: t.ip_address,
+            host_mac: t.mac_address,
+            host_fqdn: t.fqdn,
+            asset_role: t.role,
+            tech_area: t.technology_area
+        });
+    }
+
     function readExplicitNist(rule) {
         const candidates = [
             rule.nist,
@@ -67,24 +256,156 @@ const FileImporter = (() => {
         return m ? m[0] : '';
     }
 
-    function parseCciXml(xmlText) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(xmlText, 'application/xml');
-        const cciItems = doc.querySelectorAll('cci_item');
+    // Text-matched controls are kept unless the user turns them off; workers have no settings and keep them
+    function getIncludeTextNist() {
+        return !(window.AppSettings && window.AppSettings.get('includeTextNist') === false);
+    }
+
+    /*
+     * Record where each control came from: row.nistSources = { 'AC-2': ['explicit', 'cci'], 'SC-28': ['text'] }
+     * sources is { explicit: [...], cci: [...], text: [...] }; nistControls and families are derived from it
+     */
+    function setNistSources(row, sources, includeText = getIncludeTextNist()) {
+        const nistSources = {};
+        Object.keys(MAPPING_SOURCES).forEach(source => {
+            (sources[source] || []).forEach(ctrl => {
+                if (!nistSources[ctrl]) nistSources[ctrl] = [];
+                if (!nistSources[ctrl].includes(source)) nistSources[ctrl].push(source);
+            });
+        });
+        row.nistSources = nistSources;
+        return applyNistSources(row, includeText);
+    }
+
+    function isTextOnlyControl(row, ctrl) {
+        const sources = row.nistSources?.[ctrl] || [];
+        return sources.length > 0 && sources.every(source => source === 'text');
+    }
+
+    // Rebuild nistControls and families from nistSources, leaving out text-only controls when includeText is off
+    function applyNistSources(row, includeText = getIncludeTextNist()) {
+        if (!row.nistSources) return row;
+        row.nistControls = Object.keys(row.nistSources)
+            .filter(ctrl => includeText || !isTextOnlyControl(row, ctrl))
+            .sort();
+        row.families = Array.from(new Set(row.nistControls.map(deriveFamily).filter(Boolean))).sort();
+        return row;
+    }
+
+    /*
+     * Rows parsed before sources were tracked (or from exported mappings) may carry controls without a source.
+     * Controls any revision of the CCI map produces count as CCI, controls found in the rule text as text,
+     * and anything else as explicit.
+     */
+    function ensureNistSources(row, cciMap = null) {
+        const missing = (row.nistControls || []).filter(ctrl => !row.nistSources?.[ctrl]?.length);
+        if (row.nistSources && missing.length === 0) return row;
+        const activeMap = cciMap || window.DataManager?.currentData?.cciMappings || {};
+        const fromCcis = new Set((row.ccis || row.cci_refs || []).flatMap(cci => allControlsForCci(activeMap[cci])));
+        const fromText = new Set(extractNistFromText(row));
+        row.nistSources = { ...row.nistSources };
+        missing.forEach(ctrl => {
+            row.nistSources[ctrl] = [fromCcis.has(ctrl) ? 'cci' : fromText.has(ctrl) ? 'text' : 'explicit'];
+        });
+        return row;
+    }
+
+    // Apply the text-mapping setting to loaded rows; returns the number of rows whose controls changed
+    function applyNistSourceSetting(rows, includeText = getIncludeTextNist()) {
+        let changed = 0;
+        rows.forEach(row => {
+            const before = (row.nistControls || []).join('|');
+            applyNistSources(ensureNistSources(row), includeText);
+            if (row.nistControls.join('|') !== before) changed++;
+        });
+        return changed;
+    }
+
+    // Union of several rows' sources, e.g. for a consolidated finding
+    function mergeNistSources(rows) {
+        const merged = {};
+        rows.forEach(row => {
+            Object.entries(row.nistSources || {}).forEach(([ctrl, sources]) => {
+                const combined = new Set([...(merged[ctrl] || []), ...sources]);
+                merged[ctrl] = Object.keys(MAPPING_SOURCES).filter(source => combined.has(source));
+            });
+        });
+        return merged;
+    }
+
+    // "AC-2 (CCI); SC-28 (Text heuristic)" for the table tooltip and the Mapping Source export column
+    function describeNistSources(row) {
+        return (row.nistControls || [])
+            .map(ctrl => {
+                const sources = row.nistSources?.[ctrl] || [];
+                return sources.length > 0 ? `${ctrl} (${sources.map(source => MAPPING_SOURCES[source]).join(', ')})` : ctrl;
+            })
+            .join('; ');
+    }
+
+    /*
+     * Revision of a CCI list <reference>: the version attribute, else "Revision N" in the title.
+     * 800-53A references point at assessment procedures, not controls, and return null.
+     */
+    function referenceRevision(ref) {
+        const title = ref.getAttribute('title') || '';
+        if (/800-53A/i.test(title)) return null;
+        const fromTitle = title.match(/Revision\s*(\d+)/i);
+        return (ref.getAttribute('version') || '').trim() || (fromTitle ? fromTitle[1] : 'unversioned');
+    }
+
+    // Full CCI list record; definitions can span lines in the XML
+    function readCciRecord(item, cciId) {
+        const read = tag => (item.querySelector(tag)?.textContent || '').replace(/\s+/g, ' ').trim();
+        return {
+            id: cciId,
+            status: read('status').toLowerCase(),
+            publishdate: read('publishdate'),
+            contributor: read('contributor'),
+            definition: read('definition'),
+            type: read('type').toLowerCase(),
+            parameter: read('parameter'),
+            note: read('note'),
+            references: Array.from(item.querySelectorAll('reference')).map(ref => ({
+                creator: ref.getAttribute('creator') || '',
+                title: ref.getAttribute('title') || '',
+                version: ref.getAttribute('version') || '',
+                location: ref.getAttribute('location') || '',
+                index: ref.getAttribute('index') || ''
+            }))
+        };
+    }
+
+    /*
+     * U_CCI_List.xml -> { mapping, definitions }
+     *   mapping:     { 'CCI-000366': { '4': ['CM-6 B'], '5': ['CM-6 B'] } }
+     *   definitions: { 'CCI-000366': { id, status, publishdate, contributor, definition, type, parameter, note, references } }
+     */
+    function parseCciList(xmlText, onProgress = null) {
+        const doc = parseXmlDocument(xmlText, onProgress);
+        const cciItems = Array.from(doc.querySelectorAll('cci_item'));
         const mapping = {};
+        const definitions = {};
         
-        for (const item of cciItems) {
+        for (const [index, item] of cciItems.entries()) {
+            reportRuleProgress(onProgress, index + 1, cciItems.length);
             const cciId = item.getAttribute('id');
             if (!cciId) continue;
+            definitions[cciId] = readCciRecord(item, cciId);
             
             const references = item.querySelectorAll('reference');
-            const nistControls = new Set();
+            const byRevision = {};
             
             for (const ref of references) {
                 const creator = (ref.getAttribute('creator') || '').toUpperCase();
                 const isNistRef = /NIST/.test(creator) || /800-53/.test(creator);
                 if (!isNistRef) continue;
 
+                const revision = referenceRevision(ref);
+                if (!revision) continue;
+                const nistControls = byRevision[revision] || new Set();
+                byRevision[revision] = nistControls;
+
                 // Check multiple possible fields: index, title, text content
                 const candidates = [
                     ref.getAttribute('index'),
@@ -102,16 +423,72 @@ const FileImporter = (() => {
                 }
             }
             
-            if (nistControls.size > 0) {
-                mapping[cciId] = Array.from(nistControls);
+            const revisions = {};
+            Object.entries(byRevision)
+                .filter(([, controls]) => controls.size > 0)
+                .forEach(([revision, controls]) => { revisions[revision] = Array.from(controls); });
+            if (Object.keys(revisions).length > 0) {
+                mapping[cciId] = revisions;
             }
         }
         
-        console.log(`Parsed CCI XML: ${Object.keys(mapping).length} CCIs mapped to NIST controls`);
-        return mapping;
+        console.log(`Parsed CCI XML: ${Object.keys(definitions).length} CCIs, ${Object.keys(mapping).length} mapped to NIST controls`, getCciMapRevisions(mapping));
+        return { mapping, definitions };
+    }
+
+    // Returns only the CCI -> NIST mapping of parseCciList
+    function parseCciXml(xmlText, onProgress = null) {
+        return parseCciList(xmlText, onProgress).mapping;
+    }
+
+    // Active revision from the user's settings; workers have no settings and get pre-resolved maps
+    function getActiveNistRevision() {
+        return (window.AppSettings && window.AppSettings.get('nistRevision')) || DEFAULT_NIST_REVISION;
+    }
+
+    function getNistRevisionLabel(revision) {
+        return revision ? `Rev ${revision}` : '';
+    }
+
+    // Older maps hold a flat control list per CCI with no revision information
+    function isRevisionedCciMap(cciMap) {
+        return Object.values(cciMap || {}).some(entry => entry && !Array.isArray(entry));
+    }
+
+    function controlsForCci(entry, revision) {
+        if (!entry) return [];
+        if (Array.isArray(entry)) return entry;
+        return entry[revision] || [];
+    }
+
+    function allControlsForCci(entry) {
+        if (!entry) return [];
+        if (Array.isArray(entry)) return entry;
+        return Object.values(entry).flat();
+    }
+
+    // Number of CCIs mapped under each revision: { '5': 2154, '4': 2980 }
+    function getCciMapRevisions(cciMap) {
+        const counts = {};
+        Object.values(cciMap || {}).forEach(entry => {
+            if (!entry || Array.isArray(entry)) return;
+            Object.keys(entry).forEach(revision => { counts[revision] = (counts[revision] || 0) + 1; });
+        });
+        return counts;
+    }
+
+    // Flat { cci: [controls] } map for one revision, as sent to the import worker
+    function resolveCciMap(cciMap, revision = getActiveNistRevision()) {
+        if (!cciMap) return null;
+        const resolved = {};
+        Object.entries(cciMap).forEach(([cci, entry]) => {
+            const controls = controlsForCci(entry, revision);
+            if (controls.length > 0) resolved[cci] = controls;
+        });
+        return resolved;
     }
 
-    function mapCcisToNist(ccis, customCciMap = null) {
+    function mapCcisToNist(ccis, customCciMap = null, revision = getActiveNistRevision()) {
         // Fallback to DataManager's persisted CCI mappings if custom map isn't provided
         const dmMap = (window.DataManager && window.DataManager.currentData && window.DataManager.currentData.cciMappings)
             ? window.DataManager.currentData.cciMappings
@@ -119,18 +496,51 @@ const FileImporter = (() => {
         const activeMap = customCciMap || dmMap || {};
         const nistControls = new Set();
         for (const cci of ccis) {
-            const mapped = activeMap[cci];
-            if (mapped) {
-                mapped.forEach(ctrl => nistControls.add(ctrl));
-            }
+            controlsForCci(activeMap[cci], revision).forEach(ctrl => nistControls.add(ctrl));
         }
         return Array.from(nistControls).sort();
     }
 
-    function normalizeRows(json, customCciMap = null) {
+    /*
+     * Stamp the revision the CCI-derived controls came from (nist_revision) on rows.
+     * Rows without a CCI in a revisioned map carry no revision.
+     */
+    function labelNistRevision(rows, cciMap, revision = getActiveNistRevision()) {
+        const revisioned = isRevisionedCciMap(cciMap);
+        rows.forEach(row => {
+            const ccis = row.ccis || row.cci_refs || [];
+            row.nist_revision = revisioned && ccis.some(cci => cciMap[cci]) ? revision : '';
+        });
+        return rows;
+    }
+
+    /*
+     * Re-map rows to another revision: CCI-sourced controls are replaced by the active revision's controls;
+     * explicit and text-derived controls are kept. Returns rows changed.
+     */
+    function remapNistControls(rows, cciMap, revision = getActiveNistRevision()) {
+        let changed = 0;
+        rows.forEach(row => {
+            const before = (row.nistControls || []).join('|');
+            ensureNistSources(row, cciMap);
+            const sources = { explicit: [], cci: mapCcisToNist(row.ccis || row.cci_refs || [], cciMap, revision), text: [] };
+            Object.entries(row.nistSources).forEach(([ctrl, from]) => {
+                from.filter(source => source !== 'cci').forEach(source => sources[source].push(ctrl));
+            });
+            setNistSources(row, sources);
+
+            if (row.nistControls.join('|') !== before) changed++;
+        });
+        labelNistRevision(rows, cciMap, revision);
+        return changed;
+    }
+
+    function normalizeRows(json, customCciMap = null, onProgress = null) {
         const rows = [];
+        const asset = readCklbTargetData(json?.target_data);
         const stigs = Array.isArray(json?.stigs) ? json.stigs : [];
-        for (const stig of stigs) {
+        const totalRules = stigs.reduce((sum, stig) => sum + (Array.isArray(stig.rules) ? stig.rules.length : 0), 0);
+        stigs.forEach((stig, stigIndex) => {
             const stigName = stig.display_name || stig.stig_name || stig.stig_id || 'Unknown STIG';
             const rules = Array.isArray(stig.rules) ? stig.rules : [];
             for (const rule of rules) {
@@ -151,32 +561,40 @@ const FileImporter = (() => {
                 const fromCcis = mapCcisToNist(ccis, customCciMap);
                 const heuristic = (explicit.length === 0 && fromCcis.length === 0) ? extractNistFromText(rule) : [];
                 
-                // Combine all sources, prioritizing explicit > CCI mapping > heuristic
-                const allNist = new Set([...explicit, ...fromCcis, ...heuristic]);
-                const nistControls = Array.from(allNist).sort();
-                const families = Array.from(new Set(nistControls.map(deriveFamily).filter(Boolean))).sort();
-
                 const row = {
-                    nistControls: nistControls,
-                    families: families,
                     ccis: ccis,
                     group_id: rule.group_id,
                     rule_id: rule.rule_id,
                     rule_version: rule.rule_version,
                     rule_title: rule.rule_title,
                     severity: rule.severity || 'unknown',
-                    status: rule.status || 'not_reviewed',
+                    status: normalizeStatus(rule.status),
                     stig_name: stig.stig_name || stig.display_name,
+                    stig_id: stig.stig_id || '',
+                    stig_version: stig.version || '',
+                    stig_release: stig.release_info || '',
+                    group_title: rule.group_title || '',
                     discussion: rule.discussion,
                     checkContent: rule.check_content,
-                    fixText: rule.fix_text
+                    fixText: rule.fix_text,
+                    check_content: rule.check_content || '',
+                    fix_text: rule.fix_text || '',
+                    finding_details: rule.finding_details || '',
+                    comments: rule.comments || '',
+                    legacy_ids: Array.isArray(rule.legacy_ids) ? rule.legacy_ids.slice() : [],
+                    severity_override: normalizeSeverity(rule.overrides?.severity?.severity),
+                    severity_justification: rule.overrides?.severity?.reason || '',
+                    stig_index: stigIndex,
+                    ...asset
                 };
+                setNistSources(row, { explicit, cci: fromCcis, text: heuristic });
 
                 // Build search blob
-                row.searchableText = buildSearchBlob(rule, stigName);
+                row.searchableText = buildSearchBlob({ ...rule, ...asset }, stigName);
                 rows.push(row);
+                reportRuleProgress(onProgress, rows.length, totalRules);
             }
-        }
+        });
         return rows;
     }
 
@@ -196,17 +614,25 @@ const FileImporter = (() => {
             rule.fix_text,
             rule.finding_details,
             rule.comments,
+            rule.host_name,
+            rule.host_ip,
+            rule.host_fqdn,
         ].filter(Boolean);
         return fields.join(' ').toLowerCase();
     }
 
-    async function processFile(file, customCciMap = null) {
+    async function processFile(file, customCciMap = null, onProgress = null) {
         const text = await file.text();
         const fileName = file.name.toLowerCase();
         
         if (fileName.endsWith('.json') || fileName.endsWith('.cklb')) {
             // Parse JSON format
-            const json = JSON.parse(text);
+            let json;
+            try {
+                json = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON format: ${error.message}`);
+            }
             
             // Check if this is an exported mapping file (has vulnerabilities array)
             if (json.vulnerabilities && Array.isArray(json.vulnerabilities)) {
@@ -224,19 +650,32 @@ const FileImporter = (() => {
                     stig_version: '',
                     status: vuln.status || '',
                     finding_details: vuln.findingDetails || '',
-                    comments: '',
+                    comments: vuln.comments || '',
+                    severity_override: normalizeSeverity(vuln.severityOverride),
+                    severity_justification: vuln.severityJustification || '',
+                    nist_revision: vuln.nistRevision || '',
                     discussion: vuln.discussion || '',
                     checkContent: vuln.checkContent || '',
                     fixText: vuln.fixText || '',
                     ccis: Array.isArray(vuln.ccis) ? vuln.ccis : [],
                     nistControls: Array.isArray(vuln.nistControls) ? vuln.nistControls : [],
+                    nistSources: vuln.nistSources && typeof vuln.nistSources === 'object' ? vuln.nistSources : undefined,
                     families: Array.isArray(vuln.families) ? vuln.families : [],
+                    host_name: vuln.hostName || '',
+                    host_ip: vuln.hostIp || '',
+                    host_mac: vuln.hostMac || '',
+                    host_fqdn: vuln.hostFqdn || '',
+                    asset_role: vuln.assetRole || '',
+                    tech_area: vuln.techArea || '',
                     searchableText: buildSearchBlob({
                         rule_title: vuln.title,
                         discussion: vuln.discussion,
                         check_content: vuln.checkContent,
                         fix_text: vuln.fixText,
-                        finding_details: vuln.findingDetails
+                        finding_details: vuln.findingDetails,
+                        host_name: vuln.hostName,
+                        host_ip: vuln.hostIp,
+                        host_fqdn: vuln.hostFqdn
                     }, vuln.stigName)
                 }));
                 
@@ -248,35 +687,39 @@ const FileImporter = (() => {
                 // Handle standard CKLB JSON format
                 return {
                     type: 'CKLB',
-                    rows: normalizeRows(json, customCciMap)
+                    rows: normalizeRows(json, customCciMap, onProgress),
+                    source: text
                 };
             }
+        } else if (fileName.endsWith('.xml') && isXccdfDocument(text)) {
+            // Parse SCAP XCCDF results (e.g., SCC scan output)
+            return {
+                type: 'XCCDF',
+                rows: parseXccdfResults(text, customCciMap, onProgress)
+            };
         } else if (fileName.endsWith('.ckl') || fileName.endsWith('.xml')) {
             // Parse CKL XML format
-            const rows = parseCklXml(text, customCciMap);
+            const rows = parseCklXml(text, customCciMap, onProgress);
             return {
                 type: 'CKL',
-                rows: rows
+                rows: rows,
+                source: text
             };
         } else {
             throw new Error(`Unsupported file type: ${file.name}`);
         }
     }
 
-    function parseCklXml(xmlText, customCciMap = null) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(xmlText, 'application/xml');
-        
-        // Check for parsing errors
-        const parserError = doc.querySelector('parsererror');
-        if (parserError) {
-            throw new Error('Invalid XML format');
-        }
+    function parseCklXml(xmlText, customCciMap = null, onProgress = null) {
+        const doc = parseXmlDocument(xmlText, onProgress);
         
         const rows = [];
+        const assetInfo = extractAssetInfo(doc);
         
         // Process each iSTIG section separately
         const iStigs = doc.querySelectorAll('iSTIG');
+        const totalRules = doc.querySelectorAll('VULN').length;
+        let parsedRules = 0;
         
         iStigs.forEach((iStig, stigIndex) => {
             // Extract STIG info for this specific iSTIG
@@ -286,12 +729,13 @@ const FileImporter = (() => {
             const vulns = iStig.querySelectorAll('VULN');
             
             vulns.forEach(vuln => {
-                const row = parseCklVuln(vuln, stigInfo, customCciMap);
+                const row = parseCklVuln(vuln, stigInfo, customCciMap, assetInfo);
                 if (row) {
                     // Add STIG index for debugging/tracking
                     row.stig_index = stigIndex;
                     rows.push(row);
                 }
+                reportRuleProgress(onProgress, ++parsedRules, totalRules);
             });
         });
         
@@ -330,12 +774,13 @@ const FileImporter = (() => {
         return stigInfo;
     }
 
-    function parseCklVuln(vuln, stigInfo, customCciMap = null) {
+    function parseCklVuln(vuln, stigInfo, customCciMap = null, assetInfo = {}) {
         const stigData = {};
         const stigDataElements = vuln.querySelectorAll('STIG_DATA');
         
         // Extract all STIG_DATA attributes and collect all CCI references
         const allCciReferences = [];
+        const legacyIds = [];
         
         stigDataElements.forEach(data => {
             const attr = data.querySelector('VULN_ATTRIBUTE')?.textContent?.trim();
@@ -349,6 +794,11 @@ const FileImporter = (() => {
                 if (attrLower === 'cci_ref' || attrLower === 'cci_refs' || attrLower === 'cci' || attrLower === 'ccis') {
                     allCciReferences.push(value);
                 }
+
+                // LEGACY_ID repeats (old Vuln ID and old Rule ID), so collect every value
+                if (attrLower === 'legacy_id' && value) {
+                    legacyIds.push(value);
+                }
             }
         });
         
@@ -356,15 +806,15 @@ const FileImporter = (() => {
         const status = vuln.querySelector('STATUS')?.textContent?.trim() || 'Not_Reviewed';
         const findingDetails = vuln.querySelector('FINDING_DETAILS')?.textContent?.trim() || '';
         const comments = vuln.querySelector('COMMENTS')?.textContent?.trim() || '';
+        const severityOverride = normalizeSeverity(vuln.querySelector('SEVERITY_OVERRIDE')?.textContent);
+        const severityJustification = vuln.querySelector('SEVERITY_JUSTIFICATION')?.textContent?.trim() || '';
         
         // Collect all CCI references from multiple sources
         const cciSources = [
             // From STIG_DATA attributes (collected above)
             ...allCciReferences,
-            // From direct CCI_REF nodes under VULN
+            // From CCI_REF nodes at any depth under VULN
             ...Array.from(vuln.querySelectorAll('CCI_REF')).map(n => n.textContent?.trim()).filter(Boolean),
-            // From any nested CCI_REF nodes (more comprehensive search)
-            ...Array.from(vuln.querySelectorAll('*')).filter(el => el.tagName === 'CCI_REF').map(n => n.textContent?.trim()).filter(Boolean),
             // Check for CCIs in the text content of various fields
             ...(stigData.CCI_REF ? [stigData.CCI_REF] : []),
             ...(stigData.CCI_REFS ? [stigData.CCI_REFS] : []),
@@ -420,33 +870,33 @@ const FileImporter = (() => {
             fixText: stigData.Fix_Text || '',
             check_content: stigData.Check_Content || '', // Alternative naming
             fix_text: stigData.Fix_Text || '', // Alternative naming
-            status: status.toLowerCase().replace(/\s+/g, '_'),
+            status: normalizeStatus(status),
             finding_details: findingDetails,
             comments: comments,
+            severity_override: severityOverride,
+            severity_justification: severityJustification,
             ccis: uniqueCcis,
             cci_refs: uniqueCcis,
             ia_controls: stigData.IA_Controls || '',
-            legacy_ids: [],
+            legacy_ids: Array.from(new Set(legacyIds)),
             stig_uuid: stigData.STIG_UUID || '',
             target_key: stigData.TargetKey || '',
             nistControls: [], // Will be populated below
-            families: [] // Will be populated below
+            families: [], // Will be populated below
+            ...normalizeAsset(assetInfo)
         };
         
-        // Extract NIST controls
-        const explicitNist = readExplicitNist(row);
-        const textNist = extractNistFromText(row);
-        const allNist = Array.from(new Set([...explicitNist, ...textNist]));
-        
-        row.nistControls = allNist;
-        row.families = Array.from(new Set(allNist.map(deriveFamily).filter(Boolean)));
-        
-        // Map CCIs to NIST controls using provided map or DataManager fallback
-        if (row.cci_refs.length > 0) {
-            const mappedFromCci = mapCcisToNist(row.cci_refs, customCciMap);
-            row.nistControls = Array.from(new Set([...row.nistControls, ...mappedFromCci]));
-            row.families = Array.from(new Set(row.nistControls.map(deriveFamily).filter(Boolean)));
-        }
+        return finalizeRow(row, customCciMap);
+    }
+
+    // Populate NIST controls, families and the search blob on a parsed checklist row
+    function finalizeRow(row, customCciMap = null) {
+        // Extract NIST controls; CCIs map through the provided map or the DataManager fallback
+        setNistSources(row, {
+            explicit: readExplicitNist(row),
+            cci: row.cci_refs.length > 0 ? mapCcisToNist(row.cci_refs, customCciMap) : [],
+            text: extractNistFromText(row)
+        });
         
         // Build search blob
         row.searchableText = buildSearchBlob(row, row.stig_name);
@@ -454,21 +904,297 @@ const FileImporter = (() => {
         return row;
     }
 
+    function isXccdfDocument(xmlText) {
+        const head = String(xmlText).slice(0, 4096);
+        if (/<CHECKLIST[\s>]/.test(head)) return false;
+        return /<(?:[\w-]+:)?(?:Benchmark|TestResult)[\s>]/.test(head) && /xccdf/i.test(head);
+    }
+
+    // XCCDF elements are namespaced (1.1 and 1.2), so match on local names only
+    function xccdfChildren(el, localName) {
+        return Array.from(el?.children || []).filter(child => child.localName === localName);
+    }
+
+    function xccdfChild(el, localName) {
+        return xccdfChildren(el, localName)[0] || null;
+    }
+
+    function xccdfText(el, localName) {
+        return xccdfChild(el, localName)?.textContent?.trim() || '';
+    }
+
+    function xccdfDescendants(el, localName) {
+        return el ? Array.from(el.getElementsByTagNameNS('*', localName)) : [];
+    }
+
+    function stripXccdfId(id, kind) {
+        // xccdf_mil.disa.stig_rule_SV-254238r848530_rule -> SV-254238r848530_rule
+        return String(id || '').replace(new RegExp(`^xccdf_[^_]+(?:_[^_]+)*?_${kind}_`), '');
+    }
+
+    function extractVulnDiscussion(description) {
+        if (!description) return '';
+        const match = description.match(/<VulnDiscussion>([\s\S]*?)<\/VulnDiscussion>/);
+        return (match ? match[1] : description).trim();
+    }
+
+    function readXccdfIdents(el) {
+        const ccis = [];
+        const legacyIds = [];
+        xccdfChildren(el, 'ident').forEach(ident => {
+            const system = ident.getAttribute('system') || '';
+            const value = ident.textContent?.trim();
+            if (!value) return;
+            if (system === XCCDF_CCI_SYSTEM || /^CCI-\d+$/.test(value)) {
+                ccis.push(value);
+            } else if (system === XCCDF_LEGACY_SYSTEM) {
+                legacyIds.push(value);
+            }
+        });
+        return { ccis, legacyIds };
+    }
+
+    function extractXccdfStigInfo(benchmark) {
+        if (!benchmark) return {};
+        const releaseInfo = xccdfChildren(benchmark, 'plain-text')
+            .find(el => el.getAttribute('id') === 'release-info');
+        return {
+            title: xccdfText(benchmark, 'title'),
+            stigid: stripXccdfId(benchmark.getAttribute('id'), 'benchmark'),
+            version: xccdfText(benchmark, 'version'),
+            releaseinfo: releaseInfo?.textContent?.trim() || ''
+        };
+    }
+
+    // XCCDF: <target>, <target-address> and <target-facts> on the TestResult
+    function extractXccdfAsset(testResult) {
+        const facts = {};
+        const targetFacts = xccdfChild(testResult, 'target-facts');
+        xccdfChildren(targetFacts, 'fact').forEach(fact => {
+            const name = (fact.getAttribute('name') || '').split(':').pop();
+            if (name && !facts[name]) facts[name] = fact.textContent?.trim() || '';
+        });
+        const address = xccdfChildren(testResult, 'target-address')
+            .map(el => el.textContent?.trim())
+            .find(ip => ip && ip !== '127.0.0.1' && ip !== '::1');
+        return normalizeAsset({
+            host_name: xccdfText(testResult, 'target') || facts.host_name,
+            host_ip: address || facts.ipv4 || facts.ipv6,
+            host_mac: facts.mac,
+            host_fqdn: facts.fqdn
+        });
+    }
+
+    function indexXccdfRules(benchmark) {
+        const rules = new Map();
+        xccdfDescendants(benchmark, 'Rule').forEach(rule => {
+            const group = rule.parentElement?.localName === 'Group' ? rule.parentElement : null;
+            const check = xccdfChild(rule, 'check');
+            const idents = readXccdfIdents(rule);
+            rules.set(rule.getAttribute('id'), {
+                group_id: group ? stripXccdfId(group.getAttribute('id'), 'group') : '',
+                group_title: group ? xccdfText(group, 'title') : '',
+                rule_id: stripXccdfId(rule.getAttribute('id'), 'rule'),
+                rule_version: xccdfText(rule, 'version'),
+                rule_title: xccdfText(rule, 'title'),
+                severity: rule.getAttribute('severity') || '',
+                weight: parseFloat(rule.getAttribute('weight')) || 0,
+                discussion: extractVulnDiscussion(xccdfText(rule, 'description')),
+                check_content: check ? xccdfText(check, 'check-content') : '',
+                fix_text: xccdfText(rule, 'fixtext'),
+                ccis: idents.ccis,
+                legacy_ids: idents.legacyIds
+            });
+        });
+        return rules;
+    }
+
+    function parseXccdfResults(xmlText, customCciMap = null, onProgress = null) {
+        const doc = parseXmlDocument(xmlText, onProgress);
+
+        const root = doc.documentElement;
+        const benchmark = root.localName === 'Benchmark' ? root : xccdfDescendants(root, 'Benchmark')[0];
+        const testResults = root.localName === 'TestResult' ? [root] : xccdfDescendants(root, 'TestResult');
+
+        if (testResults.length === 0) {
+            throw new Error('XCCDF file contains no TestResult; load a benchmark with "Load STIG Benchmark" to start blank checklists');
+        }
+
+        const stigInfo = extractXccdfStigInfo(benchmark);
+        const ruleIndex = indexXccdfRules(benchmark);
+        const rows = [];
+        const totalResults = testResults.reduce((sum, testResult) => sum + xccdfChildren(testResult, 'rule-result').length, 0);
+
+        testResults.forEach((testResult, stigIndex) => {
+            const assetInfo = extractXccdfAsset(testResult);
+            xccdfChildren(testResult, 'rule-result').forEach(result => {
+                const idref = result.getAttribute('idref') || '';
+                const rule = ruleIndex.get(idref) || { rule_id: stripXccdfId(idref, 'rule'), ccis: [], legacy_ids: [] };
+                const resultIdents = readXccdfIdents(result);
+                const ccis = Array.from(new Set([...rule.ccis, ...resultIdents.ccis]));
+                const resultSeverity = rule.severity ? normalizeSeverity(result.getAttribute('severity')) : '';
+                const findingDetails = xccdfChildren(result, 'message')
+                    .map(m => m.textContent?.trim())
+                    .filter(Boolean)
+                    .join('\n');
+
+                const row = {
+                    group_id: rule.group_id || '',
+                    rule_id: rule.rule_id || '',
+                    rule_version: rule.rule_version || '',
+                    rule_title: rule.rule_title || '',
+                    severity: rule.severity || result.getAttribute('severity') || '',
+                    weight: parseFloat(result.getAttribute('weight')) || rule.weight || 0,
+                    class: '',
+                    stig_name: stigInfo.title || stigInfo.stigid || 'Unknown STIG',
+                    stig_id: stigInfo.stigid || '',
+                    stig_version: stigInfo.version || '',
+                    stig_release: stigInfo.releaseinfo || '',
+                    group_title: rule.group_title || '',
+                    discussion: rule.discussion || '',
+                    checkContent: rule.check_content || '',
+                    fixText: rule.fix_text || '',
+                    check_content: rule.check_content || '',
+                    fix_text: rule.fix_text || '',
+                    status: normalizeStatus(xccdfText(result, 'result')),
+                    finding_details: findingDetails,
+                    comments: '',
+                    // A rule-result severity that differs from the benchmark's is the scanner's override
+                    severity_override: resultSeverity !== normalizeSeverity(rule.severity) ? resultSeverity : '',
+                    severity_justification: '',
+                    ccis: ccis,
+                    cci_refs: ccis,
+                    ia_controls: '',
+                    legacy_ids: Array.from(new Set([...rule.legacy_ids, ...resultIdents.legacyIds])),
+                    stig_uuid: '',
+                    target_key: '',
+                    nistControls: [],
+                    families: [],
+                    ...assetInfo
+                };
+
+                const finalized = finalizeRow(row, customCciMap);
+                finalized.stig_index = stigIndex;
+                rows.push(finalized);
+                reportRuleProgress(onProgress, rows.length, totalResults);
+            });
+        });
+
+        console.log(`Parsed XCCDF results: ${rows.length} rule results from ${testResults.length} TestResult(s)`);
+        return rows;
+    }
+
+    /*
+     * DISA Manual XCCDF benchmark -> checklist template
+     * Returns { stigInfo: { title, stigid, version, releaseinfo, benchmarkDate }, rows } with every rule not_reviewed and no asset
+     */
+    function parseXccdfBenchmark(xmlText, customCciMap = null, onProgress = null) {
+        const doc = parseXmlDocument(xmlText, onProgress);
+        const root = doc.documentElement;
+        const benchmark = root.localName === 'Benchmark' ? root : xccdfDescendants(root, 'Benchmark')[0];
+        if (!benchmark) {
+            throw new Error('Not an XCCDF benchmark (no Benchmark element)');
+        }
+
+        const stigInfo = {
+            ...extractXccdfStigInfo(benchmark),
+            benchmarkDate: xccdfChild(benchmark, 'status')?.getAttribute('date') || ''
+        };
+        const rules = Array.from(indexXccdfRules(benchmark).values());
+        const blankAsset = normalizeAsset({});
+
+        const rows = rules.map((rule, index) => {
+            const row = {
+                group_id: rule.group_id,
+                rule_id: rule.rule_id,
+                rule_version: rule.rule_version,
+                rule_title: rule.rule_title,
+                severity: rule.severity,
+                weight: rule.weight,
+                class: '',
+                stig_name: stigInfo.title || stigInfo.stigid || 'Unknown STIG',
+                stig_id: stigInfo.stigid || '',
+                stig_version: stigInfo.version || '',
+                stig_release: stigInfo.releaseinfo || '',
+                group_title: rule.group_title,
+                discussion: rule.discussion,
+                checkContent: rule.check_content,
+                fixText: rule.fix_text,
+                check_content: rule.check_content,
+                fix_text: rule.fix_text,
+                status: 'not_reviewed',
+                finding_details: '',
+                comments: '',
+                severity_override: '',
+                severity_justification: '',
+                ccis: rule.ccis,
+                cci_refs: rule.ccis,
+                ia_controls: '',
+                legacy_ids: rule.legacy_ids,
+                stig_uuid: '',
+                target_key: '',
+                nistControls: [],
+                families: [],
+                ...blankAsset
+            };
+            const finalized = finalizeRow(row, customCciMap);
+            finalized.stig_index = 0;
+            reportRuleProgress(onProgress, index + 1, rules.length);
+            return finalized;
+        });
+
+        if (rows.length === 0) {
+            throw new Error('The benchmark contains no rules');
+        }
+
+        console.log(`Parsed XCCDF benchmark: ${rows.length} rules from ${stigInfo.title || stigInfo.stigid}`);
+        return { stigInfo, rows };
+    }
+
     // Public API
     return {
+        NIST_REVISIONS,
         processFile,
+        parseCciList,
         parseCciXml,
         mapCcisToNist,
+        getActiveNistRevision,
+        getNistRevisionLabel,
+        isRevisionedCciMap,
+        getCciMapRevisions,
+        resolveCciMap,
+        labelNistRevision,
+        remapNistControls,
         normalizeRows,
         buildSearchBlob,
         parseCklXml,
         extractStigInfo,
         extractStigInfoFromiSTIG,
         parseCklVuln,
+        parseXccdfResults,
+        parseXccdfBenchmark,
+        isXccdfDocument,
+        normalizeStatus,
+        normalizeSeverity,
+        getEffectiveSeverity,
+        hasSeverityOverride,
+        carrySeverityOverrides,
+        extractAssetInfo,
+        readCklbTargetData,
+        getAssetLabel,
         readExplicitNist,
         cleanControl,
         extractNistFromText,
-        deriveFamily
+        deriveFamily,
+        MAPPING_SOURCES,
+        getIncludeTextNist,
+        setNistSources,
+        applyNistSources,
+        ensureNistSources,
+        applyNistSourceSetting,
+        mergeNistSources,
+        describeNistSources,
+        isTextOnlyControl
     };
 })();
 
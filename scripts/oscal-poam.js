@@ -0,0 +1,344 @@
+/* OSCAL POA&M Export Module
+   - Writes stored POAMs as an OSCAL 1.1.2 plan-of-action-and-milestones JSON document
+   - Each POAM is a poam-item and a risk; its milestones are the risk's remediation tasks
+   - Each linked vulnerability is an observation whose subjects are the affected hosts (local inventory items)
+   - Each related NIST control is a finding targeting the control's statement
+   - UUIDs are assigned once and kept on the POAM and milestone records (and in AppSettings for the document,
+     system and hosts), so every export revises the same OSCAL items; metadata.version counts the exports
+*/
+
+const OscalPoam = (() => {
+    const OSCAL_VERSION = '1.1.2';
+    const SETTINGS_KEY = 'oscalPoam';
+    const RFC4122 = 'http://ietf.org/rfc/rfc4122';
+    const CAT_LABELS = { high: 'CAT I', medium: 'CAT II', low: 'CAT III' };
+    const FAMILIES = ['AC', 'AT', 'AU', 'CA', 'CM', 'CP', 'IA', 'IR', 'MA', 'MP', 'PE', 'PL', 'PM', 'PS', 'PT', 'RA', 'SA', 'SC', 'SI', 'SR'];
+
+    function generateUuid() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // OSCAL date-time-with-timezone, or '' for a missing or unreadable date
+    function toDateTime(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+
+    // OSCAL arrays must not be empty and strings must not be blank, so both are left out
+    function compact(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+            value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+        ));
+    }
+
+    // POAM nistControls are an array (wizard) or a comma separated string (edit form)
+    function poamControls(poam) {
+        const list = Array.isArray(poam.nistControls) ? poam.nistControls : String(poam.nistControls || '').split(/[;,]/);
+        return Array.from(new Set(list.map(ctrl => String(ctrl).trim().toUpperCase()).filter(Boolean)));
+    }
+
+    // 'AC-2' -> 'ac-2_smt', 'AC-2(4)' -> 'ac-2.4_smt', 'CM-6 B' -> 'cm-6_smt.b'; '' for anything else
+    function toStatementId(ctrl) {
+        const match = String(ctrl).trim().match(/^([A-Z]{2})-0*(\d+)(?:\s*\(\s*0*(\d+)\s*\))?(?:\s+([A-Z0-9]+))?$/i);
+        if (!match || !FAMILIES.includes(match[1].toUpperCase())) return '';
+        const [, family, number, enhancement, item] = match;
+        return `${family.toLowerCase()}-${number}${enhancement ? `.${enhancement}` : ''}_smt${item ? `.${item.toLowerCase()}` : ''}`;
+    }
+
+    function vulnKey(vuln) {
+        return [vuln.stigName || '', vuln.vulnId || vuln.ruleId || vuln.id || ''].join('|');
+    }
+
+    function vulnHosts(vuln) {
+        if (Array.isArray(vuln.devicesAffected) && vuln.devicesAffected.length > 0) return vuln.devicesAffected;
+        const host = vuln.hostName || vuln.hostFqdn || vuln.hostIp;
+        return host ? [host] : [];
+    }
+
+    // A POAM's vulnerabilities once each (the wizard stores a copy per selected control), with their hosts merged
+    function poamFindings(poam) {
+        const byKey = new Map();
+        (poam.vulnerabilities || []).forEach(vuln => {
+            const key = vulnKey(vuln);
+            const held = byKey.get(key) || { key, vuln, hosts: new Set(), controls: new Set() };
+            vulnHosts(vuln).forEach(host => held.hosts.add(host));
+            (vuln.nistControls || []).forEach(ctrl => held.controls.add(String(ctrl).toUpperCase()));
+            byKey.set(key, held);
+        });
+        return Array.from(byKey.values());
+    }
+
+    function poamMilestones(poam, milestones) {
+        return milestones.filter(milestone => String(milestone.poamId) === String(poam.id));
+    }
+
+    /*
+     * Gives every POAM, milestone, finding and control its UUID if it has none yet.
+     * Returns new { poams, milestones, state, assigned }; assigned counts the UUIDs created, so the caller only
+     * saves when something changed.
+     */
+    function assignUuids(poams, milestones, settings) {
+        let assigned = 0;
+        const uuid = existing => {
+            if (existing) return existing;
+            assigned++;
+            return generateUuid();
+        };
+
+        const state = {
+            documentUuid: uuid(settings?.documentUuid),
+            systemUuid: uuid(settings?.systemUuid),
+            version: settings?.version || 0,
+            inventory: { ...(settings?.inventory || {}) }
+        };
+
+        const nextPoams = poams.map(poam => {
+            const held = poam.oscalUuids || {};
+            const observations = { ...(held.observations || {}) };
+            const findings = { ...(held.findings || {}) };
+            poamFindings(poam).forEach(finding => {
+                observations[finding.key] = uuid(observations[finding.key]);
+                finding.hosts.forEach(host => {
+                    state.inventory[host] = uuid(state.inventory[host]);
+                });
+            });
+            poamControls(poam).filter(toStatementId).forEach(ctrl => {
+                findings[ctrl] = uuid(findings[ctrl]);
+            });
+            return {
+                ...poam,
+                oscalUuids: {
+                    poamItem: uuid(held.poamItem),
+                    risk: uuid(held.risk),
+                    remediation: uuid(held.remediation),
+                    observations,
+                    findings
+                }
+            };
+        });
+
+        const nextMilestones = milestones.map(milestone => ({ ...milestone, oscalUuid: uuid(milestone.oscalUuid) }));
+        return { poams: nextPoams, milestones: nextMilestones, state, assigned };
+    }
+
+    // POAM status -> OSCAL risk status
+    function riskStatus(status) {
+        switch (String(status || 'open').toLowerCase()) {
+            case 'completed':
+            case 'cancelled':
+                return 'closed';
+            case 'in-progress':
+                return 'remediating';
+            case 'on-hold':
+                return 'investigating';
+            default:
+                return 'open';
+        }
+    }
+
+    function isClosed(poam) {
+        return riskStatus(poam.status) === 'closed';
+    }
+
+    function describeVuln(vuln) {
+        const severity = String(vuln.severityOverride || vuln.severity || '').toLowerCase();
+        return [
+            vuln.stigName,
+            vuln.ruleId ? `Rule ${vuln.ruleId}` : '',
+            vuln.status ? `Status: ${vuln.status}` : '',
+            severity ? `Severity: ${CAT_LABELS[severity] || severity}` : ''
+        ].filter(Boolean).join('. ') || 'STIG finding';
+    }
+
+    function buildObservation(poam, finding, state) {
+        const vuln = finding.vuln;
+        return compact({
+            uuid: poam.oscalUuids.observations[finding.key],
+            title: [vuln.vulnId, vuln.title].filter(Boolean).join(': ') || finding.key,
+            description: describeVuln(vuln),
+            methods: ['TEST'],
+            types: ['finding'],
+            subjects: Array.from(finding.hosts).map(host => ({
+                'subject-uuid': state.inventory[host],
+                type: 'inventory-item',
+                title: host
+            })),
+            collected: toDateTime(vuln.exportedAt) || toDateTime(poam.createdAt) || new Date().toISOString(),
+            remarks: vuln.findingDetails || ''
+        });
+    }
+
+    function buildTask(milestone) {
+        const due = toDateTime(milestone.dueDate);
+        return compact({
+            uuid: milestone.oscalUuid,
+            type: 'milestone',
+            title: milestone.title || 'Milestone',
+            description: milestone.description || milestone.notes || '',
+            timing: due ? { 'on-date': { date: due } } : undefined,
+            remarks: `Status: ${milestone.status || 'pending'}`
+        });
+    }
+
+    function buildRisk(poam, milestones, observationUuids) {
+        const ids = poam.oscalUuids;
+        const closed = isClosed(poam);
+        return compact({
+            uuid: ids.risk,
+            title: poam.title || 'Untitled POAM',
+            description: poam.description || poam.title || 'Untitled POAM',
+            statement: poam.description || poam.title || 'Untitled POAM',
+            status: riskStatus(poam.status),
+            deadline: toDateTime(poam.dueDate),
+            remediations: [compact({
+                uuid: ids.remediation,
+                lifecycle: closed ? 'completed' : 'planned',
+                title: `Remediate: ${poam.title || 'Untitled POAM'}`,
+                description: [poam.assignee ? `Assigned to ${poam.assignee}` : '', poam.priority ? `Priority: ${poam.priority}` : '']
+                    .filter(Boolean).join('. ') || 'Planned remediation',
+                tasks: milestones.map(buildTask)
+            })],
+            'related-observations': observationUuids.map(uuid => ({ 'observation-uuid': uuid }))
+        });
+    }
+
+    function buildFinding(poam, ctrl, findings) {
+        const observations = findings
+            .filter(finding => finding.controls.has(ctrl))
+            .map(finding => ({ 'observation-uuid': poam.oscalUuids.observations[finding.key] }));
+        return compact({
+            uuid: poam.oscalUuids.findings[ctrl],
+            title: `${ctrl}: ${poam.title || 'Untitled POAM'}`,
+            description: window.ControlCatalog ? ControlCatalog.describe(ctrl) : ctrl,
+            target: {
+                type: 'statement-id',
+                'target-id': toStatementId(ctrl),
+                status: { state: isClosed(poam) ? 'satisfied' : 'not-satisfied' }
+            },
+            'related-observations': observations,
+            'related-risks': [{ 'risk-uuid': poam.oscalUuids.risk }]
+        });
+    }
+
+    /*
+     * The OSCAL document for POAMs and milestones that already went through assignUuids.
+     * Controls that are not 800-53 IDs are skipped (they cannot be a statement target) and returned in skipped.
+     */
+    function buildDocument(poams, milestones, state, hosts = {}) {
+        const observations = [];
+        const risks = [];
+        const findings = [];
+        const poamItems = [];
+        const skipped = new Set();
+
+        poams.forEach(poam => {
+            const ids = poam.oscalUuids;
+            const vulnFindings = poamFindings(poam);
+            const observationUuids = vulnFindings.map(finding => ids.observations[finding.key]);
+            vulnFindings.forEach(finding => observations.push(buildObservation(poam, finding, state)));
+            risks.push(buildRisk(poam, poamMilestones(poam, milestones), observationUuids));
+
+            const findingUuids = [];
+            poamControls(poam).forEach(ctrl => {
+                if (!toStatementId(ctrl)) {
+                    skipped.add(ctrl);
+                    return;
+                }
+                findings.push(buildFinding(poam, ctrl, vulnFindings));
+                findingUuids.push(ids.findings[ctrl]);
+            });
+
+            poamItems.push(compact({
+                uuid: ids.poamItem,
+                title: poam.title || 'Untitled POAM',
+                description: poam.description || poam.title || 'Untitled POAM',
+                'related-findings': findingUuids.map(uuid => ({ 'finding-uuid': uuid })),
+                'related-observations': observationUuids.map(uuid => ({ 'observation-uuid': uuid })),
+                'related-risks': [{ 'risk-uuid': ids.risk }]
+            }));
+        });
+
+        const inventoryItems = Object.entries(state.inventory)
+            .filter(([host]) => observations.some(observation => (observation.subjects || []).some(subject => subject.title === host)))
+            .map(([host, uuid]) => {
+                const details = hosts[host] || {};
+                return compact({
+                    uuid,
+                    description: host,
+                    props: [
+                        details.ip ? { name: 'ipv4-address', value: details.ip } : null,
+                        details.fqdn ? { name: 'fqdn', value: details.fqdn } : null,
+                        details.mac ? { name: 'mac-address', value: details.mac } : null
+                    ].filter(Boolean)
+                });
+            });
+
+        const oscal = {
+            'plan-of-action-and-milestones': compact({
+                uuid: state.documentUuid,
+                metadata: {
+                    title: 'Plan of Action and Milestones',
+                    'last-modified': new Date().toISOString(),
+                    version: String(state.version),
+                    'oscal-version': OSCAL_VERSION
+                },
+                'system-id': { 'identifier-type': RFC4122, id: state.systemUuid },
+                'local-definitions': inventoryItems.length > 0 ? { 'inventory-items': inventoryItems } : undefined,
+                observations,
+                risks,
+                findings,
+                'poam-items': poamItems
+            })
+        };
+        return { document: oscal, skipped: Array.from(skipped) };
+    }
+
+    // Host IP / FQDN / MAC from single-host vulnerabilities, for the inventory item props
+    function collectHostDetails(poams) {
+        const hosts = {};
+        poams.forEach(poam => (poam.vulnerabilities || []).forEach(vuln => {
+            const host = vuln.hostName || vuln.hostFqdn || vuln.hostIp;
+            if (!host || (Array.isArray(vuln.devicesAffected) && vuln.devicesAffected.length > 1)) return;
+            hosts[host] = {
+                ip: hosts[host]?.ip || (/^\d{1,3}(\.\d{1,3}){3}$/.test(vuln.hostIp || '') ? vuln.hostIp : ''),
+                fqdn: hosts[host]?.fqdn || vuln.hostFqdn || '',
+                mac: hosts[host]?.mac || vuln.hostMac || ''
+            };
+        }));
+        return hosts;
+    }
+
+    /*
+     * Full export: assigns missing UUIDs, bumps the document version and builds the document.
+     * Returns { document, poams, milestones, assigned, skipped }; the caller saves poams / milestones when assigned > 0.
+     */
+    function exportPoams(poams, milestones) {
+        if (!poams || poams.length === 0) {
+            throw new Error('There are no POAMs to export');
+        }
+        const prepared = assignUuids(poams, milestones || [], AppSettings.get(SETTINGS_KEY));
+        prepared.state.version += 1;
+        AppSettings.set(SETTINGS_KEY, prepared.state);
+        const { document, skipped } = buildDocument(prepared.poams, prepared.milestones, prepared.state, collectHostDetails(prepared.poams));
+        return { document, poams: prepared.poams, milestones: prepared.milestones, assigned: prepared.assigned, skipped };
+    }
+
+    // Public API
+    return {
+        OSCAL_VERSION,
+        toStatementId,
+        assignUuids,
+        buildDocument,
+        exportPoams
+    };
+})();
+
+// Make available globally
+window.OscalPoam = OscalPoam;
@@ -0,0 +1,29 @@
+/* Page Utilities Module
+   - Helpers shared by the page modules and panels
+   - escapeHtml: makes text safe for HTML content and double-quoted attribute values
+   - getDataStore: the page's DataStore, or an error when the page does not load data-store.js
+*/
+
+const PageUtils = (() => {
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"]/g, c => HTML_ESCAPES[c]);
+    }
+
+    function getDataStore() {
+        if (!window.DataStore) {
+            throw new Error('DataStore is not available on this page');
+        }
+        return window.DataStore;
+    }
+
+    // Public API
+    return {
+        escapeHtml,
+        getDataStore
+    };
+})();
+
+// Make available globally
+window.PageUtils = PageUtils;
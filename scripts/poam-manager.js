@@ -3,6 +3,9 @@
    - Manages milestones within POAMs
    - Integrates with DataManager for JSON file persistence
    - Provides UI interactions for POAM management
+   - Shows NIST control titles and baseline membership from the ControlCatalog while editing
+   - Offers a one-time migration of stored POAMs from Rev 4 to Rev 5 control IDs (see ControlCrosswalk)
+   - Exports POAMs as an OSCAL POA&M document with UUIDs kept across exports (see OscalPoam)
 */
 
 class POAMManager {
@@ -12,6 +15,7 @@ class POAMManager {
         this.currentPOAMs = [];
         this.currentMilestones = [];
         this.editingPOAM = null;
+        this.controlMigrationPlan = [];
 
         // Filtering and sorting state
         this.filteredPOAMs = [];
@@ -42,6 +46,15 @@ class POAMManager {
             });
         }
 
+        // Control titles under the edit form's NIST Controls field
+        const nistInput = document.getElementById('edit-poam-nist');
+        if (nistInput) {
+            nistInput.addEventListener('input', (e) => this.renderControlInfo(e.target.value));
+        }
+        if (window.ControlCatalog) {
+            ControlCatalog.load().catch(error => console.warn('[POAMManager] NIST control catalog not available:', error));
+        }
+
         // Export functionality
         const exportBtn = document.getElementById('export-btn');
         if (exportBtn) {
@@ -91,6 +104,7 @@ class POAMManager {
             this.populateFilterOptions();
             this.applyFiltersAndSort(); // This will call renderPOAMs
             this.renderMilestones();
+            await this.checkControlMigration();
 
         } catch (error) {
             console.error('Failed to load POAM data:', error);
@@ -407,6 +421,7 @@ class POAMManager {
         document.getElementById('edit-poam-due').value = poam.dueDate ? new Date(poam.dueDate).toISOString().split('T')[0] : '';
         document.getElementById('edit-poam-progress').value = poam.progress || 0;
         document.getElementById('edit-poam-nist').value = poam.nistControls || '';
+        this.renderControlInfo(poam.nistControls || '');
 
         // Show modal
         document.getElementById('editPOAMModal').style.display = 'block';
@@ -417,6 +432,106 @@ class POAMManager {
         this.currentEditingPOAM = null;
     }
 
+    // Title, baseline membership and statement of each control in the edit form's NIST Controls field
+    renderControlInfo(value) {
+        const info = document.getElementById('edit-poam-nist-info');
+        if (!info) return;
+        if (!window.ControlCatalog || !ControlCatalog.hasCatalog()) {
+            info.innerHTML = '';
+            return;
+        }
+        const escape = PageUtils.escapeHtml;
+        const baseline = ControlCatalog.getSelectedBaseline();
+        const controls = String(value || '').split(/[;,]/).map(ctrl => ctrl.trim()).filter(Boolean);
+        info.innerHTML = controls.map(ctrl => {
+            const record = ControlCatalog.lookup(ctrl);
+            if (!record) return `<div><strong>${escape(ctrl)}</strong>: not in the loaded catalog</div>`;
+            const outside = ControlCatalog.inBaseline(ctrl) === false ? ` <span class="baseline-flag">Outside ${baseline.toLowerCase()} baseline</span>` : '';
+            return `<div title="${escape(record.itemStatement || record.statement)}"><strong>${escape(ctrl)}</strong>: ${escape(record.title)}${record.withdrawn ? ' (withdrawn)' : ''}${outside}</div>`;
+        }).join('');
+    }
+
+    // Shows the migration banner while stored POAMs carry Rev 4 controls the crosswalk changes and the migration has not run
+    async checkControlMigration() {
+        const banner = document.getElementById('controlMigrationBanner');
+        if (!banner || !window.ControlCrosswalk) return;
+
+        try {
+            await ControlCrosswalk.load();
+        } catch (error) {
+            console.warn('[POAMManager] Control crosswalk not available:', error);
+            return;
+        }
+        const done = window.AppSettings && AppSettings.get('poamControlMigration');
+        this.controlMigrationPlan = done || !ControlCrosswalk.hasCrosswalk() ? [] : ControlCrosswalk.planPoamMigration(this.currentPOAMs);
+        banner.hidden = this.controlMigrationPlan.length === 0;
+        if (banner.hidden) return;
+
+        const withdrawn = this.controlMigrationPlan.filter(item => item.changes.some(change => change.status === 'withdrawn')).length;
+        document.getElementById('controlMigrationText').textContent =
+            `${this.controlMigrationPlan.length} POAM(s) still use NIST SP 800-53 Rev 4 control IDs${withdrawn > 0 ? ` (${withdrawn} with withdrawn controls)` : ''}. Review the one-time conversion to Rev 5.`;
+    }
+
+    showControlMigrationReview() {
+        const tbody = document.getElementById('controlMigrationBody');
+        if (!tbody || this.controlMigrationPlan.length === 0) return;
+
+        tbody.innerHTML = this.controlMigrationPlan.map(({ poam, before, after, changes }) => `
+            <tr>
+                <td>${PageUtils.escapeHtml(poam.title)}</td>
+                <td>${PageUtils.escapeHtml(before.join(', '))}</td>
+                <td><input type="text" class="form-control" data-migration-poam="${PageUtils.escapeHtml(poam.id)}" value="${PageUtils.escapeHtml(after.join(', '))}"></td>
+                <td>${changes.map(change => `<div class="${change.status === 'withdrawn' ? 'crosswalk-withdrawn' : ''}">${PageUtils.escapeHtml(change.from)}: ${PageUtils.escapeHtml(ControlCrosswalk.describeChange(change))}</div>`).join('')}</td>
+            </tr>
+        `).join('');
+        document.getElementById('controlMigrationModal').style.display = 'block';
+    }
+
+    closeControlMigrationModal() {
+        document.getElementById('controlMigrationModal').style.display = 'none';
+    }
+
+    // Hides the banner for this visit; it returns until the migration is applied
+    dismissControlMigration() {
+        document.getElementById('controlMigrationBanner').hidden = true;
+    }
+
+    // Writes the reviewed Rev 5 controls to each POAM and records that the one-time migration ran
+    async applyControlMigration() {
+        try {
+            const migratedAt = new Date().toISOString();
+            const reviewed = new Map();
+            document.querySelectorAll('[data-migration-poam]').forEach(input => {
+                reviewed.set(input.dataset.migrationPoam, input.value.split(/[;,]/).map(ctrl => ctrl.trim()).filter(Boolean));
+            });
+
+            let migrated = 0;
+            this.currentPOAMs = this.currentPOAMs.map(poam => {
+                const after = reviewed.get(String(poam.id));
+                if (!after) return poam;
+                migrated++;
+                return ControlCrosswalk.migratePoam(poam, after, migratedAt);
+            });
+
+            if (this.dataManager) {
+                await this.dataManager.compilePoamData(this.currentPOAMs, this.currentMilestones);
+            }
+            AppSettings.set('poamControlMigration', { migratedAt, poams: migrated });
+
+            this.closeControlMigrationModal();
+            this.dismissControlMigration();
+            if (this.statusMessages) {
+                this.statusMessages.showSuccess(`Converted ${migrated} POAM(s) to NIST SP 800-53 Rev 5 controls`);
+            }
+            await this.loadData();
+        } catch (error) {
+            console.error('[POAMManager] ❌ Control migration failed:', error);
+            if (this.statusMessages) {
+                this.statusMessages.showError('Control migration failed: ' + error.message);
+            }
+        }
+    }
+
     async saveEditedPOAM() {
         try {
             if (!this.currentEditingPOAM) {
@@ -818,6 +933,38 @@ class POAMManager {
         }
     }
 
+    // OSCAL POA&M JSON; UUIDs given out on the first export are saved so later exports revise the same items
+    async exportOscal() {
+        try {
+            if (!this.dataManager) {
+                throw new Error('Data manager not available');
+            }
+
+            const result = OscalPoam.exportPoams(this.currentPOAMs, this.currentMilestones);
+            if (result.assigned > 0) {
+                this.currentPOAMs = result.poams;
+                this.currentMilestones = result.milestones;
+                await this.dataManager.compilePoamData(this.currentPOAMs, this.currentMilestones);
+            }
+
+            const timestamp = new Date().toISOString().split('T')[0];
+            this.dataManager.downloadDataFile(result.document, `poam-oscal-${timestamp}.json`);
+
+            if (this.statusMessages) {
+                const version = result.document['plan-of-action-and-milestones'].metadata.version;
+                this.statusMessages.showSuccess(`Exported ${this.currentPOAMs.length} POAM(s) as OSCAL POA&M version ${version}` +
+                    (result.skipped.length > 0 ? `; skipped controls that are not NIST SP 800-53 IDs: ${result.skipped.join(', ')}` : ''));
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('[POAMManager] ❌ OSCAL export failed:', error);
+            if (this.statusMessages) {
+                this.statusMessages.showError('OSCAL export failed: ' + error.message);
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
     // Import POAM data from file
     async importData(file, mergeStrategy = 'replace') {
         try {
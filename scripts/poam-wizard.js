@@ -30,6 +30,24 @@ class POAMWizard {
         this.exportImportManager = new ExportImportManager();
         this.dataManager = AppState?.state?.dataManager;
 
+        // Control titles, statements and baseline membership for the control cards
+        if (window.ControlCatalog) {
+            try {
+                await ControlCatalog.load();
+            } catch (error) {
+                console.warn('[POAMWizard] NIST control catalog not available:', error);
+            }
+        }
+
+        // Inherited controls are the common control provider's to remediate, not this system's
+        if (window.ControlDesignations) {
+            try {
+                await ControlDesignations.load();
+            } catch (error) {
+                console.warn('[POAMWizard] Control designations not available:', error);
+            }
+        }
+
         // Initialize DOM elements
         this.initializeElements();
 
@@ -263,20 +281,27 @@ class POAMWizard {
         const eligibleVulns = this.wizardData.vulnerabilities.filter(v => v.availableForPoam).length;
         console.log(`[POAMWizard] Processing ${totalVulns} total vulnerabilities, ${eligibleVulns} eligible for POAM`);
 
+        // Collapse per-host copies of a rule into one finding so other hosts' devices are kept
+        const vulnerabilities = window.FindingConsolidator
+            ? FindingConsolidator.consolidateVulnerabilities(this.wizardData.vulnerabilities)
+            : this.wizardData.vulnerabilities;
+
         // Group vulnerabilities by NIST controls and deduplicate
-        this.wizardData.vulnerabilities.forEach(vuln => {
+        vulnerabilities.forEach(vuln => {
             if (vuln.availableForPoam && vuln.nistControls && Array.isArray(vuln.nistControls)) {
                 vuln.nistControls.forEach(control => {
                     if (!controlsMap.has(control)) {
                         controlsMap.set(control, {
                             name: control,
                             family: this.extractControlFamily(control),
+                            revisions: new Set(),
                             vulnerabilities: []
                         });
                     }
 
                     // Check for duplicates by vulnId before adding
                     const controlData = controlsMap.get(control);
+                    if (vuln.nistRevision) controlData.revisions.add(vuln.nistRevision);
                     const isDuplicate = controlData.vulnerabilities.some(existing => existing.vulnId === vuln.vulnId);
 
                     if (!isDuplicate) {
@@ -383,13 +408,18 @@ class POAMWizard {
 
         sortedControls.forEach(([controlName, controlData]) => {
             const card = document.createElement('div');
-            card.className = 'control-card';
+            const inherited = window.ControlDesignations && ControlDesignations.isInherited(controlName);
+            card.className = `control-card${inherited ? ' control-inherited' : ''}`;
             card.innerHTML = `
                 <div class="control-header">
                     <input type="checkbox" class="control-checkbox" data-control="${controlName}">
                     <div class="control-name">${controlName}</div>
                 </div>
-                <div class="control-family">Family: ${controlData.family}</div>
+                ${this.renderControlCatalogInfo(controlName)}
+                ${this.renderControlDesignation(controlName)}
+                <div class="control-family">Family: ${controlData.family}${controlData.revisions.size > 0
+                    ? ` · NIST SP 800-53 ${Array.from(controlData.revisions).sort().map(revision => `Rev ${revision}`).join(' / ')}`
+                    : ''}</div>
                 <div class="control-vuln-count">${controlData.vulnerabilities.length} vulnerabilities</div>
             `;
 
@@ -414,6 +444,28 @@ class POAMWizard {
         this.updateSelectedControlsCount();
     }
 
+    // Title and statement from the OSCAL catalog, and whether the control is in the system baseline
+    renderControlCatalogInfo(controlName) {
+        if (!window.ControlCatalog) return '';
+        const record = ControlCatalog.lookup(controlName);
+        const inBaseline = ControlCatalog.inBaseline(controlName);
+        const statement = record ? (record.itemStatement || record.statement) : '';
+        return `
+                ${record ? `<div class="control-title" title="${PageUtils.escapeHtml(statement)}">${PageUtils.escapeHtml(record.title)}${record.withdrawn ? ' (withdrawn)' : ''}</div>` : ''}
+                ${inBaseline === false ? `<div class="baseline-flag">Outside ${ControlCatalog.getSelectedBaseline().toLowerCase()} baseline</div>` : ''}
+        `;
+    }
+
+    // Inherited and hybrid controls name their provider; inherited ones are left out of Select All
+    renderControlDesignation(controlName) {
+        if (!window.ControlDesignations) return '';
+        const description = ControlDesignations.describe(controlName);
+        if (!description) return '';
+        return ControlDesignations.isInherited(controlName)
+            ? `<div class="inheritance-flag" title="Findings under this control are the provider's responsibility">${PageUtils.escapeHtml(description)}</div>`
+            : `<div class="control-designation">${PageUtils.escapeHtml(description)}</div>`;
+    }
+
     toggleControlSelection(controlName, isSelected) {
         const card = document.querySelector(`[data-control="${controlName}"]`).closest('.control-card');
 
@@ -432,7 +484,7 @@ class POAMWizard {
     }
 
     selectAllControls() {
-        document.querySelectorAll('.control-checkbox').forEach(checkbox => {
+        document.querySelectorAll('.control-card:not(.control-inherited) .control-checkbox').forEach(checkbox => {
             checkbox.checked = true;
             this.toggleControlSelection(checkbox.dataset.control, true);
         });
@@ -488,11 +540,13 @@ class POAMWizard {
                                data-control="${controlName}" data-vuln="${vuln.vulnId}">
                         <div class="vulnerability-id">${vuln.vulnId}</div>
                         <div class="vulnerability-title">${vuln.title}</div>
-                        <div class="vulnerability-severity severity-${vuln.severity}">${vuln.severity}</div>
+                        <div class="vulnerability-severity severity-${vuln.severityOverride || vuln.severity}">${vuln.severityOverride || vuln.severity}</div>
                     </div>
                     <div class="vulnerability-details">
                         <strong>STIG:</strong> ${vuln.stigName}<br>
                         <strong>Status:</strong> ${vuln.status}<br>
+                        ${vuln.severityOverride ? `<strong>Severity override:</strong> ${vuln.severity} → ${vuln.severityOverride}${vuln.severityJustification ? ` (${vuln.severityJustification})` : ''}<br>` : ''}
+                        ${vuln.consolidated ? `<strong>Hosts:</strong> ${vuln.openCount} of ${vuln.totalCount} open${vuln.devicesAffected.length ? ` (${vuln.devicesAffected.join(', ')})` : ''}<br>` : ''}
                         <strong>CCIs:</strong> ${(vuln.ccis || []).join(', ')}
                     </div>
                 `;
@@ -734,6 +788,7 @@ class POAMWizard {
             <div class="summary-item"><span>Due Date:</span><span>${this.elements.poamDueDate.value || 'Not set'}</span></div>
             <div class="summary-item"><span>Priority:</span><span>${this.elements.poamPriority.value}</span></div>
             <div class="summary-item"><span>Total Vulnerabilities:</span><span>${totalVulns}</span></div>
+            <div class="summary-item"><span>Devices Affected:</span><span>${this.collectDevicesAffected().join(', ') || 'None recorded'}</span></div>
             <div class="summary-item"><span>Total Milestones:</span><span>${this.wizardData.generatedMilestones.length}</span></div>
         `;
 
@@ -754,6 +809,22 @@ class POAMWizard {
             `).join('');
     }
 
+    // Distinct hosts across all selected vulnerabilities
+    collectDevicesAffected() {
+        const devices = new Set();
+        this.wizardData.selectedVulnerabilities.forEach(vulns => {
+            vulns.forEach(vuln => {
+                if (Array.isArray(vuln.devicesAffected)) {
+                    vuln.devicesAffected.forEach(device => devices.add(device));
+                    return;
+                }
+                const device = vuln.hostName || vuln.hostFqdn || vuln.hostIp;
+                if (device) devices.add(device);
+            });
+        });
+        return Array.from(devices).sort();
+    }
+
     updateNavigationButtons() {
         // Previous button
         this.elements.prevButton.style.display = this.currentStep > 1 ? 'block' : 'none';
@@ -827,7 +898,11 @@ class POAMWizard {
 
                 // NIST controls and vulnerabilities
                 nistControls: Array.from(this.wizardData.selectedControls),
+                nistRevision: Array.from(new Set(
+                    Array.from(this.wizardData.selectedVulnerabilities.values()).flat().map(vuln => vuln.nistRevision).filter(Boolean)
+                )).join(', '),
                 vulnerabilities: Array.from(this.wizardData.selectedVulnerabilities.values()).flat(),
+                devicesAffected: this.collectDevicesAffected(),
                 milestones: this.wizardData.generatedMilestones,
 
                 // Metadata
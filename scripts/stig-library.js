@@ -0,0 +1,206 @@
+/* STIG Library Module
+   - Persistent library of DISA STIG benchmarks stored in IndexedDB through DataStore
+   - One record per STIG ID, version and release, holding the template rows built by FileImporter.parseXccdfBenchmark
+   - Compares loaded checklists (stig_id / stig_version / stig_release) against the newest release held
+   - Extracts benchmarks from DISA STIG ZIPs, including library ZIPs that nest one ZIP per STIG
+*/
+
+const StigLibrary = (() => {
+    const STORE = 'stigLibrary';
+
+    // "Release: 3 Benchmark Date: 24 Jul 2024" -> { release: 3, benchmarkDate: '24 Jul 2024' }
+    function parseReleaseInfo(releaseInfo) {
+        const text = String(releaseInfo || '');
+        const release = text.match(/Release:\s*(\d+)/i);
+        const date = text.match(/Benchmark Date:\s*(.+)$/i);
+        return {
+            release: release ? parseInt(release[1], 10) : null,
+            benchmarkDate: date ? date[1].trim() : ''
+        };
+    }
+
+    function parseVersion(version) {
+        const match = String(version || '').match(/\d+/);
+        return match ? parseInt(match[0], 10) : null;
+    }
+
+    // Negative when a is older than b; null when either side carries no version information
+    function compareReleases(a, b) {
+        if (a.version === null || b.version === null) return null;
+        if (a.version !== b.version) return a.version - b.version;
+        if (a.release === null || b.release === null) return a.release === b.release ? 0 : null;
+        return a.release - b.release;
+    }
+
+    function formatRelease({ version, release }) {
+        if (version === null) return 'Unknown';
+        return `V${version}${release !== null ? `R${release}` : ''}`;
+    }
+
+    function releaseOf(stigVersion, stigRelease) {
+        return { version: parseVersion(stigVersion), ...parseReleaseInfo(stigRelease) };
+    }
+
+    // Library record for a parsed benchmark { stigInfo, rows }
+    function toRecord(fileName, { stigInfo, rows }) {
+        const info = releaseOf(stigInfo.version, stigInfo.releaseinfo);
+        const severityCounts = { high: 0, medium: 0, low: 0 };
+        rows.forEach(row => {
+            if (severityCounts[row.severity] !== undefined) severityCounts[row.severity]++;
+        });
+
+        return {
+            libraryKey: [stigInfo.stigid || fileName, info.version ?? '', info.release ?? ''].join('|'),
+            stigId: stigInfo.stigid || '',
+            title: stigInfo.title || stigInfo.stigid || fileName,
+            version: info.version,
+            release: info.release,
+            releaseInfo: stigInfo.releaseinfo || '',
+            benchmarkDate: stigInfo.benchmarkDate || info.benchmarkDate,
+            fileName,
+            ruleCount: rows.length,
+            severityCounts,
+            stigInfo,
+            rows
+        };
+    }
+
+    // [{ stigId, title, versions (newest first), latest }]
+    function groupByStig(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            const key = record.stigId || record.title;
+            if (!groups.has(key)) groups.set(key, { stigId: record.stigId, title: record.title, versions: [] });
+            groups.get(key).versions.push(record);
+        });
+
+        return Array.from(groups.values())
+            .map(group => {
+                group.versions.sort((a, b) => (compareReleases(b, a) ?? 0));
+                group.latest = group.versions[0];
+                group.title = group.latest.title;
+                return group;
+            })
+            .sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    /*
+     * Loaded checklists against the library, one entry per source file, host and STIG.
+     * status: 'behind' | 'current' | 'ahead' | 'unknown_version' | 'not_in_library'
+     */
+    function findOutdated(rows, records) {
+        const latestById = new Map(groupByStig(records).map(group => [group.stigId, group.latest]));
+        const checklists = new Map();
+
+        rows.forEach(row => {
+            if (!row.stig_id) return;
+            const host = FileImporter.getAssetLabel(row);
+            const key = [row._sourceFile || '', host, row.stig_id, row.stig_version, row.stig_release].join('|');
+            if (!checklists.has(key)) {
+                checklists.set(key, {
+                    file: row._sourceFile || '',
+                    host,
+                    stigId: row.stig_id,
+                    title: row.stig_name || row.stig_id,
+                    loaded: releaseOf(row.stig_version, row.stig_release),
+                    ruleCount: 0
+                });
+            }
+            checklists.get(key).ruleCount++;
+        });
+
+        return Array.from(checklists.values()).map(entry => {
+            const latest = latestById.get(entry.stigId);
+            let status = 'not_in_library';
+            if (latest) {
+                const comparison = compareReleases(entry.loaded, latest);
+                status = comparison === null ? 'unknown_version'
+                    : comparison < 0 ? 'behind'
+                    : comparison > 0 ? 'ahead'
+                    : 'current';
+            }
+            return {
+                ...entry,
+                loadedRelease: formatRelease(entry.loaded),
+                latestRelease: latest ? formatRelease(latest) : '',
+                latestDate: latest?.benchmarkDate || '',
+                latestId: latest?.id ?? null,
+                status
+            };
+        }).sort((a, b) => a.title.localeCompare(b.title) || a.file.localeCompare(b.file));
+    }
+
+    function outdatedToTable(report) {
+        const table = [['STIG', 'STIG ID', 'Checklist', 'Host', 'Loaded Release', 'Latest in Library', 'Latest Benchmark Date', 'Rules', 'Status']];
+        report.forEach(entry => {
+            table.push([entry.title, entry.stigId, entry.file, entry.host, entry.loadedRelease,
+                entry.latestRelease, entry.latestDate, entry.ruleCount, entry.status]);
+        });
+        return table;
+    }
+
+    // DISA STIG ZIPs hold the benchmark in a subfolder; library ZIPs nest one ZIP per STIG
+    async function extractBenchmarkFiles(zipFile, depth = 0) {
+        const entries = ZipArchive.readZip(await zipFile.arrayBuffer());
+        const found = [];
+
+        for (const entry of entries) {
+            if (entry.isDirectory || !entry.supported) continue;
+            const lower = entry.name.toLowerCase();
+            if (/xccdf\.xml$/.test(lower)) {
+                found.push(new File([await entry.bytes()], entry.name, { type: 'application/xml' }));
+            } else if (lower.endsWith('.zip') && depth === 0) {
+                const nested = new File([await entry.bytes()], entry.name, { type: 'application/zip' });
+                found.push(...await extractBenchmarkFiles(nested, depth + 1));
+            }
+        }
+
+        // Prefer the manual benchmark when a ZIP also carries SCAP benchmarks for the same STIG
+        const manual = found.filter(file => /manual-xccdf\.xml$/i.test(file.name));
+        return manual.length > 0 ? manual : found;
+    }
+
+    // ---- Persistence (DataStore 'stigLibrary' store) ----
+
+    async function getAll() {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        return await store.read(STORE);
+    }
+
+    // Adds a benchmark, replacing a record already held for the same STIG, version and release
+    async function addBenchmark(fileName, parsed) {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        const record = toRecord(fileName, parsed);
+        const existing = (await store.read(STORE, { index: 'libraryKey', value: record.libraryKey }))[0];
+        if (existing) {
+            return await store.update(STORE, { ...record, id: existing.id, createdAt: existing.createdAt });
+        }
+        return await store.create(STORE, record);
+    }
+
+    async function remove(id) {
+        const store = PageUtils.getDataStore();
+        await store.ready();
+        return await store.delete(STORE, id);
+    }
+
+    // Public API
+    return {
+        parseReleaseInfo,
+        compareReleases,
+        formatRelease,
+        toRecord,
+        groupByStig,
+        findOutdated,
+        outdatedToTable,
+        extractBenchmarkFiles,
+        getAll,
+        addBenchmark,
+        remove
+    };
+})();
+
+// Make available globally
+window.StigLibrary = StigLibrary;
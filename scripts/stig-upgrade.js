@@ -0,0 +1,263 @@
+/* STIG Upgrade Module
+   - Carries review data forward when a new STIG release replaces an old one
+   - Matches rules by group_id, rule_id without revision suffix, rule_version and legacy_ids
+   - Copies status, finding details, comments and severity overrides onto the new release
+   - Flags rules whose check or fix text changed for re-review and reports what could not be carried
+*/
+
+const StigUpgrade = (() => {
+    // Review fields copied from the old checklist onto the matched new rule
+    const CARRIED_FIELDS = ['status', 'finding_details', 'comments', 'severity_override', 'severity_justification'];
+    const ASSET_FIELDS = ['host_name', 'host_ip', 'host_mac', 'host_fqdn', 'asset_role', 'tech_area'];
+
+    // Match strategies, strongest first
+    const MATCH_STRATEGIES = ['group_id', 'rule_id', 'rule_version', 'legacy_id'];
+
+    // SV-254238r848530_rule -> SV-254238
+    function stripRuleRevision(ruleId) {
+        return String(ruleId || '').replace(/_rule$/i, '').replace(/r\d+$/i, '');
+    }
+
+    function normalizeText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function hostKey(row) {
+        return (row.host_name || row.host_fqdn || row.host_ip || '').toLowerCase();
+    }
+
+    function stigKey(row) {
+        return (row.stig_id || row.stig_name || '').toLowerCase();
+    }
+
+    function legacyIdsOf(row) {
+        return Array.isArray(row.legacy_ids) ? row.legacy_ids.filter(Boolean) : [];
+    }
+
+    function addToIndex(index, key, row) {
+        if (!key) return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(row);
+    }
+
+    // Index old rows once per strategy; legacy ids index the old row under every id it has been known by
+    function buildIndexes(oldRows) {
+        const indexes = {
+            group_id: new Map(),
+            rule_id: new Map(),
+            rule_version: new Map(),
+            legacy_id: new Map()
+        };
+        oldRows.forEach(row => {
+            addToIndex(indexes.group_id, row.group_id, row);
+            addToIndex(indexes.rule_id, stripRuleRevision(row.rule_id), row);
+            addToIndex(indexes.rule_version, row.rule_version, row);
+            [row.group_id, stripRuleRevision(row.rule_id), ...legacyIdsOf(row).map(stripRuleRevision)]
+                .forEach(id => addToIndex(indexes.legacy_id, id, row));
+        });
+        return indexes;
+    }
+
+    function lookupKeys(newRow, strategy) {
+        switch (strategy) {
+            case 'group_id': return [newRow.group_id];
+            case 'rule_id': return [stripRuleRevision(newRow.rule_id)];
+            case 'rule_version': return [newRow.rule_version];
+            case 'legacy_id': return legacyIdsOf(newRow).map(stripRuleRevision);
+            default: return [];
+        }
+    }
+
+    function findMatch(newRow, indexes, used) {
+        for (const strategy of MATCH_STRATEGIES) {
+            for (const key of lookupKeys(newRow, strategy)) {
+                const candidates = key ? indexes[strategy].get(key) : null;
+                const match = candidates && candidates.find(row => !used.has(row));
+                if (match) return { row: match, matchedBy: strategy };
+            }
+        }
+        return null;
+    }
+
+    function textChanged(oldRow, newRow) {
+        const oldCheck = normalizeText(oldRow.check_content || oldRow.checkContent);
+        const newCheck = normalizeText(newRow.check_content || newRow.checkContent);
+        const oldFix = normalizeText(oldRow.fix_text || oldRow.fixText);
+        const newFix = normalizeText(newRow.fix_text || newRow.fixText);
+        return {
+            check: !!(oldCheck && newCheck && oldCheck !== newCheck),
+            fix: !!(oldFix && newFix && oldFix !== newFix)
+        };
+    }
+
+    function copyAsset(target, source) {
+        ASSET_FIELDS.forEach(field => { target[field] = source[field] || ''; });
+    }
+
+    // Upgrade one host's old rows onto the new release rows
+    function upgradeHost(oldRows, newRows, report) {
+        const indexes = buildIndexes(oldRows);
+        const used = new Set();
+        const host = oldRows[0] ? (oldRows[0].host_name || oldRows[0].host_fqdn || oldRows[0].host_ip || '') : '';
+
+        const upgraded = newRows.map(newRow => {
+            const row = { ...newRow };
+            if (oldRows[0] && !hostKey(newRow)) copyAsset(row, oldRows[0]);
+
+            const match = findMatch(newRow, indexes, used);
+            if (!match) {
+                report.added.push({ host, group_id: row.group_id, rule_id: row.rule_id, rule_title: row.rule_title });
+                return row;
+            }
+
+            used.add(match.row);
+            CARRIED_FIELDS.forEach(field => {
+                if (match.row[field] !== undefined && match.row[field] !== '') row[field] = match.row[field];
+            });
+
+            const changed = textChanged(match.row, newRow);
+            row.needs_rereview = changed.check || changed.fix;
+            row.upgraded_from = { group_id: match.row.group_id, rule_id: match.row.rule_id, matched_by: match.matchedBy };
+
+            report.carried.push({
+                host,
+                group_id: row.group_id,
+                rule_id: row.rule_id,
+                old_group_id: match.row.group_id,
+                old_rule_id: match.row.rule_id,
+                matched_by: match.matchedBy,
+                status: row.status,
+                check_changed: changed.check,
+                fix_changed: changed.fix
+            });
+            return row;
+        });
+
+        oldRows.filter(row => !used.has(row)).forEach(row => {
+            report.notCarried.push({
+                host,
+                group_id: row.group_id,
+                rule_id: row.rule_id,
+                rule_title: row.rule_title,
+                status: row.status,
+                had_review_data: !!(row.finding_details || row.comments || (row.status && row.status !== 'not_reviewed'))
+            });
+        });
+
+        return upgraded;
+    }
+
+    // Loaded STIGs, one entry per STIG ID: [{ key, name, rows }]
+    function loadedStigs(rows) {
+        const byKey = new Map();
+        rows.forEach(row => {
+            const key = stigKey(row);
+            if (!key) return;
+            const held = byKey.get(key) || { key, name: row.stig_name || row.stig_id, rows: 0 };
+            held.rows++;
+            byKey.set(key, held);
+        });
+        return Array.from(byKey.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // STIG key of the loaded checklists the new release replaces, or '' when no loaded STIG has its ID
+    function matchingStig(oldRows, newRows) {
+        const newStigs = new Set(newRows.map(stigKey).filter(Boolean));
+        const match = oldRows.find(row => newStigs.has(stigKey(row)));
+        return match ? stigKey(match) : '';
+    }
+
+    /*
+     * oldRows: rows of the loaded checklists (any number of hosts and STIGs)
+     * newRows: rows of the new release; if they carry no host, they are applied to every old host
+     * oldStig: STIG key of the loaded STIG being upgraded; defaults to the one with the new release's STIG ID.
+     *          Only that STIG's rows are replaced, so a renamed benchmark needs the user to pick it.
+     * Returns { rows, replacedRows, report }
+     */
+    function upgrade(oldRows, newRows, oldStig = '') {
+        const matched = matchingStig(oldRows, newRows);
+        const key = oldStig || matched;
+        const stigNameMatched = key === matched;
+        if (!key) {
+            throw new Error('No loaded checklist has the STIG ID of the new release; choose the loaded STIG being upgraded');
+        }
+        const candidates = oldRows.filter(row => stigKey(row) === key);
+        if (candidates.length === 0) {
+            throw new Error(`No loaded checklist is for STIG "${oldStig}"`);
+        }
+
+        const report = {
+            carried: [],
+            added: [],
+            notCarried: [],
+            oldStig: key,
+            stigNameMatched,
+            generatedAt: new Date().toISOString()
+        };
+
+        // Group old rows by host; new rows are either per-host or a blank release applied to every host
+        const oldByHost = new Map();
+        candidates.forEach(row => addToIndex(oldByHost, hostKey(row) || '_', row));
+        const newHasHosts = newRows.some(row => hostKey(row));
+
+        let rows = [];
+        oldByHost.forEach((hostOldRows, host) => {
+            const hostNewRows = newHasHosts
+                ? newRows.filter(row => (hostKey(row) || '_') === host)
+                : newRows;
+            if (hostNewRows.length === 0) return;
+            rows = rows.concat(upgradeHost(hostOldRows, hostNewRows, report));
+        });
+
+        const replacedRows = new Set(candidates.filter(row => {
+            return !newHasHosts || newRows.some(n => hostKey(n) === hostKey(row));
+        }));
+
+        report.summary = {
+            carried: report.carried.length,
+            needsRereview: report.carried.filter(r => r.check_changed || r.fix_changed).length,
+            added: report.added.length,
+            notCarried: report.notCarried.length,
+            notCarriedWithReviewData: report.notCarried.filter(r => r.had_review_data).length
+        };
+
+        console.log('[StigUpgrade] Upgrade complete:', report.summary);
+        return { rows, replacedRows: Array.from(replacedRows), report };
+    }
+
+    // Flatten an upgrade report for CSV download
+    function reportToTable(report) {
+        const table = [[
+            'Result', 'Host', 'Vuln ID', 'Rule ID', 'Old Vuln ID', 'Old Rule ID',
+            'Matched By', 'Status', 'Needs Re-review', 'Notes'
+        ]];
+
+        report.carried.forEach(r => {
+            const changes = [r.check_changed ? 'check text changed' : '', r.fix_changed ? 'fix text changed' : ''].filter(Boolean);
+            table.push(['Carried forward', r.host, r.group_id, r.rule_id, r.old_group_id, r.old_rule_id,
+                r.matched_by, r.status, changes.length ? 'Yes' : 'No', changes.join('; ')]);
+        });
+        report.added.forEach(r => {
+            table.push(['New rule (no prior review)', r.host, r.group_id, r.rule_id, '', '', '', 'not_reviewed', 'Yes', r.rule_title || '']);
+        });
+        report.notCarried.forEach(r => {
+            table.push(['Not carried (no match in new release)', r.host, '', '', r.group_id, r.rule_id, '', r.status, '',
+                r.had_review_data ? 'Review data lost' : '']);
+        });
+
+        return table;
+    }
+
+    // Public API
+    return {
+        upgrade,
+        loadedStigs,
+        matchingStig,
+        reportToTable,
+        stripRuleRevision,
+        MATCH_STRATEGIES
+    };
+})();
+
+// Make available globally
+window.StigUpgrade = StigUpgrade;
@@ -3,11 +3,25 @@
    - Manages sorting functionality
    - Handles row expansion and interaction
    - Provides filtering and search capabilities
+   - Optional consolidated view (one row per STIG + rule across hosts)
+   - Compare mode showing ChecklistDiff rows with a Change column
+   - "Review this rule" in the expanded row opens the checklist review dialog
+   - Severity shows the override when one is set, flagged with the original STIG severity
+   - NIST controls are tagged with the 800-53 revision their CCI mapping came from
+   - Each NIST control is styled by its mapping source (explicit, CCI, text heuristic)
+   - With the OSCAL catalog loaded, controls show their titles and statements and are flagged when outside the system baseline
+   - CCIs show their CciCatalog definition as a tooltip and in the expanded row; deprecated CCIs are flagged
+   - Controls inherited from (or shared with) a common control provider are marked; findings mapped only to inherited controls are flagged as the provider's responsibility
+   - One column and one filter per loaded framework crosswalk (800-171, CMMC, FedRAMP, ...) from FrameworkCrosswalks
 */
 
 const VulnTable = (() => {
     let currentSort = { key: 'nistControls', dir: 'asc' };
     let allRows = [];
+    let consolidated = false;
+    let consolidatedRows = null; // Cached FindingConsolidator output for allRows
+    let diffRows = null; // ChecklistDiff output while in compare mode
+    let renderedRows = []; // Rows currently in the table, indexed by data-row-index
     let els = {}; // Will be set by init function
 
     function init(elements, rows = []) {
@@ -23,6 +37,7 @@ const VulnTable = (() => {
 
         els = elements;
         allRows = rows;
+        consolidatedRows = null;
         console.log('[VulnTable] ✅ Rows stored in VulnTable, total:', allRows.length);
     }
 
@@ -38,9 +53,32 @@ const VulnTable = (() => {
         } : 'No data');
 
         allRows = rows;
+        consolidatedRows = null;
         console.log('[VulnTable] ✅ Rows stored in VulnTable, total:', allRows.length);
     }
 
+    function setConsolidated(enabled) {
+        consolidated = !!enabled;
+        console.log('[VulnTable] 🧩 Consolidated view', consolidated ? 'enabled' : 'disabled');
+    }
+
+    function setDiffRows(rows) {
+        diffRows = Array.isArray(rows) ? rows : null;
+        const header = document.getElementById('changeColumnHeader');
+        if (header) header.hidden = !diffRows;
+        console.log('[VulnTable] 🔀 Compare mode', diffRows ? `enabled with ${diffRows.length} rows` : 'disabled');
+    }
+
+    // Rows the filters run against: diff rows, raw host rows or one finding per STIG + rule
+    function getSourceRows() {
+        if (diffRows) return diffRows;
+        if (!consolidated) return allRows;
+        if (!consolidatedRows) {
+            consolidatedRows = FindingConsolidator.consolidate(allRows);
+        }
+        return consolidatedRows;
+    }
+
     function sortableNistControl(controlStr) {
         if (!controlStr) return '';
         
@@ -74,8 +112,8 @@ const VulnTable = (() => {
             } else if (key === 'severity') {
                 // Custom severity sorting: critical > high > medium > low > unknown
                 const severityOrder = { critical: 4, high: 3, medium: 2, low: 1, unknown: 0 };
-                av = severityOrder[a.severity] || 0;
-                bv = severityOrder[b.severity] || 0;
+                av = severityOrder[FileImporter.getEffectiveSeverity(a)] || 0;
+                bv = severityOrder[FileImporter.getEffectiveSeverity(b)] || 0;
                 return (bv - av) * asc; // Reverse for severity (critical first)
             } else {
                 av = (a[key] || '').toString().toLowerCase();
@@ -90,6 +128,8 @@ const VulnTable = (() => {
         console.log('[VulnTable] 🎨 renderTable called with', rows.length, 'rows to render');
         const tbody = els.tbody;
         tbody.innerHTML = '';
+        renderedRows = rows;
+        renderFrameworkHeaders();
 
         if (rows.length === 0) {
             console.log('[VulnTable] 📭 No rows to render, showing no results state');
@@ -99,6 +139,7 @@ const VulnTable = (() => {
 
         console.log('[VulnTable] ✅ Rendering', rows.length, 'rows to table');
         els.noResults.hidden = true;
+        const frameworks = getFrameworkNames();
         
         rows.forEach((row, index) => {
             const tr = document.createElement('tr');
@@ -110,15 +151,20 @@ const VulnTable = (() => {
                         </svg>
                     </button>
                 </td>
-                <td>${row.nistControls.join(', ') || '-'}</td>
-                <td>${row.ccis.join(', ') || '-'}</td>
+                <td>${renderNistCell(row)}${renderNistRevisionTag(row)}</td>
+                <td>${renderCciCell(row)}</td>
                 <td>${row.group_id}</td>
                 <td>${row.rule_id}</td>
                 <td>${row.rule_version}</td>
                 <td>${row.rule_title}</td>
-                <td><span class="badge ${row.severity}">${row.severity}</span></td>
-                <td><span class="badge ${row.status}">${row.status}</span></td>
+                <td>${renderSeverityCell(row)}</td>
+                <td><span class="badge ${row.status}">${row.status}</span>${row.consolidated ? `<div class="host-count">${row.openCount}/${row.totalCount} hosts open</div>` : ''}${row.needs_rereview ? '<div class="rereview-flag" title="Check or fix text changed in the new STIG release">Re-review</div>' : ''}</td>
                 <td>${row.stig_name}</td>
+                ${row.consolidated
+                    ? `<td title="${PageUtils.escapeHtml(row.host_name)}">${row.totalCount} host${row.totalCount === 1 ? '' : 's'}</td>`
+                    : `<td title="${PageUtils.escapeHtml([row.host_ip, row.host_fqdn].filter(Boolean).join(' | '))}">${PageUtils.escapeHtml(assetLabel(row) || '-')}</td>`}
+                ${frameworks.map(name => renderFrameworkCell(row, name)).join('')}
+                ${diffRows ? renderChangeCell(row) : ''}
             `;
             tbody.appendChild(tr);
             
@@ -127,8 +173,14 @@ const VulnTable = (() => {
             detailsRow.className = 'details-row';
             detailsRow.style.display = 'none';
             detailsRow.innerHTML = `
-                <td colspan="10">
+                <td colspan="${(diffRows ? 12 : 11) + frameworks.length}">
                     <div class="details-content">
+                        ${row.consolidated || diffRows ? '' : `<button type="button" class="btn btn-secondary btn-sm review-rule-btn" data-row-index="${index}">Review this rule</button>`}
+                        ${row.consolidated ? renderAffectedAssets(row) : renderAssetDetails(row)}
+                        ${renderSeverityOverrideDetails(row)}
+                        ${renderControlDetails(row)}
+                        ${renderNistSourceDetails(row)}
+                        ${renderCciDefinitions(row)}
                         <div class="detail-section">
                             <h4>Discussion</h4>
                             <p>${row.discussion || 'No discussion available'}</p>
@@ -151,7 +203,220 @@ const VulnTable = (() => {
         tbody.addEventListener('click', handleExpandClick);
     }
 
+    function assetLabel(row) {
+        return FileImporter.getAssetLabel(row);
+    }
+
+    function renderAssetDetails(row) {
+        const fields = [
+            ['Host', row.host_name],
+            ['IP', row.host_ip],
+            ['MAC', row.host_mac],
+            ['FQDN', row.host_fqdn],
+            ['Role', row.asset_role],
+            ['Tech Area', row.tech_area]
+        ].filter(([, value]) => value);
+        if (fields.length === 0) return '';
+        return `
+                        <div class="detail-section">
+                            <h4>Asset</h4>
+                            <p>${fields.map(([label, value]) => `<strong>${label}:</strong> ${PageUtils.escapeHtml(value)}`).join(' &nbsp; ')}</p>
+                        </div>`;
+    }
+
+    // Each control is styled by where it came from (explicit field, CCI mapping or text heuristic) and by baseline membership
+    function renderNistCell(row) {
+        if (row.nistControls.length === 0) return '-';
+        return row.nistControls.map(ctrl => {
+            const sources = row.nistSources?.[ctrl] || [];
+            const labels = sources.map(source => FileImporter.MAPPING_SOURCES[source]).join(', ');
+            const outside = window.ControlCatalog && ControlCatalog.inBaseline(ctrl) === false;
+            const designation = window.ControlDesignations ? ControlDesignations.getDesignation(ctrl) : 'system-specific';
+            const title = [
+                window.ControlCatalog ? ControlCatalog.describe(ctrl) : ctrl,
+                labels ? `Source: ${labels}` : '',
+                outside ? `Not in the ${ControlCatalog.getSelectedBaseline()} baseline` : '',
+                designation !== 'system-specific' ? ControlDesignations.describe(ctrl) : ''
+            ].filter(Boolean).join('\n');
+            const classes = [
+                'nist-source',
+                `nist-source-${sources[0] || 'explicit'}`,
+                outside ? 'nist-outside-baseline' : '',
+                designation !== 'system-specific' ? `nist-${designation}` : ''
+            ].filter(Boolean);
+            return `<span class="${classes.join(' ')}" title="${PageUtils.escapeHtml(title)}">${ctrl}</span>`;
+        }).join(', ') + renderBaselineFlag(row) + renderInheritanceFlag(row);
+    }
+
+    function getFrameworkNames() {
+        return window.FrameworkCrosswalks ? FrameworkCrosswalks.getNames() : [];
+    }
+
+    // One header per loaded framework, kept just before the compare-mode Change column
+    function renderFrameworkHeaders() {
+        const headerRow = els.tbody.closest('table')?.querySelector('thead tr');
+        if (!headerRow) return;
+        headerRow.querySelectorAll('th[data-framework-col]').forEach(th => th.remove());
+        const changeHeader = document.getElementById('changeColumnHeader');
+        getFrameworkNames().forEach(name => {
+            const th = document.createElement('th');
+            th.dataset.frameworkCol = name;
+            th.textContent = name;
+            headerRow.insertBefore(th, changeHeader && changeHeader.parentNode === headerRow ? changeHeader : null);
+        });
+    }
+
+    function renderFrameworkCell(row, name) {
+        const ids = FrameworkCrosswalks.requirementsFor(row, name);
+        if (ids.length === 0) return '<td>-</td>';
+        return `<td>${ids.map(id => `<span title="${PageUtils.escapeHtml(FrameworkCrosswalks.describeRequirement(name, id))}">${id}</span>`).join(', ')}</td>`;
+    }
+
+    // Framework filter selects carry data-framework-filter; '__none__' keeps findings the framework does not cover
+    function matchesFrameworks(row) {
+        if (!els.frameworks || !window.FrameworkCrosswalks) return true;
+        return Array.from(els.frameworks.querySelectorAll('select[data-framework-filter]')).every(select => {
+            if (!select.value) return true;
+            const ids = FrameworkCrosswalks.requirementsFor(row, select.dataset.frameworkFilter);
+            return select.value === '__none__' ? ids.length === 0 : ids.includes(select.value);
+        });
+    }
+
+    function renderBaselineFlag(row) {
+        if (!window.ControlCatalog || !ControlCatalog.isOutsideBaseline(row)) return '';
+        const baseline = ControlCatalog.getSelectedBaseline();
+        return `<div class="baseline-flag" title="None of this finding's controls are in the ${baseline} baseline">Outside ${baseline.toLowerCase()} baseline</div>`;
+    }
+
+    function renderInheritanceFlag(row) {
+        if (!window.ControlDesignations || !ControlDesignations.isInheritedOnly(row)) return '';
+        const providers = Array.from(new Set(row.nistControls.map(ctrl => ControlDesignations.get(ctrl).provider)));
+        return `<div class="inheritance-flag" title="${PageUtils.escapeHtml(`Every control on this finding is inherited from ${providers.join(', ')}`)}">Provider responsibility</div>`;
+    }
+
+    // Titles and statements from the OSCAL catalog; CCI item references show their statement item
+    function renderControlDetails(row) {
+        if (!window.ControlCatalog || !ControlCatalog.hasCatalog() || row.nistControls.length === 0) return '';
+        const baseline = ControlCatalog.getSelectedBaseline();
+        return `
+                        <div class="detail-section">
+                            <h4>NIST SP 800-53 Controls</h4>
+                            ${row.nistControls.map(ctrl => {
+                                const record = ControlCatalog.lookup(ctrl);
+                                const membership = baseline ? (ControlCatalog.inBaseline(ctrl) ? `In ${baseline} baseline` : `Not in ${baseline} baseline`) : '';
+                                if (!record) return `<p><strong>${ctrl}</strong>: not in the loaded catalog${membership ? ` · ${membership}` : ''}</p>`;
+                                return `
+                            <p><strong>${ctrl}</strong> ${PageUtils.escapeHtml(record.title)}${record.withdrawn ? ' <em>(withdrawn)</em>' : ''}${membership ? ` · <small>${membership}</small>` : ''}</p>
+                            <pre class="control-statement">${PageUtils.escapeHtml(record.itemStatement || record.statement || 'No statement')}</pre>`;
+                            }).join('')}
+                        </div>`;
+    }
+
+    // Every recorded control and its sources, including text-matched controls hidden by the toggle
+    function renderNistSourceDetails(row) {
+        const entries = Object.entries(row.nistSources || {});
+        if (entries.length === 0) return '';
+        return `
+                        <div class="detail-section">
+                            <h4>NIST Mapping Sources</h4>
+                            <p>${entries.map(([ctrl, sources]) => {
+                                const hidden = !row.nistControls.includes(ctrl);
+                                return `<strong>${ctrl}</strong>: ${sources.map(source => FileImporter.MAPPING_SOURCES[source]).join(', ')}${hidden ? ' <em>(excluded)</em>' : ''}`;
+                            }).join(' &nbsp; ')}</p>
+                        </div>`;
+    }
+
+    function renderNistRevisionTag(row) {
+        if (!row.nist_revision) return '';
+        const label = FileImporter.getNistRevisionLabel(row.nist_revision);
+        return `<div class="nist-revision-tag" title="CCIs mapped through NIST SP 800-53 ${label}">${label}</div>`;
+    }
+
+    function renderCciCell(row) {
+        if (row.ccis.length === 0) return '-';
+        if (!window.CciCatalog) return row.ccis.join(', ');
+        return row.ccis.map(cci => {
+            const deprecated = CciCatalog.isDeprecated(cci);
+            return `<span class="cci-ref${deprecated ? ' cci-deprecated' : ''}" title="${PageUtils.escapeHtml(CciCatalog.describe(cci))}">${cci}</span>`;
+        }).join(', ');
+    }
+
+    function renderCciDefinitions(row) {
+        if (!window.CciCatalog) return '';
+        const records = row.ccis.map(cci => CciCatalog.get(cci)).filter(Boolean);
+        if (records.length === 0) return '';
+        return `
+                        <div class="detail-section">
+                            <h4>CCI Definitions</h4>
+                            ${records.map(record => `
+                            <p>
+                                <strong>${record.id}</strong>
+                                <span class="badge ${record.status === 'deprecated' ? 'open' : 'not_applicable'}">${record.status || 'unknown'}</span>
+                                ${record.type ? `<small>${record.type}</small>` : ''}<br>
+                                ${PageUtils.escapeHtml(record.definition) || 'No definition'}
+                            </p>`).join('')}
+                        </div>`;
+    }
+
+    function renderSeverityCell(row) {
+        const severity = FileImporter.getEffectiveSeverity(row);
+        if (!FileImporter.hasSeverityOverride(row)) {
+            return `<span class="badge ${severity}">${severity}</span>`;
+        }
+        const title = `STIG severity: ${row.severity}. Justification: ${row.severity_justification || 'none given'}`;
+        return `<span class="badge ${severity}">${severity}</span><div class="severity-override-flag" title="${PageUtils.escapeHtml(title)}">Override (was ${PageUtils.escapeHtml(row.severity)})</div>`;
+    }
+
+    function renderSeverityOverrideDetails(row) {
+        if (!FileImporter.hasSeverityOverride(row)) return '';
+        return `
+                        <div class="detail-section">
+                            <h4>Severity Override</h4>
+                            <p><strong>STIG severity:</strong> ${PageUtils.escapeHtml(row.severity)} &nbsp; <strong>Override:</strong> ${PageUtils.escapeHtml(FileImporter.getEffectiveSeverity(row))}</p>
+                            <p><strong>Justification:</strong> ${PageUtils.escapeHtml(row.severity_justification || 'No justification given')}</p>
+                        </div>`;
+    }
+
+    function renderAffectedAssets(row) {
+        const assetRows = row.assets.map(asset => `
+                                <tr>
+                                    <td>${PageUtils.escapeHtml(asset.label)}</td>
+                                    <td>${PageUtils.escapeHtml(asset.host_ip || '-')}</td>
+                                    <td><span class="badge ${asset.status}">${asset.status || '-'}</span></td>
+                                    <td><pre>${PageUtils.escapeHtml(asset.finding_details)}</pre></td>
+                                    <td>${PageUtils.escapeHtml(asset.comments)}</td>
+                                </tr>`).join('');
+        return `
+                        <div class="detail-section">
+                            <h4>Affected Assets (${row.openCount} of ${row.totalCount} open)</h4>
+                            <table class="asset-table">
+                                <thead>
+                                    <tr><th>Host</th><th>IP</th><th>Status</th><th>Finding Details</th><th>Comments</th></tr>
+                                </thead>
+                                <tbody>${assetRows}</tbody>
+                            </table>
+                        </div>`;
+    }
+
+    function renderChangeCell(row) {
+        const previous = row.previous_status ? `was ${row.previous_status}` : 'not in baseline';
+        return `<td><span class="change-badge ${row.change_type}">${ChecklistDiff.getChangeLabel(row.change_type)}</span><div class="host-count">${previous}</div></td>`;
+    }
+
+    function matchesHost(row, host) {
+        if (row.consolidated) return row.assets.some(asset => asset.label === host);
+        return assetLabel(row) === host;
+    }
+
     function handleExpandClick(e) {
+        const reviewBtn = e.target.closest('.review-rule-btn');
+        if (reviewBtn) {
+            // Opened by ReviewPanel on the STIGs page
+            const row = renderedRows[Number(reviewBtn.dataset.rowIndex)];
+            document.dispatchEvent(new CustomEvent('reviewRuleRequested', { detail: { row } }));
+            return;
+        }
+
         if (!e.target.closest('.expand-btn')) return;
         
         const button = e.target.closest('.expand-btn');
@@ -185,8 +450,10 @@ const VulnTable = (() => {
         const sev = els.severity.value.trim().toLowerCase();
         const stat = els.status.value.trim().toLowerCase();
         const stig = els.stig.value.trim();
+        const host = els.host ? els.host.value.trim() : '';
         const cci = els.cci.value.trim().toUpperCase();
         const q = els.search.value.trim().toLowerCase();
+        const change = diffRows && els.change ? els.change.value : '';
 
         console.log('[VulnTable] 🔍 Filter values:', {
             family: fam,
@@ -194,25 +461,32 @@ const VulnTable = (() => {
             severity: sev,
             status: stat,
             stig: stig,
+            host: host,
             cci: cci,
-            search: q
+            search: q,
+            change: change
         });
 
-        let filtered = allRows.filter(r => {
+        const sourceRows = getSourceRows();
+        let filtered = sourceRows.filter(r => {
             if (fam && !r.families.includes(fam)) return false;
             if (ctrl && !r.nistControls.includes(ctrl)) return false;
-            if (sev && r.severity !== sev) return false;
+            if (sev && FileImporter.getEffectiveSeverity(r) !== sev) return false;
             if (stat && r.status !== stat) return false;
             if (stig && r.stig_name !== stig) return false;
+            if (host && !matchesHost(r, host)) return false;
             if (cci && !r.ccis.some(x => x.toUpperCase().includes(cci))) return false;
             if (q && !r.searchableText.includes(q)) return false;
+            if (change && r.change_type !== change) return false;
+            if (!matchesFrameworks(r)) return false;
             return true;
         });
 
         console.log('[VulnTable] 📊 Filtering results:', {
-            totalRows: allRows.length,
+            totalRows: sourceRows.length,
+            consolidated: consolidated,
             filteredRows: filtered.length,
-            filtersApplied: !!(fam || ctrl || sev || stat || stig || cci || q)
+            filtersApplied: !!(fam || ctrl || sev || stat || stig || host || cci || q || change)
         });
 
         filtered = sortRows(filtered, currentSort.key, currentSort.dir);
@@ -240,10 +514,12 @@ const VulnTable = (() => {
         const severityFilter = els.severity.value.toLowerCase();
         const statusFilter = els.status.value.toLowerCase();
         const stigFilter = els.stig.value.toLowerCase();
+        const hostFilter = els.host ? els.host.value : '';
         const cciFilter = els.cci.value.toLowerCase();
         const searchFilter = els.search.value.toLowerCase();
+        const changeFilter = diffRows && els.change ? els.change.value : '';
 
-        return allRows.filter(row => {
+        return getSourceRows().filter(row => {
             // Family filter
             if (familyFilter && !row.families.some(f => f.toLowerCase().includes(familyFilter))) {
                 return false;
@@ -255,7 +531,7 @@ const VulnTable = (() => {
             }
 
             // Severity filter
-            if (severityFilter && row.severity.toLowerCase() !== severityFilter) {
+            if (severityFilter && FileImporter.getEffectiveSeverity(row).toLowerCase() !== severityFilter) {
                 return false;
             }
 
@@ -269,6 +545,11 @@ const VulnTable = (() => {
                 return false;
             }
 
+            // Host filter
+            if (hostFilter && !matchesHost(row, hostFilter)) {
+                return false;
+            }
+
             // CCI filter
             if (cciFilter && !row.ccis.some(c => c.toLowerCase().includes(cciFilter))) {
                 return false;
@@ -279,6 +560,16 @@ const VulnTable = (() => {
                 return false;
             }
 
+            // Change filter (compare mode)
+            if (changeFilter && row.change_type !== changeFilter) {
+                return false;
+            }
+
+            // Framework requirement filters
+            if (!matchesFrameworks(row)) {
+                return false;
+            }
+
             return true;
         });
     }
@@ -304,6 +595,10 @@ const VulnTable = (() => {
     return {
         init,
         setRows,
+        setConsolidated,
+        isConsolidated: () => consolidated,
+        setDiffRows,
+        isCompareMode: () => !!diffRows,
         renderTable,
         applyFilters,
         applyFiltersAndGetRows,
@@ -0,0 +1,308 @@
+/* XML SAX Parser Module
+   - Single-pass, SAX-style XML tokenizer that works without DOMParser (e.g., inside a Web Worker)
+   - Reports position progress while scanning large documents
+   - Builds a lightweight element tree exposing the DOM subset the importer uses:
+     children, parentElement, tagName, localName, getAttribute, textContent,
+     querySelector/querySelectorAll (type selectors with descendant and child combinators)
+     and getElementsByTagNameNS
+*/
+
+const XmlSax = (() => {
+    const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    const PROGRESS_STEP = 1024 * 1024; // report roughly every 1 MB scanned
+
+    function decodeEntities(text) {
+        if (text.indexOf('&') === -1) return text;
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[A-Za-z]+);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return ENTITIES[entity] ?? match;
+        });
+    }
+
+    function parseAttributes(source) {
+        const attributes = {};
+        const attrRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = attrRegex.exec(source)) !== null) {
+            attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+        }
+        return attributes;
+    }
+
+    // Index of the '>' closing a start tag, skipping quoted attribute values
+    function findTagEnd(text, from) {
+        let quote = null;
+        for (let i = from; i < text.length; i++) {
+            const c = text[i];
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '>') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /*
+     * handler: { onOpenTag(name, attributes, selfClosing), onText(text), onCloseTag(name) }
+     * options: { onProgress(position, length) }
+     */
+    function parse(text, handler, options = {}) {
+        const length = text.length;
+        const onProgress = options.onProgress;
+        let nextProgress = PROGRESS_STEP;
+        let i = 0;
+
+        const fail = message => {
+            throw new Error(message);
+        };
+
+        try {
+            scan();
+        } catch (error) {
+            // Report where the markup broke, as line and column like the browser's parser
+            const before = text.slice(0, i);
+            const line = (before.match(/\n/g) || []).length + 1;
+            const column = i - before.lastIndexOf('\n');
+            throw new Error(`Invalid XML format: line ${line}, column ${column}: ${error.message}`);
+        }
+
+        if (onProgress) onProgress(length, length);
+
+        function scan() {
+            while (i < length) {
+                if (onProgress && i >= nextProgress) {
+                    onProgress(i, length);
+                    nextProgress = i + PROGRESS_STEP;
+                }
+
+                const lt = text.indexOf('<', i);
+                if (lt === -1) {
+                    if (handler.onText) handler.onText(decodeEntities(text.slice(i)));
+                    break;
+                }
+                if (lt > i && handler.onText) {
+                    handler.onText(decodeEntities(text.slice(i, lt)));
+                }
+                i = lt;
+
+                if (text.startsWith('<!--', i)) {
+                    const end = text.indexOf('-->', i + 4);
+                    if (end === -1) fail('unterminated comment');
+                    i = end + 3;
+                } else if (text.startsWith('<![CDATA[', i)) {
+                    const end = text.indexOf(']]>', i + 9);
+                    if (end === -1) fail('unterminated CDATA section');
+                    if (handler.onText) handler.onText(text.slice(i + 9, end));
+                    i = end + 3;
+                } else if (text.startsWith('<?', i)) {
+                    const end = text.indexOf('?>', i + 2);
+                    if (end === -1) fail('unterminated processing instruction');
+                    i = end + 2;
+                } else if (text.startsWith('<!', i)) {
+                    // DOCTYPE, possibly with an internal subset in [...]
+                    const bracket = text.indexOf('[', i);
+                    const close = text.indexOf('>', i);
+                    if (close === -1) fail('unterminated declaration');
+                    if (bracket !== -1 && bracket < close) {
+                        const subsetEnd = text.indexOf(']', bracket);
+                        i = text.indexOf('>', subsetEnd) + 1;
+                        if (i === 0) fail('unterminated DOCTYPE');
+                    } else {
+                        i = close + 1;
+                    }
+                } else if (text[i + 1] === '/') {
+                    const end = text.indexOf('>', i + 2);
+                    if (end === -1) fail('unterminated end tag');
+                    if (handler.onCloseTag) handler.onCloseTag(text.slice(i + 2, end).trim());
+                    i = end + 1;
+                } else {
+                    const end = findTagEnd(text, i + 1);
+                    if (end === -1) fail('unterminated start tag');
+                    let body = text.slice(i + 1, end);
+                    const selfClosing = body.endsWith('/');
+                    if (selfClosing) body = body.slice(0, -1);
+                    const nameMatch = body.match(/^[^\s/>]+/);
+                    if (!nameMatch) fail('missing element name');
+                    const name = nameMatch[0];
+                    const attributes = parseAttributes(body.slice(name.length));
+                    if (handler.onOpenTag) handler.onOpenTag(name, attributes, selfClosing);
+                    if (selfClosing && handler.onCloseTag) handler.onCloseTag(name);
+                    i = end + 1;
+                }
+            }
+        }
+    }
+
+    // ---- Lightweight element tree ----
+
+    function localNameOf(name) {
+        const colon = name.indexOf(':');
+        return colon === -1 ? name : name.slice(colon + 1);
+    }
+
+    // Selector support: type selectors (or *) joined by descendant (space) or child (>) combinators
+    function compileSelector(selector) {
+        const tokens = String(selector).trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+        const steps = [];
+        let combinator = ' ';
+        tokens.forEach(token => {
+            if (token === '>') {
+                combinator = '>';
+                return;
+            }
+            steps.push({ name: token, combinator });
+            combinator = ' ';
+        });
+        return steps;
+    }
+
+    function nameMatches(element, name) {
+        return name === '*' || element.localName === name || element.tagName === name;
+    }
+
+    // Right-to-left match of compiled steps; like the DOM, ancestors above the query scope may match
+    function matchesSteps(element, steps) {
+        let index = steps.length - 1;
+        if (!nameMatches(element, steps[index].name)) return false;
+        let current = element;
+        while (index > 0) {
+            const combinator = steps[index].combinator;
+            index--;
+            let ancestor = current.parentElement;
+            if (combinator === '>') {
+                if (!ancestor || !nameMatches(ancestor, steps[index].name)) return false;
+            } else {
+                while (ancestor && !nameMatches(ancestor, steps[index].name)) {
+                    ancestor = ancestor.parentElement;
+                }
+                if (!ancestor) return false;
+            }
+            current = ancestor;
+        }
+        return true;
+    }
+
+    // Depth-first, document-order descendants of an element
+    function descendants(element, includeSelf = false) {
+        const result = includeSelf ? [element] : [];
+        const stack = element.children.slice().reverse();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            result.push(node);
+            for (let i = node.children.length - 1; i >= 0; i--) stack.push(node.children[i]);
+        }
+        return result;
+    }
+
+    class XmlElement {
+        constructor(tagName, attributes, parentElement) {
+            this.tagName = tagName;
+            this.nodeName = tagName;
+            this.localName = localNameOf(tagName);
+            this.attributes = attributes;
+            this.parentElement = parentElement;
+            this.children = [];
+            this.contents = []; // text strings and child elements in document order
+        }
+
+        getAttribute(name) {
+            return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+        }
+
+        get textContent() {
+            return this.contents
+                .map(part => (typeof part === 'string' ? part : part.textContent))
+                .join('');
+        }
+
+        querySelectorAll(selector) {
+            const steps = compileSelector(selector);
+            return descendants(this).filter(element => matchesSteps(element, steps));
+        }
+
+        querySelector(selector) {
+            const steps = compileSelector(selector);
+            return descendants(this).find(element => matchesSteps(element, steps)) || null;
+        }
+
+        getElementsByTagNameNS(namespace, localName) {
+            return descendants(this).filter(element => localName === '*' || element.localName === localName);
+        }
+    }
+
+    class XmlDocument {
+        constructor(documentElement) {
+            this.documentElement = documentElement;
+        }
+
+        // Document-level queries include the root element itself
+        querySelectorAll(selector) {
+            if (!this.documentElement) return [];
+            const steps = compileSelector(selector);
+            return descendants(this.documentElement, true).filter(element => matchesSteps(element, steps));
+        }
+
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+
+        getElementsByTagNameNS(namespace, localName) {
+            if (!this.documentElement) return [];
+            return descendants(this.documentElement, true).filter(element => localName === '*' || element.localName === localName);
+        }
+    }
+
+    /*
+     * Parse XML text into an XmlDocument. Whitespace-only text between elements is dropped.
+     * Throws 'Invalid XML format: line L, column C: ...' on unbalanced markup, mirroring the DOMParser path.
+     */
+    function parseDocument(text, options = {}) {
+        let root = null;
+        let current = null;
+
+        parse(text, {
+            onOpenTag(name, attributes) {
+                const element = new XmlElement(name, attributes, current);
+                if (current) {
+                    current.children.push(element);
+                    current.contents.push(element);
+                } else if (!root) {
+                    root = element;
+                } else {
+                    throw new Error('multiple root elements');
+                }
+                current = element;
+            },
+            onText(value) {
+                if (current && value.trim()) current.contents.push(value);
+            },
+            onCloseTag(name) {
+                if (!current || current.tagName !== name) {
+                    throw new Error(current ? `expected </${current.tagName}> but found </${name}>` : `unexpected </${name}>`);
+                }
+                current = current.parentElement;
+            }
+        }, options);
+
+        if (!root || current) {
+            throw new Error('Invalid XML format: document is empty or not closed');
+        }
+        return new XmlDocument(root);
+    }
+
+    // Public API
+    return {
+        parse,
+        parseDocument,
+        decodeEntities
+    };
+})();
+
+// Make available globally (the import worker aliases window to self)
+window.XmlSax = XmlSax;
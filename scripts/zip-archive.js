@@ -0,0 +1,255 @@
+/* ZIP Archive Module
+   - Builds ZIP files in the browser for batch checklist downloads
+   - Reads ZIP files (stored and deflated entries) for bulk checklist import
+   - Uses the native CompressionStream / DecompressionStream (deflate-raw); no external dependencies
+*/
+
+const ZipArchive = (() => {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder('utf-8');
+    // Code page 437 characters for bytes 0x80-0xFF; names without the UTF-8 flag are CP437 (bytes below 0x80 are ASCII)
+    const CP437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
+    const cp437Decoder = {
+        decode(bytes) {
+            let text = '';
+            for (const byte of bytes) {
+                text += byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80];
+            }
+            return text;
+        }
+    };
+
+    // CRC-32 lookup table (IEEE polynomial)
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        return encoder.encode(String(content ?? ''));
+    }
+
+    function dosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    async function deflateRaw(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.warn('[ZipArchive] deflate-raw unavailable, storing uncompressed:', error.message);
+            return null;
+        }
+    }
+
+    // Keep names unique inside one archive: a.ckl, a (2).ckl, ...
+    function uniqueName(name, used) {
+        if (!used.has(name)) {
+            used.add(name);
+            return name;
+        }
+        const dot = name.lastIndexOf('.');
+        const stem = dot > 0 ? name.slice(0, dot) : name;
+        const ext = dot > 0 ? name.slice(dot) : '';
+        let i = 2;
+        while (used.has(`${stem} (${i})${ext}`)) i++;
+        const unique = `${stem} (${i})${ext}`;
+        used.add(unique);
+        return unique;
+    }
+
+    /*
+     * files: [{ name, content }] where content is a string, Uint8Array or ArrayBuffer
+     * Returns a Blob of type application/zip
+     */
+    async function createZip(files) {
+        const { time, day } = dosDateTime(new Date());
+        const usedNames = new Set();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = encoder.encode(uniqueName(file.name, usedNames));
+            const data = toBytes(file.content);
+            const crc = crc32(data);
+            const deflated = await deflateRaw(data);
+            const useDeflate = deflated && deflated.length < data.length;
+            const stored = useDeflate ? deflated : data;
+            const method = useDeflate ? 8 : 0;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, stored.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, stored.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, stored);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + stored.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    async function inflateRaw(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP entries (DecompressionStream unavailable)');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function findEndOfCentralDirectory(view) {
+        // The EOCD record is 22 bytes plus an optional comment of up to 65535 bytes
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let i = view.byteLength - 22; i >= minOffset; i--) {
+            if (view.getUint32(i, true) === 0x06054B50) return i;
+        }
+        return -1;
+    }
+
+    /*
+     * Lists the entries of a ZIP file without extracting them.
+     * Returns [{ path, name, isDirectory, size, compressedSize, encrypted, supported, bytes(), text() }]
+     */
+    function readZip(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocd = findEndOfCentralDirectory(view);
+        if (eocd < 0) {
+            throw new Error('Not a ZIP archive (end of central directory not found)');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let pointer = view.getUint32(eocd + 16, true);
+        if (pointer === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const entries = [];
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== 0x02014B50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const flags = view.getUint16(pointer + 8, true);
+            const method = view.getUint16(pointer + 10, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const size = view.getUint32(pointer + 24, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const nameBytes = bytes.subarray(pointer + 46, pointer + 46 + nameLength);
+            const path = ((flags & 0x0800) ? decoder : cp437Decoder).decode(nameBytes).replace(/\\/g, '/');
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            const encrypted = (flags & 0x0001) !== 0;
+            const supported = !encrypted && (method === 0 || method === 8) && compressedSize !== 0xFFFFFFFF;
+
+            const entry = {
+                path,
+                name: path.split('/').filter(Boolean).pop() || path,
+                isDirectory: path.endsWith('/'),
+                size,
+                compressedSize,
+                encrypted,
+                supported,
+                async bytes() {
+                    if (!supported) {
+                        throw new Error(encrypted ? 'Entry is encrypted' : `Unsupported compression method ${method}`);
+                    }
+                    const localNameLength = view.getUint16(localOffset + 26, true);
+                    const localExtraLength = view.getUint16(localOffset + 28, true);
+                    const start = localOffset + 30 + localNameLength + localExtraLength;
+                    const raw = bytes.subarray(start, start + compressedSize);
+                    const data = method === 8 ? await inflateRaw(raw) : raw;
+                    if (crc32(data) !== crc) {
+                        throw new Error('CRC mismatch (corrupt entry)');
+                    }
+                    return data;
+                },
+                async text() {
+                    return decoder.decode(await entry.bytes());
+                }
+            };
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    function downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Public API
+    return {
+        createZip,
+        readZip,
+        downloadBlob,
+        crc32
+    };
+})();
+
+// Make available globally
+window.ZipArchive = ZipArchive;